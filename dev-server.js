@@ -12,6 +12,16 @@ const PORT = Number(process.argv[2]) || 8080;
 // game.js is being edited. DEV_RELOAD=0 serves plain files.
 const RELOAD = process.env.DEV_RELOAD !== '0';
 
+// Cross-origin isolation, without which the page cannot share its prediction buffer with
+// the transfer workers (SharedArrayBuffer). `credentialless` rather than `require-corp`
+// so the Tailwind script from its CDN still loads: it is fetched without cookies instead
+// of having to opt in. A browser that does not know `credentialless` is simply not
+// isolated, and the game falls back to posting the workers their frames.
+const ISOLATION_HEADERS = {
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Cross-Origin-Embedder-Policy': 'credentialless',
+};
+
 const MIME = {
     '.html': 'text/html; charset=utf-8',
     '.js': 'text/javascript; charset=utf-8',
@@ -97,6 +107,7 @@ const server = http.createServer((req, res) => {
         const headers = {
             'Content-Type': MIME[ext] || 'application/octet-stream',
             'Cache-Control': 'no-store, no-cache, must-revalidate',
+            ...ISOLATION_HEADERS,
         };
         if (ext === '.html' && RELOAD) {
             const html = data.toString().replace(/<\/body>/i, `${RELOAD_SNIPPET}</body>`);
@@ -0,0 +1,245 @@
+// Frame rings
+//
+// The prediction buffer and every squadron's trajectory are queues of frames: the present
+// is taken off the front one frame at a time, and the far end is topped up behind it. As
+// arrays of { x, y, vx, vy } objects that cost a shift() of the whole array every tick —
+// eighteen thousand frames moved along one place, several times a render frame under warp
+// — and seven small objects a frame for the collector to chase, and sending the buffer to
+// a worker meant cloning every one of them.
+//
+// A FrameRing keeps the same frames as plain numbers in one Float64Array, used as a ring:
+// frame 0 is wherever `head` points, taking the present off the front only moves `head`,
+// and the far end wraps round into the space the past has given up. When it is full it
+// doubles. Each frame is `items` records of `fields` numbers — the bodies' buffer is one
+// record of x, y, vx, vy per body, a squadron's trajectory one record of x, y, vx, vy and
+// a burn flag.
+//
+// Frames are read through the accessors, never by indexing `data` from outside: frame f's
+// place in it moves every time the present does. Code in a hot loop asks for offset(f)
+// once and reads the record from `data` itself; everything else takes state(f, i), an
+// ordinary { x, y, vx, vy } object made on the spot.
+//
+// Every ring also counts the frames it has had taken off the front, as `base`: frame f of
+// the ring is frame base + f of everything it has ever held. That count is how the page and
+// the workers name a frame between them when their rings are not the same object — a
+// number that still means the same moment after the present has moved on.
+//
+// Shared, like integrators.js, by the page and the transfer workers. A ring goes to a
+// worker either in shared memory (see "Shared rings" below) or as the flat run of numbers
+// flat() gives, which is one copy of one buffer.
+
+const BODY_FIELDS = 4;   // x, y, vx, vy
+const CRAFT_FIELDS = 5;  // x, y, vx, vy, and 1 while the engine is burning
+
+// Where a shared ring's header keeps the frame numbers of its front and its far end
+const RING_BASE = 0;
+const RING_END = 1;
+
+class FrameRing {
+    constructor(fields, items = 1, capacity = 1024) {
+        this.fields = fields;
+        this.items = items;
+        this.stride = fields * items;
+        this.capacity = Math.max(1, capacity);
+        this.data = new Float64Array(this.capacity * this.stride);
+        this.head = 0;
+        this.length = 0;
+        this.base = 0;
+        this.header = null;        // for a shared ring: [RING_BASE, RING_END] in shared memory
+    }
+
+    // Where frame `f` starts in `data`. Good until the ring is next pushed to or shifted.
+    offset(f) {
+        let k = this.head + f;
+        if (k >= this.capacity) k -= this.capacity;
+        return k * this.stride;
+    }
+
+    x(f, i = 0) { return this.data[this.offset(f) + i * this.fields]; }
+    y(f, i = 0) { return this.data[this.offset(f) + i * this.fields + 1]; }
+    vx(f, i = 0) { return this.data[this.offset(f) + i * this.fields + 2]; }
+    vy(f, i = 0) { return this.data[this.offset(f) + i * this.fields + 3]; }
+    accelerating(f) { return this.data[this.offset(f) + 4] !== 0; }
+
+    // Record `i` of frame `f` as an object — with isAccelerating, for a trajectory
+    state(f, i = 0) {
+        const d = this.data;
+        const o = this.offset(f) + i * this.fields;
+        const s = { x: d[o], y: d[o + 1], vx: d[o + 2], vy: d[o + 3] };
+        if (this.fields > BODY_FIELDS) s.isAccelerating = d[o + 4] !== 0;
+        return s;
+    }
+
+    // Every record of frame `f`, as objects
+    states(f) {
+        const out = new Array(this.items);
+        for (let i = 0; i < this.items; i++) out[i] = this.state(f, i);
+        return out;
+    }
+
+    // Add a frame at the far end: an array of { x, y, vx, vy } with one per item, or for a
+    // one-item ring the state itself
+    push(frame) {
+        if (this.length === this.capacity) this.grow(this.capacity * 2);
+        const d = this.data;
+        const base = this.offset(this.length);
+        for (let i = 0; i < this.items; i++) {
+            const s = this.items === 1 && !Array.isArray(frame) ? frame : frame[i];
+            const o = base + i * this.fields;
+            d[o] = s.x;
+            d[o + 1] = s.y;
+            d[o + 2] = s.vx;
+            d[o + 3] = s.vy;
+            if (this.fields > BODY_FIELDS) d[o + 4] = s.isAccelerating ? 1 : 0;
+        }
+        this.length++;
+        // Only once the numbers are in: a reader trusts everything before the end it sees
+        if (this.header) Atomics.store(this.header, RING_END, this.base + this.length);
+    }
+
+    // Add the frames of a flat() run at the far end
+    pushFlat(flat) {
+        for (let k = 0; k < flat.length; k += this.stride) {
+            if (this.length === this.capacity) this.grow(this.capacity * 2);
+            this.data.set(flat.subarray(k, k + this.stride), this.offset(this.length));
+            this.length++;
+        }
+        if (this.header) Atomics.store(this.header, RING_END, this.base + this.length);
+    }
+
+    // Take `count` frames off the front — frame 0 unless told otherwise. Counted in `base`
+    // even past the last frame there is, so a ring that is told to drop more than it holds
+    // still agrees with the one it is following about which frame comes next.
+    shift(count = 1) {
+        this.head = (this.head + count) % this.capacity;
+        this.length = Math.max(0, this.length - count);
+        this.base += count;
+        if (this.header) Atomics.store(this.header, RING_BASE, this.base);
+    }
+
+    // Keep only the first `length` frames
+    truncate(length) {
+        this.length = Math.max(0, Math.min(this.length, length));
+        if (this.header) Atomics.store(this.header, RING_END, this.base + this.length);
+    }
+
+    clear() {
+        this.sharedMustStay('cleared');
+        this.head = 0;
+        this.length = 0;
+    }
+
+    // Room for `capacity` frames, with the frames kept in order from the start of the new space
+    grow(capacity) {
+        this.sharedMustStay('grown');
+        const data = new Float64Array(capacity * this.stride);
+        data.set(this.flat());
+        this.data = data;
+        this.capacity = capacity;
+        this.head = 0;
+    }
+
+    // Frames `from` up to `to` as one flat run of numbers, in order
+    flat(from = 0, to = this.length) {
+        const out = new Float64Array(Math.max(0, to - from) * this.stride);
+        let written = 0;
+        while (from < to) {
+            // Up to the wrap, or the end of what is wanted, in one copy
+            const start = this.offset(from) / this.stride;
+            const run = Math.min(to - from, this.capacity - start);
+            out.set(this.data.subarray(start * this.stride, (start + run) * this.stride), written);
+            written += run * this.stride;
+            from += run;
+        }
+        return out;
+    }
+
+    // A ring holding the frames of a flat() run, with room for `capacity` before it grows
+    static fromFlat(flat, fields, items = 1, capacity = flat.length / (fields * items)) {
+        const ring = new FrameRing(fields, items, capacity);
+        ring.data.set(flat);
+        ring.length = flat.length / ring.stride;
+        return ring;
+    }
+
+    // A one-item ring of `fields` from a list of states
+    static fromStates(states, fields) {
+        const ring = new FrameRing(fields, 1, states.length);
+        for (const s of states) ring.push(s);
+        return ring;
+    }
+
+    // --- Shared rings --------------------------------------------------------------
+    //
+    // A ring can live in a SharedArrayBuffer, so that the transfer workers read the page's
+    // frames where they are instead of each keeping a copy to be brought up to date. The
+    // page is the only writer. Beside the numbers is a two-slot header holding the frame
+    // numbers of the front (`base`) and the far end, written with Atomics after the frames
+    // they cover: a reader that loads the end and then finds every frame before it written.
+    //
+    // A reader does not share the page's `head` or `length`: it attaches to the memory and
+    // follows() whatever frame its job names, working out where that frame sits from the
+    // frame number alone — frame n is always at slot n mod capacity, because a shared ring
+    // only ever shifts one way and is never cleared or grown. (Growing would mean new memory
+    // the workers do not have; the page makes its shared ring big enough instead.)
+    //
+    // The frames just behind the front are not wiped when it moves, only left to be written
+    // over once the far end comes round to them. A shared ring is made with room beyond
+    // what the page keeps in it, and that room is how far behind the present a job can still
+    // read: a scan asked for a moment ago is not lost because the present moved since.
+    //
+    // Shared memory is only there for a page that is cross-origin isolated — served with
+    // the COOP and COEP headers dev-server.js sends. Anywhere else canShare() is false and the
+    // page keeps the workers' copies current with messages instead.
+
+    static canShare() {
+        return typeof SharedArrayBuffer === 'function' && self.crossOriginIsolated === true;
+    }
+
+    static shared(fields, items, capacity) {
+        const ring = new FrameRing(fields, items, 1);
+        ring.capacity = capacity;
+        ring.data = new Float64Array(new SharedArrayBuffer(capacity * ring.stride * 8));
+        ring.header = new Int32Array(new SharedArrayBuffer(2 * 4));
+        return ring;
+    }
+
+    // What a worker needs to attach(): posted, the memory goes across shared, not copied
+    handle() {
+        const { fields, items, capacity, data, header } = this;
+        return { fields, items, capacity, data, header };
+    }
+
+    // A reader's view of a shared ring. Empty until it follows() a frame.
+    static attach(handle) {
+        const ring = new FrameRing(handle.fields, handle.items, 1);
+        ring.capacity = handle.capacity;
+        ring.data = handle.data;
+        ring.header = handle.header;
+        return ring;
+    }
+
+    // Point a reader at the shared frames from frame number `frame` to the far end as the
+    // page has it now. False if that frame is past the end, or so far behind the front that
+    // the end has come round and written over it.
+    follow(frame) {
+        const end = Atomics.load(this.header, RING_END);
+        if (frame > end || frame <= end - this.capacity) return false;
+        this.base = frame;
+        this.head = frame % this.capacity;
+        this.length = end - frame;
+        return true;
+    }
+
+    // True if nothing from frame number `frame` on has been written over yet. Following a
+    // frame only says it was there then: the page goes on writing while a reader reads, so a
+    // reader asks again once it has read. The end comes round onto the oldest frame first,
+    // so if `frame` is untouched, so is everything after it.
+    stillHolds(frame) {
+        return frame > Atomics.load(this.header, RING_END) - this.capacity;
+    }
+
+    sharedMustStay(what) {
+        if (this.header) throw new Error(`A shared ring cannot be ${what}`);
+    }
+}
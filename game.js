@@ -33,10 +33,12 @@ const MAX_CRAFT_PREDICTION_FRAMES = Math.ceil(PREDICTION_FRAMES / 4); // Craft t
 const PREDICTION_DT_DECIMALS = Math.max(0, -Math.floor(Math.log10(PREDICTION_DT))); // Display precision derived from timestep
 const MAX_TRAJECTORY_POINTS = 400; // Max points to render for solid portion
 const MAX_CATCHUP_FRAMES = 100; // Max frames to simulate per render frame
+const MAX_ADVANCE_FRAMES = 600; // Most the present may move in one render frame (see advanceTimeline)
 
 // Craft constants
 const CRAFT_ORBITAL_ALTITUDE = 5;  // Simulation units above body surface
 const CRAFT_ACCELERATION = 2.5;    // Tunable acceleration magnitude
+const SQUADRON_DELTA_V = 60;       // What a squadron can spend from a body's orbit; see "Fuel"
 const CRAFT_COUNT_GAP_PX = 5;      // Space between a body's rim and its craft total
 const BODY_LABEL_DROP_PX = 4;      // How far the name hangs below the body's centre line
 
@@ -99,38 +101,6 @@ const GRID_FLATNESS_PX = 0.5;       // subdivide while the true curve deviates f
                                     // drawn chord by more than this
 const GRID_SUBDIV_DEPTH = 7;        // halving limit: 48px base -> ~0.4px finest
 
-// Planet lore, shown in the selected-body panel
-const planetLore = {
-    'Sol': {
-        desc: 'An ancient stellar furnace at the heart of the system. Its gravitational well anchors all orbital paths.',
-        stats: 'Classification: G-type Main Sequence'
-    },
-    'Ember': {
-        desc: 'A scorched inner world where molten rivers carve canyons through basalt plains. Once a thriving mining colony before the Great Flare.',
-        stats: 'Surface: Volcanic basalt'
-    },
-    'Terra': {
-        desc: 'The blue marble — cradle of the first spacefarers. Its orbital dockyards still echo with the hum of ion drives.',
-        stats: 'Biome: Oceanic temperate'
-    },
-    'Luna': {
-        desc: 'Terra\'s pale companion, pocked with craters that hide subterranean vaults of pre-war archives.',
-        stats: 'Surface: Regolith plains'
-    },
-    'Gaia': {
-        desc: 'A verdant giant wrapped in chlorophyll clouds. Its forests span continents and its roots reach the mantle.',
-        stats: 'Biome: Hyper-temperate'
-    },
-    'Aria': {
-        desc: 'Gaia\'s inner moon, where crystalline caves resonate with harmonic frequencies. Monks once meditated here for decades.',
-        stats: 'Surface: Crystalline'
-    },
-    'Nyx': {
-        desc: 'The dark outer moon of Gaia, perpetually in shadow. Its surface hides frozen methane lakes and smuggler outposts.',
-        stats: 'Surface: Frozen methane'
-    }
-};
-
 // Game state
 let bodies = [];
 let squadrons = []; // In-flight or planned-transfer craft groups
@@ -138,12 +108,19 @@ let selectedBody = null;
 let selectedSquadron = null;
 let hoveredBody = null;
 let bodyInfoExpanded = false;
-const SIM_SPEED = 0.1 / 6; // 0.1 sim-minutes per 6 real seconds
+const SIM_SPEED = 0.1 / 6; // 0.1 sim-minutes per 6 real seconds, at 1x
+// The clock controls. Warp multiplies SIM_SPEED; pausing stops the present without
+// touching the view, so the wheel still scrubs a paused game. A single step is one buffer
+// frame, queued here and spent by the next advanceTimeline().
+const TIME_WARP_STEPS = [1, 10, 60, 300, 600];
+let timeWarp = 1;
+let simPaused = false;
+let pendingStepFrames = 0;
 let lastTime = 0;
 
 // Transfer drag: the gesture that plans a transfer. Drag off a body that is
 // already selected and has craft, then release on another body.
-let transferDrag = null;          // { source, x, y, target } while a drag is in flight
+let transferDrag = null;          // { source, squadron, x, y, via, target } while a drag is in flight
 let transferHoldTimer = null;     // pending press-and-hold that would select under the finger
 let fanDrag = false;              // finger is sweeping across the fan of candidate transfers
 let fanDragBody = null;           // body the sweep started on top of, if any — see releaseOnMap
@@ -162,6 +139,15 @@ let stopWheelCoast = () => {};
 let transferState = 'none'; // 'none', 'searching', 'ready'
 let transferSourceBody = null;
 let transferDestinationBody = null;
+// A squadron already in flight being sent somewhere new, in place of a source body. Null
+// whenever the transfer leaves from a body — see "Redirecting a squadron in flight".
+let redirectSquadron = null;
+// A trip of several legs planned as one — see "Itineraries". The stops still to come after
+// transferDestinationBody, and the launches already committed for the legs before it.
+let transferItinerary = [];
+let itineraryLegs = [];
+// A body the scan should also look for routes swinging past, or null — see "Gravity assists".
+let transferFlybyBody = null;
 let transferQtyTouched = false; // true once the player has moved the quantity slider this search
 // The view while a transfer is being chosen — see "Choosing a transfer, at true scale"
 // above fitTransferSelection.
@@ -226,8 +212,10 @@ let isAutoFitPaused = false;
 let isTrackingSelectedSquadron = false;
 
 // Prediction state
-// predictionBuffer[frameIndex][bodyIndex] = {x, y, vx, vy}
-let predictionBuffer = [];
+// A FrameRing (frames.js) of one {x, y, vx, vy} record per body: frame 0 is the present.
+// Read it through its accessors — predictionBuffer.state(frameIndex, bodyIndex) and the
+// rest — never by indexing; recreated for the bodies in resetPredictions.
+let predictionBuffer = new FrameRing(BODY_FIELDS, 0);
 let predictionTimeAccum = 0; // Accumulated time for popping frames
 let sampleOffset = 0; // Offset for consistent trajectory sampling
 
@@ -810,7 +798,11 @@ class CelestialBody {
         // parked craft are held to be at no particular orbital phase, so there is nothing
         // to track but how many there are. See the "Transfer search" banner.
         this.craftCount = 0;
-        this.isStar = false;   // the one star is marked in initBodies; it is not a transfer destination
+        // Which way round the body those craft orbit, and so spiral out: 1 prograde, -1
+        // retrograde. See "Which way round".
+        this.orbitalDirection = 1;
+        this.isStar = false;   // set from the scenario; a star is not a transfer destination
+        this.lore = null;      // { desc, stats } from the scenario, shown in the body panel
 
         // Mass based on volume and density
         this.mass = DENSITY * (4/3) * Math.PI * Math.pow(radius, 3);
@@ -913,8 +905,9 @@ class CelestialBody {
         // Update selection/hover state via CSS classes
         this.circleElement.classList.toggle('selected', this === selectedBody);
         this.circleElement.classList.toggle('hovered', this === hoveredBody && this !== selectedBody);
-        // Lit up while a transfer drag is hovering it as the destination
-        this.circleElement.classList.toggle('drag-target', !!transferDrag && transferDrag.target === this);
+        // Lit up while a transfer drag is hovering it as the destination, or has held it as a stop
+        this.circleElement.classList.toggle('drag-target', !!transferDrag &&
+            (transferDrag.target === this || transferDrag.via.includes(this)));
 
         // Craft total and name, both set out to the right of the disc at a fixed distance
         // from its rim, so they keep the same gap from the edge at every zoom rather than
@@ -1103,6 +1096,7 @@ class Squadron {
         this.count = count; // How many craft in this squadron
         this.orbitalAltitude = orbitalAltitude;
         this.releaseAngle = 0; // where on the source body's circle this one cast off
+        this.orbitalDirection = 1; // and which way round it was going: 1 prograde, -1 retrograde
 
         // Position and velocity (always kept in sync by syncToViewFrame)
         const orbitRadius = sourceBody.radius + orbitalAltitude;
@@ -1125,6 +1119,7 @@ class Squadron {
 
         // Transfer tracking
         this.destinationBody = null; // target body for transfer (null if no transfer)
+        this.deltaV = SQUADRON_DELTA_V; // budget left once the planned flight is flown
         this.insertionFrame = 0; // frame at which orbit insertion occurs (end of trajectory)
         this.sourceBody = null; // body this squadron launches from (for pre-launch tracking)
         this.launchFrame = 0; // frames until launch (0 = already under way)
@@ -1136,8 +1131,8 @@ class Squadron {
         this.trajectoryPath = null;
 
         // Trajectory prediction buffer (used after launch, like body predictionBuffer)
-        // Array of {x, y, vx, vy, isAccelerating} states
-        this.trajectoryBuffer = [];
+        // A FrameRing of {x, y, vx, vy, isAccelerating} states, one a frame
+        this.trajectoryBuffer = new FrameRing(CRAFT_FIELDS);
 
         // Display count (adjusted for scheduled transfers during time scrub)
         this._displayCount = count;
@@ -1212,7 +1207,7 @@ class Squadron {
     waitingPose() {
         const buf = this.trajectoryBuffer;
         if (!this.sourceBody || buf.length < 2) return null;
-        const { p0, p1 } = pathStartHeading(buf.length, (i) => displayTransform(buf[i].x, buf[i].y));
+        const { p0, p1 } = pathStartHeading(buf.length, (i) => displayTransform(buf.x(i), buf.y(i)));
         return parkedRocketPose(this.sourceBody, p0, p1);
     }
 
@@ -1228,8 +1223,8 @@ class Squadron {
             const idx = Math.min(
                 Math.max(Math.round(timeViewOffset) - Math.max(0, this.launchFrame), 0),
                 buf.length - 1);
-            const a = buf[Math.max(idx - ROCKET_HEADING_FRAMES, 0)];
-            const b = buf[Math.min(idx + ROCKET_HEADING_FRAMES, buf.length - 1)];
+            const a = buf.state(Math.max(idx - ROCKET_HEADING_FRAMES, 0));
+            const b = buf.state(Math.min(idx + ROCKET_HEADING_FRAMES, buf.length - 1));
             const pa = displayTransform(a.x, a.y);
             const pb = displayTransform(b.x, b.y);
             if (Math.hypot(pb.x - pa.x, pb.y - pa.y) > 1e-6) {
@@ -1379,6 +1374,8 @@ function bodyDisplayCraftCount(body, viewFrame) {
     if (transferIsPlanning() && body === transferSourceBody && highlightedFanEntry()) {
         count -= parseInt(transferQtySlider.value, 10) || 0;
     }
+    // And the craft already given to the other destinations of a fan-out
+    if (transferIsPlanning() && body === transferSourceBody) count -= fanOutKeptCount();
 
     return Math.max(0, count);
 }
@@ -1413,33 +1410,178 @@ function addCraftToOrbit(body, count) {
     return body.craftCount;
 }
 
-// Initialize bodies
-// Create a moon orbiting a parent body
-// angle: orbital position in radians (0 = right, PI/2 = below, PI = left, 3PI/2 = above)
-function createMoon(parent, orbitalRadius, angle, radius, color, name, mass) {
-    // Calculate position relative to parent
-    const offsetX = orbitalRadius * Math.cos(angle);
-    const offsetY = orbitalRadius * Math.sin(angle);
-    const x = parent.x + offsetX;
-    const y = parent.y + offsetY;
+// ===== Scenarios =====
+//
+// The star system is data, not code: a scenario file lists the bodies, and initBodies()
+// builds whatever it is given. scenarios/sol.json is the system the game has always
+// shipped with; ?scenario=<url> loads another at boot, and "Load scenario" in the controls
+// popover loads one from disk.
+//
+// A body either orbits another one or is placed outright:
+//
+//   { "name": "Luna", "radius": 10, "mass": 1.67, "color": "#aaaaaa",
+//     "orbits": "Terra", "distance": 25, "angle": -90, "craft": 0,
+//     "lore": { "desc": "...", "stats": "..." } }
+//
+//   { "name": "Sol", "isStar": true, "radius": 80, "mass": 18000, "color": "#ffaa44",
+//     "position": [0, 0], "velocity": [0, 0] }
+//
+// An orbiting body starts on a circular orbit around its parent as it stood at that
+// moment, `angle` degrees round from the +x axis (90 = below, since y grows downward).
+// Parents have to be listed before the bodies that orbit them, so the file reads top
+// down the same way the system is built. A body orbiting anything but a star is a moon,
+// and is laid out in its parent's frame (see bodyScreenPos). `mass` may be left out, in
+// which case the body gets the density-derived mass every CelestialBody starts with.
+//
+// Everything is checked before anything is built, and every problem is reported at once
+// with the body it belongs to, because a half-built system is worse than none: the one
+// already running is kept instead.
+
+const SCENARIO_FORMAT = 'slingcraft-scenario';
+const SCENARIO_VERSION = 1;
+const DEFAULT_SCENARIO_URL = 'scenarios/sol.json';
+
+let activeScenario = null;   // the validated scenario initBodies() builds on a reset
+
+// Every problem with a parsed scenario, as sentences a person can act on. Empty means
+// it is safe to build.
+function validateScenario(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['The file is not a scenario: expected a JSON object at the top level.'];
+    }
+    if (data.format !== SCENARIO_FORMAT) {
+        errors.push(`"format" must be "${SCENARIO_FORMAT}".`);
+    }
+    if (data.version !== SCENARIO_VERSION) {
+        errors.push(`"version" ${JSON.stringify(data.version)} is not supported; this build reads version ${SCENARIO_VERSION}.`);
+    }
+    if (!Array.isArray(data.bodies) || data.bodies.length < 2) {
+        errors.push('"bodies" must be a list of at least two bodies.');
+        return errors;
+    }
+
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const isPair = (v) => Array.isArray(v) && v.length === 2 && v.every(isNum);
+    const seen = new Map();   // name -> spec, for bodies listed so far
+    data.bodies.forEach((b, i) => {
+        const where = b && typeof b.name === 'string' && b.name
+            ? `Body ${i + 1} ("${b.name}")` : `Body ${i + 1}`;
+        const bad = (msg) => errors.push(`${where}: ${msg}`);
+        if (!b || typeof b !== 'object' || Array.isArray(b)) { bad('must be an object.'); return; }
+
+        if (typeof b.name !== 'string' || !b.name.trim()) bad('needs a "name".');
+        else if (seen.has(b.name)) bad('has the same name as an earlier body.');
+        if (!isNum(b.radius) || b.radius <= 0) bad('"radius" must be a number above zero.');
+        if (b.mass !== undefined && (!isNum(b.mass) || b.mass <= 0)) {
+            bad('"mass" must be a number above zero, or left out.');
+        }
+        if (typeof b.color !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(b.color)) {
+            bad('"color" must be a hex colour like "#4488ff".');
+        }
+        if (b.isStar !== undefined && typeof b.isStar !== 'boolean') bad('"isStar" must be true or false.');
+        if (b.craft !== undefined && !(Number.isInteger(b.craft) && b.craft >= 0)) {
+            bad('"craft" must be a whole number, zero or more.');
+        }
+        if (b.parking !== undefined && b.parking !== 'prograde' && b.parking !== 'retrograde') {
+            bad('"parking" must be "prograde" or "retrograde".');
+        }
+        if (b.lore !== undefined) {
+            if (!b.lore || typeof b.lore !== 'object' || typeof b.lore.desc !== 'string') {
+                bad('"lore" must be an object with a "desc" string.');
+            } else if (b.lore.stats !== undefined && typeof b.lore.stats !== 'string') {
+                bad('"lore.stats" must be a string.');
+            }
+        }
+
+        if (b.orbits !== undefined) {
+            if (b.position !== undefined || b.velocity !== undefined) {
+                bad('give either "orbits" or "position"/"velocity", not both.');
+            }
+            if (!seen.has(b.orbits)) {
+                bad(b.orbits === b.name
+                    ? 'cannot orbit itself.'
+                    : `orbits "${b.orbits}", which is not listed above it.`);
+            }
+            if (!isNum(b.distance) || b.distance <= 0) bad('"distance" must be a number above zero.');
+            if (b.angle !== undefined && !isNum(b.angle)) bad('"angle" must be a number of degrees.');
+        } else {
+            if (b.position !== undefined && !isPair(b.position)) bad('"position" must be [x, y].');
+            if (b.velocity !== undefined && !isPair(b.velocity)) bad('"velocity" must be [vx, vy].');
+        }
+        if (typeof b.name === 'string' && !seen.has(b.name)) seen.set(b.name, b);
+    });
+
+    if (!errors.length && !data.bodies.some(b => !b.isStar)) {
+        errors.push('Every body is a star, so there is nowhere to send craft.');
+    }
+    return errors;
+}
+
+// Fetch and parse a scenario, resolving to { scenario } or { errors }. Never rejects:
+// a bad file is something to tell the player about, not an exception.
+function fetchScenario(url) {
+    return fetch(url, { cache: 'no-store' })
+        .then(res => {
+            if (!res.ok) throw new Error(`${res.status} ${res.statusText}`.trim());
+            return res.text();
+        })
+        .then(text => parseScenario(text, url))
+        .catch(err => ({ errors: [`Could not load ${url}: ${err.message}`] }));
+}
+
+function parseScenario(text, sourceName) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { errors: [`${sourceName} is not valid JSON: ${err.message}`] };
+    }
+    const errors = validateScenario(data);
+    return errors.length ? { errors } : { scenario: data };
+}
+
+// The scenario the page opens on: the one named in the URL, or the bundled system. A
+// named one that fails is reported and the bundled system loaded in its place, so a
+// typo in a link still leaves a game to play.
+function loadStartingScenario() {
+    const requested = new URLSearchParams(location.search).get('scenario');
+    const first = fetchScenario(requested || DEFAULT_SCENARIO_URL);
+    if (!requested) return first.then(r => r.scenario || (showScenarioErrors(r.errors), null));
+    return first.then(r => {
+        if (r.scenario) return r.scenario;
+        showScenarioErrors(r.errors, requested);
+        return fetchScenario(DEFAULT_SCENARIO_URL).then(d => d.scenario || null);
+    });
+}
 
-    const moon = new CelestialBody(x, y, radius, color, name);
-    moon.mass = mass;
-    // Display-only: a moon is drawn in its parent's local frame, so it stays outside the
-    // parent's exaggerated disc instead of being swallowed by it. See bodyScreenPos().
-    moon.displayParent = parent;
+function showScenarioErrors(errors, sourceName) {
+    console.log(`[Scenario] Rejected${sourceName ? ` ${sourceName}` : ''}: ${errors.join(' | ')}`);
+    const panel = document.getElementById('scenario-error');
+    document.getElementById('scenario-error-title').textContent =
+        sourceName ? `Could not load ${sourceName}` : 'Could not load the scenario';
+    const list = document.getElementById('scenario-error-list');
+    list.innerHTML = '';
+    for (const msg of errors) {
+        const li = document.createElement('li');
+        li.textContent = msg;
+        list.appendChild(li);
+    }
+    panel.classList.add('visible');
+}
 
-    // Calculate orbital velocity (perpendicular to radius vector)
-    const orbitalSpeed = Math.sqrt(G * parent.mass / orbitalRadius);
-    // Velocity is perpendicular to position offset (90 degrees ahead)
-    moon.vx = parent.vx - orbitalSpeed * Math.sin(angle);
-    moon.vy = parent.vy + orbitalSpeed * Math.cos(angle);
+// Put `body` on a circular orbit of `parent`, `angle` radians round from +x.
+function placeInOrbit(body, parent, distance, angle) {
+    body.x = parent.x + distance * Math.cos(angle);
+    body.y = parent.y + distance * Math.sin(angle);
 
-    moon.createElements();
-    return moon;
+    // Velocity is perpendicular to the offset (90 degrees ahead), on top of the parent's
+    const orbitalSpeed = Math.sqrt(G * parent.mass / distance);
+    body.vx = parent.vx - orbitalSpeed * Math.sin(angle);
+    body.vy = parent.vy + orbitalSpeed * Math.cos(angle);
 }
 
-function initBodies() {
+function initBodies(scenario = activeScenario) {
     // Remove old body elements
     for (const body of bodies) {
         body.removeElements();
@@ -1452,51 +1594,384 @@ function initBodies() {
     }
     squadrons = [];
 
-    // Central large body (like a star/planet)
-    const central = new CelestialBody(0, 0, 80, '#ffaa44', 'Sol');
-    central.mass = 18000;
-    central.isStar = true;   // marked, not inferred from index: it is not a transfer destination
-    central.createElements();
-    bodies.push(central);
-
-    // Ember - inner planet orbiting Sol
-    const ember = new CelestialBody(332.5, 0, 15, '#dd6644', 'Ember');
-    ember.mass = 20;
-    const emberDist = 332.5;
-    ember.vy = Math.sqrt(G * central.mass / emberDist);
-    ember.createElements();
-    bodies.push(ember);
-
-    // Terra - orbiting Sol
-    const terra = new CelestialBody(778.4, 0, 25, '#4488ff', 'Terra');
-    terra.mass = 75;
-    const terraDist = 778.4;
-    terra.vy = Math.sqrt(G * central.mass / terraDist);
-    terra.createElements();
-    bodies.push(terra);
-
-    // Luna - moon of Terra
-    const luna = createMoon(terra, 25, -Math.PI / 2, 10, '#aaaaaa', 'Luna', 1.67);
-    bodies.push(luna);
-
-    // Gaia - orbiting Sol
-    const gaia = new CelestialBody(-1353.8, 0, 35, '#88ff88', 'Gaia');
-    gaia.mass = 384;
-    const gaiaDist = 1353.8;
-    gaia.vy = -Math.sqrt(G * central.mass / gaiaDist);
-    gaia.createElements();
-    bodies.push(gaia);
-
-    // Aria - inner moon of Gaia
-    const aria = createMoon(gaia, 70, Math.PI / 4, 7, '#bbddbb', 'Aria', 0.415);
-    bodies.push(aria);
-
-    // Nyx - outer moon of Gaia
-    const nyx = createMoon(gaia, 84, -Math.PI / 3, 5, '#99bb99', 'Nyx', 0.21);
-    bodies.push(nyx);
-
-    // Create initial orbiting squadron at Ember
-    addCraftToOrbit(ember, 5);
+    if (!scenario) return;
+    activeScenario = scenario;
+
+    const byName = new Map();
+    for (const spec of scenario.bodies) {
+        const body = new CelestialBody(0, 0, spec.radius, spec.color, spec.name);
+        if (spec.mass !== undefined) body.mass = spec.mass;
+        body.isStar = !!spec.isStar;
+        body.lore = spec.lore || null;
+        body.orbitalDirection = spec.parking === 'retrograde' ? -1 : 1;
+
+        if (spec.orbits !== undefined) {
+            const parent = byName.get(spec.orbits);
+            placeInOrbit(body, parent, spec.distance, (spec.angle || 0) * Math.PI / 180);
+            // Display-only: a moon is drawn in its parent's local frame, so it stays outside
+            // the parent's exaggerated disc instead of being swallowed by it.
+            if (!parent.isStar) body.displayParent = parent;
+        } else {
+            [body.x, body.y] = spec.position || [0, 0];
+            [body.vx, body.vy] = spec.velocity || [0, 0];
+        }
+
+        body.createElements();
+        bodies.push(body);
+        byName.set(spec.name, body);
+        if (spec.craft) addCraftToOrbit(body, spec.craft);
+    }
+    console.log(`[Scenario] Built "${scenario.name || 'untitled'}": ${bodies.map(b => b.name).join(', ')}`);
+}
+
+// Start the active scenario over: fresh bodies, nothing in flight, the clock at the present.
+// The Reset item does this, and it is also how a freshly loaded scenario takes over:
+// initBodies() builds whichever one is active, and everything else starts over the same way.
+function restartSimulation() {
+    initBodies();
+    resetPredictions();
+    resetTransferState();
+    abandonGesture();
+    selectedBody = null;
+    selectedSquadron = null;
+    hoveredBody = null;
+    isAutoFitPaused = false;
+    isTrackingSelectedSquadron = false;
+    // Reset time scrub state
+    timeViewOffset = 0;
+    timeScrubPanelOpen = false;
+    const scrubPanel = document.getElementById('time-scrub-panel');
+    if (scrubPanel) scrubPanel.classList.remove('visible');
+    // Reset squadrons
+    for (const sq of squadrons) sq.removeElements();
+    squadrons.length = 0;
+    scheduledTransfers.length = 0;
+    camera = { x: 0, y: 0, zoom: 1 };
+    updateTimeScrubLabel();
+}
+
+// ===== Saved sessions =====
+//
+// A session is everything a reload would otherwise throw away: where every body is, how
+// many craft are parked on each, every squadron in the air or waiting to launch along with
+// the flight it has already been given, the clock and the camera. It is written out as a
+// versioned JSON snapshot — to localStorage every few seconds, so a reload picks up where
+// it left off, and to a file on request.
+//
+// Only the present is stored. The prediction buffer is not: it is a pure function of the
+// bodies' state at frame 0, so rebuilding it from the saved frame 0 gives back the same
+// numbers to the last bit, and the same map. Squadron flights are the exception and are
+// stored whole, because a flight already under way started from a moment the buffer no
+// longer holds and cannot be worked out again.
+//
+// A squadron is written down by its place in the list, and a launch's `drawnFrom` claims
+// on inbound squadrons by that same index, so a chained launch comes back tied to the
+// actual squadrons it is waiting on rather than to copies of them. A claim on one that has
+// already landed is kept as a plain count — see withdrawScheduledTransfer for where those
+// craft go back to. The launches of a rendezvous carry the number of their group, so they
+// still come down together.
+//
+// The transfer being planned, the selection and the fan are not saved; a session comes
+// back at rest.
+
+const SESSION_FORMAT = 'slingcraft-session';
+const SESSION_VERSION = 1;
+const SESSION_STORAGE_KEY = 'slingcraft.session';
+const AUTOSAVE_INTERVAL_MS = 5000;
+
+let lastAutosaveTime = 0;
+
+function captureSession() {
+    // The present, not whatever the wheel is showing: bodies hold the viewed frame
+    const present = predictionBuffer.length > 0 ? predictionBuffer.states(0) : getBodyStates();
+    const nameOf = (body) => (body ? body.name : null);
+
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        scenario: activeScenario,
+        bodies: bodies.map((b, i) => ({
+            name: b.name,
+            x: present[i].x,
+            y: present[i].y,
+            vx: present[i].vx,
+            vy: present[i].vy,
+            mass: b.mass,
+            craftCount: b.craftCount,
+            orbitalDirection: b.orbitalDirection,
+        })),
+        squadrons: squadrons.map(sq => ({
+            count: sq.count,
+            sourceBody: nameOf(sq.sourceBody),
+            destinationBody: nameOf(sq.destinationBody),
+            launchedFromBody: nameOf(sq.launchedFromBody),
+            launchFrame: sq.launchFrame,
+            flightFrame: sq.flightFrame,
+            insertionFrame: sq.insertionFrame,
+            releaseAngle: sq.releaseAngle,
+            orbitalDirection: sq.orbitalDirection,
+            orbitalAltitude: sq.orbitalAltitude,
+            escapeVelocity: sq.escapeVelocity,
+            correctionParams: sq.correctionParams,
+            deltaV: sq.deltaV,
+            // Flat [x, y, vx, vy, accelerating, ...]: a flight is a couple of thousand
+            // frames, and spelling out the keys on every one would be most of the file.
+            // It is the ring's own layout, so it goes out as it stands.
+            trajectory: Array.from(sq.trajectoryBuffer.flat()),
+            drawnFrom: sq.drawnFrom
+                ? sq.drawnFrom.map(c => c.body
+                    ? { body: c.body.name, count: c.count }
+                    : { squadron: squadrons.indexOf(c.squadron), count: c.count })
+                : null,
+        })),
+        scheduledTransfers: scheduledTransfers.map(t => ({
+            squadron: squadrons.indexOf(t.squadron),
+            sourceBody: t.sourceBody.name,
+            destBody: t.destBody.name,
+            rendezvous: t.rendezvous,
+        })),
+        predictionTimeAccum,
+        timeViewOffset,
+        integrator: activeIntegrator,
+        bodyMotion,
+        camera: { x: camera.x, y: camera.y, zoom: camera.zoom },
+        isAutoFitPaused,
+    };
+}
+
+// Every problem with a parsed session, in the same terms as validateScenario. A session
+// carries its own scenario, so it is checked the same way first.
+function validateSession(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['The file is not a saved session: expected a JSON object at the top level.'];
+    }
+    const errors = [];
+    if (data.format !== SESSION_FORMAT) errors.push(`"format" must be "${SESSION_FORMAT}".`);
+    if (data.version !== SESSION_VERSION) {
+        errors.push(`"version" ${JSON.stringify(data.version)} is not supported; this build reads version ${SESSION_VERSION}.`);
+    }
+    const scenarioErrors = validateScenario(data.scenario);
+    if (scenarioErrors.length) return errors.concat(scenarioErrors.map(e => `Scenario: ${e}`));
+
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const names = new Set(data.scenario.bodies.map(b => b.name));
+    const isBodyRef = (v) => v === null || names.has(v);
+
+    if (!Array.isArray(data.bodies) || data.bodies.length !== data.scenario.bodies.length) {
+        errors.push(`"bodies" must list all ${data.scenario.bodies.length} bodies of the scenario.`);
+    } else {
+        data.bodies.forEach((b, i) => {
+            const where = `Body ${i + 1} ("${data.scenario.bodies[i].name}")`;
+            if (!b || b.name !== data.scenario.bodies[i].name) {
+                errors.push(`${where}: does not match the scenario's body in that place.`);
+            } else if (!['x', 'y', 'vx', 'vy', 'mass'].every(k => isNum(b[k])) ||
+                       !(Number.isInteger(b.craftCount) && b.craftCount >= 0)) {
+                errors.push(`${where}: needs numeric x, y, vx, vy and mass, and a whole craftCount.`);
+            } else if (b.orbitalDirection !== undefined && b.orbitalDirection !== 1 && b.orbitalDirection !== -1) {
+                errors.push(`${where}: "orbitalDirection" must be 1 or -1.`);
+            }
+        });
+    }
+
+    const squads = Array.isArray(data.squadrons) ? data.squadrons : null;
+    if (!squads) {
+        errors.push('"squadrons" must be a list.');
+    } else {
+        squads.forEach((sq, i) => {
+            const bad = (msg) => errors.push(`Squadron ${i + 1}: ${msg}`);
+            if (!sq || typeof sq !== 'object') { bad('must be an object.'); return; }
+            if (!(Number.isInteger(sq.count) && sq.count >= 0)) bad('"count" must be a whole number.');
+            for (const k of ['sourceBody', 'destinationBody', 'launchedFromBody']) {
+                if (sq[k] !== undefined && !isBodyRef(sq[k])) bad(`"${k}" names no body in the scenario.`);
+            }
+            if (!sq.destinationBody) bad('has no "destinationBody".');
+            if (!['launchFrame', 'flightFrame', 'insertionFrame'].every(k => Number.isInteger(sq[k]))) {
+                bad('"launchFrame", "flightFrame" and "insertionFrame" must be whole numbers.');
+            }
+            if (sq.deltaV !== undefined && !(isNum(sq.deltaV) && sq.deltaV >= 0)) {
+                bad('"deltaV" must be a number, zero or more.');
+            }
+            if (sq.orbitalDirection !== undefined && sq.orbitalDirection !== 1 && sq.orbitalDirection !== -1) {
+                bad('"orbitalDirection" must be 1 or -1.');
+            }
+            if (!Array.isArray(sq.trajectory) || sq.trajectory.length % 5 !== 0 || !sq.trajectory.every(isNum)) {
+                bad('"trajectory" must be a flat list of [x, y, vx, vy, accelerating] numbers.');
+            }
+            for (const c of sq.drawnFrom || []) {
+                const ok = c && Number.isInteger(c.count) && (c.body !== undefined
+                    ? names.has(c.body)
+                    : Number.isInteger(c.squadron) && c.squadron >= -1 && c.squadron < squads.length);
+                if (!ok) { bad('has a "drawnFrom" claim on nothing it could have come from.'); break; }
+            }
+        });
+    }
+
+    if (!Array.isArray(data.scheduledTransfers)) {
+        errors.push('"scheduledTransfers" must be a list.');
+    } else if (squads) {
+        data.scheduledTransfers.forEach((t, i) => {
+            const sq = t && squads[t.squadron];
+            if (!sq || !(sq.launchFrame > 0) || !names.has(t.sourceBody) || !names.has(t.destBody)) {
+                errors.push(`Scheduled launch ${i + 1}: does not point at a squadron waiting to launch.`);
+            }
+            if (t && t.rendezvous !== undefined && !(Number.isInteger(t.rendezvous) && t.rendezvous > 0)) {
+                errors.push(`Scheduled launch ${i + 1}: "rendezvous" must be a whole number, one or more.`);
+            }
+        });
+    }
+
+    if (!isNum(data.timeViewOffset) || data.timeViewOffset < 0) {
+        errors.push('"timeViewOffset" must be a number, zero or more.');
+    }
+    if (data.integrator !== undefined && !isIntegrator(data.integrator)) {
+        errors.push(`"integrator" must be one of ${Object.keys(INTEGRATORS).map(m => `"${m}"`).join(', ')}.`);
+    }
+    if (data.bodyMotion !== undefined && !isBodyMotion(data.bodyMotion)) {
+        errors.push(`"bodyMotion" must be one of ${Object.keys(BODY_MOTIONS).map(m => `"${m}"`).join(', ')}.`);
+    }
+    if (!data.camera || !['x', 'y', 'zoom'].every(k => isNum(data.camera[k])) || data.camera.zoom <= 0) {
+        errors.push('"camera" must have numeric x, y and a zoom above zero.');
+    }
+    return errors;
+}
+
+// Put a validated session back. The scenario is rebuilt first, so every body has its
+// elements and its lore, and then overwritten with where it had got to.
+function restoreSession(data) {
+    activeScenario = data.scenario;
+    // Before anything is stepped: the buffer and every flight in the file were built with it.
+    // Saved before there was a choice, it is the one there was.
+    activeIntegrator = data.integrator || DEFAULT_INTEGRATOR;
+    bodyMotion = data.bodyMotion || DEFAULT_BODY_MOTION;
+    restartSimulation();
+
+    const byName = new Map(bodies.map(b => [b.name, b]));
+    const bodyOf = (name) => (name ? byName.get(name) : null);
+
+    data.bodies.forEach((saved, i) => {
+        const body = bodies[i];
+        body.x = saved.x;
+        body.y = saved.y;
+        body.vx = saved.vx;
+        body.vy = saved.vy;
+        body.mass = saved.mass;
+        body.craftCount = saved.craftCount;
+        // Saved before there was a choice, it is the way there was
+        body.orbitalDirection = saved.orbitalDirection || 1;
+    });
+
+    for (const saved of data.squadrons) {
+        const sq = new Squadron(bodyOf(saved.sourceBody) || bodyOf(saved.destinationBody),
+            saved.count, saved.orbitalAltitude);
+        sq.createElements();
+        sq.sourceBody = bodyOf(saved.sourceBody);
+        sq.destinationBody = bodyOf(saved.destinationBody);
+        sq.launchedFromBody = bodyOf(saved.launchedFromBody);
+        sq.launchFrame = saved.launchFrame;
+        sq.flightFrame = saved.flightFrame;
+        sq.insertionFrame = saved.insertionFrame;
+        sq.releaseAngle = saved.releaseAngle;
+        sq.orbitalDirection = saved.orbitalDirection || 1;
+        sq.escapeVelocity = saved.escapeVelocity || 0;
+        sq.correctionParams = saved.correctionParams || null;
+        // Saved before burns cost anything: it has the whole budget
+        sq.deltaV = saved.deltaV !== undefined ? saved.deltaV : SQUADRON_DELTA_V;
+        sq.trajectoryBuffer = FrameRing.fromFlat(Float64Array.from(saved.trajectory), CRAFT_FIELDS);
+        if (sq.launchFrame > 0) {
+            sq._displayCount = 0;
+            sq._displayPhase = 'pending';
+        }
+        squadrons.push(sq);
+    }
+
+    // Claims second, once every squadron they can point at exists
+    data.squadrons.forEach((saved, i) => {
+        if (!saved.drawnFrom) return;
+        squadrons[i].drawnFrom = saved.drawnFrom.map(c => {
+            if (c.body !== undefined) return { body: byName.get(c.body), count: c.count };
+            // -1: the inbound squadron had landed when this was saved, so it is on the body
+            return c.squadron >= 0 ? { squadron: squadrons[c.squadron], count: c.count } : { count: c.count };
+        });
+    });
+
+    for (const t of data.scheduledTransfers) {
+        scheduledTransfers.push({
+            squadron: squadrons[t.squadron],
+            sourceBody: byName.get(t.sourceBody),
+            destBody: byName.get(t.destBody),
+            rendezvous: t.rendezvous,
+        });
+        if (t.rendezvous >= nextRendezvousGroup) nextRendezvousGroup = t.rendezvous + 1;
+    }
+
+    predictionTimeAccum = isFinite(data.predictionTimeAccum) ? data.predictionTimeAccum : 0;
+    timeViewOffset = data.timeViewOffset;
+    // On rails the buffer runs only as far as it is asked to, so ask for everything the
+    // session was looking at. Nothing in the n-body mode.
+    ensurePredictionFrames(Math.max(Math.round(timeViewOffset) + FAN_MIN_BUFFER_FRAMES,
+        ...squadrons.map(sq => Math.max(0, sq.launchFrame) + sq.trajectoryBuffer.length)));
+    camera = { x: data.camera.x, y: data.camera.y, zoom: data.camera.zoom };
+    isAutoFitPaused = !!data.isAutoFitPaused;
+    updateTimeScrubLabel();
+    console.log(`[Session] Restored ${squadrons.length} squadron(s), ${scheduledTransfers.length} scheduled, saved ${data.savedAt || 'at an unknown time'}`);
+}
+
+// Parse, check and restore in one go, for a file or the autosave. Returns the errors,
+// empty on success; nothing is touched unless the whole session checks out.
+function loadSessionText(text, sourceName) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return [`${sourceName} is not valid JSON: ${err.message}`];
+    }
+    const errors = validateSession(data);
+    if (!errors.length) restoreSession(data);
+    return errors;
+}
+
+// Called every frame; writes at most once per AUTOSAVE_INTERVAL_MS unless forced. Not
+// before the buffer exists, since until then there is no settled present to write down.
+function autosaveSession(force = false) {
+    const now = performance.now();
+    if (!force && now - lastAutosaveTime < AUTOSAVE_INTERVAL_MS) return;
+    if (!activeScenario || predictionBuffer.length === 0) return;
+    lastAutosaveTime = now;
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(captureSession()));
+    } catch (err) {
+        // Full or unavailable storage costs the autosave, not the game
+        console.log(`[Session] Autosave failed: ${err.message}`);
+    }
+}
+
+// Pick up the autosave at boot. A scenario named in the URL is a request to start on it,
+// so it wins over whatever was running last time.
+function resumeAutosavedSession() {
+    if (new URLSearchParams(location.search).has('scenario')) return;
+    let text = null;
+    try {
+        text = localStorage.getItem(SESSION_STORAGE_KEY);
+    } catch (err) {
+        return;
+    }
+    if (!text) return;
+    const errors = loadSessionText(text, 'the autosaved session');
+    if (errors.length) {
+        // Stale or from another version: start fresh rather than nag on every load
+        console.log(`[Session] Ignored autosave: ${errors.join(' | ')}`);
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+}
+
+function exportSession() {
+    const blob = new Blob([JSON.stringify(captureSession())], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `slingcraft-session-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
 }
 
 // Calculate gravitational acceleration
@@ -1528,30 +2003,334 @@ function calculateGravity(body, otherBodies) {
 
 // Calculate system energies
 function calculateEnergies() {
+    return systemEnergy(bodies, getBodyMasses());
+}
+
+// The same, for any set of body states: kinetic, plus the potential of every pair
+function systemEnergy(states, masses) {
     let kinetic = 0;
     let potential = 0;
 
-    for (const body of bodies) {
-        kinetic += body.kineticEnergy;
+    for (let i = 0; i < states.length; i++) {
+        const speed = Math.sqrt(states[i].vx * states[i].vx + states[i].vy * states[i].vy);
+        kinetic += 0.5 * masses[i] * speed * speed;
     }
 
     // Potential energy between all pairs
-    for (let i = 0; i < bodies.length; i++) {
-        for (let j = i + 1; j < bodies.length; j++) {
-            const b1 = bodies[i];
-            const b2 = bodies[j];
-            const dx = b2.x - b1.x;
-            const dy = b2.y - b1.y;
+    for (let i = 0; i < states.length; i++) {
+        for (let j = i + 1; j < states.length; j++) {
+            const dx = states[j].x - states[i].x;
+            const dy = states[j].y - states[i].y;
             const dist = Math.sqrt(dx * dx + dy * dy);
 
             // U = -G * m1 * m2 / r
-            potential -= G * b1.mass * b2.mass / Math.max(dist, MIN_DISTANCE);
+            potential -= G * masses[i] * masses[j] / Math.max(dist, MIN_DISTANCE);
         }
     }
 
     return { kinetic, potential, total: kinetic + potential };
 }
 
+// --- Integrator ------------------------------------------------------------------
+//
+// Which of the methods in integrators.js steps this session: the bodies as the buffer is
+// built, every craft in flight, and — because each scan carries it — every route the
+// workers try. It is saved with the session and comes back with it.
+//
+// It can only be changed while nothing is in the air. A flight is a list of positions
+// worked out against the buffer as it stood; rebuild the buffer with another method and
+// the planets move by a little, the flight does not, and a squadron arrives at where its
+// destination used to be. With nothing flying the buffer is simply rebuilt from the
+// present, and everything after is stepped the new way.
+//
+// The drift report is the reason to change it. Total energy is the one thing the physics
+// must keep, and the readout in the corner shows it moving as the clock runs; the report
+// beside it steps the present across the whole buffer once with each method and says how
+// far each let the total wander from where it started, as a fraction of it.
+
+let activeIntegrator = DEFAULT_INTEGRATOR;
+
+const integratorItem = document.getElementById('integrator-item');
+const integratorName = document.getElementById('integrator-name');
+const driftReportBtn = document.getElementById('drift-report-btn');
+const driftReport = document.getElementById('drift-report');
+
+// Why the integrator cannot be changed now, or null if it can
+function integratorLockReason() {
+    return squadrons.length > 0 ? 'Locked while anything is in flight or scheduled' : null;
+}
+
+function updateIntegratorItem() {
+    integratorName.textContent = INTEGRATORS[activeIntegrator];
+    const locked = integratorLockReason();
+    integratorItem.classList.toggle('locked', !!locked);
+    integratorItem.querySelector('.item-desc').textContent =
+        locked || 'How orbits and flights are stepped; tap for the next method';
+}
+
+// Step this session with `method`. Returns false, changing nothing, if it cannot be now.
+function setIntegrator(method) {
+    if (!isIntegrator(method) || integratorLockReason()) return false;
+    if (method === activeIntegrator) return true;
+
+    // Rebuilt from the present, which the bodies are put back to first: they hold
+    // whatever frame the wheel was showing
+    const present = predictionBuffer.length > 0 ? predictionBuffer.states(0) : getBodyStates();
+    bodies.forEach((body, i) => {
+        body.x = present[i].x;
+        body.y = present[i].y;
+        body.vx = present[i].vx;
+        body.vy = present[i].vy;
+    });
+    activeIntegrator = method;
+    resetTransferState();
+    setTimeViewOffset(0);
+    resetPredictions();
+    // The workers' copy was built the old way; the next scan re-primes them
+    workerPoolReady = false;
+    workerPrimePending = false;
+
+    console.log(`[Integrator] ${INTEGRATORS[method]}`);
+    updateIntegratorItem();
+    return true;
+}
+
+const INTEGRATOR_ORDER = Object.keys(INTEGRATORS);
+
+integratorItem.addEventListener('click', () => {
+    const next = INTEGRATOR_ORDER[(INTEGRATOR_ORDER.indexOf(activeIntegrator) + 1) % INTEGRATOR_ORDER.length];
+    setIntegrator(next);
+    updateIntegratorItem();
+});
+
+// How often the energy is taken while measuring drift. The total is a sum over every pair,
+// so taking it every frame would cost more than the stepping.
+const DRIFT_SAMPLE_FRAMES = 10;
+
+// How many frames the report steps between two animation frames. Each method runs the
+// whole buffer, and all three at once would hold the page up until they were done.
+const DRIFT_FRAMES_PER_TICK = 1000;
+
+// A measurement of `method` over `frames` from the present, stepped along by
+// advanceEnergyDrift. `worst` is the furthest the total got from the start so far.
+function startEnergyDrift(method, frames = PREDICTION_FRAMES) {
+    const masses = getBodyMasses();
+    const states = predictionBuffer.length > 0 ? predictionBuffer.states(0) : getBodyStates();
+    return {
+        method, frames, masses, states,
+        initial: systemEnergy(states, masses).total,
+        stepped: 0,
+        worst: 0,
+        elapsedMs: 0,
+    };
+}
+
+// Step `run` up to `budget` frames further. Returns true once it has stepped them all.
+function advanceEnergyDrift(run, budget = Infinity) {
+    const started = performance.now();
+    const until = Math.min(run.frames, run.stepped + budget);
+    while (run.stepped < until) {
+        run.states = simulateStep(run.states, run.masses, PREDICTION_DT, run.method);
+        run.stepped++;
+        if (run.stepped % DRIFT_SAMPLE_FRAMES === 0 || run.stepped === run.frames) {
+            run.worst = Math.max(run.worst, Math.abs(systemEnergy(run.states, run.masses).total - run.initial));
+        }
+    }
+    run.elapsedMs += performance.now() - started;
+    return run.stepped >= run.frames;
+}
+
+// Where `run` ended up: `worst` and `end`, both relative to the start
+function energyDriftResult(run) {
+    const scale = Math.abs(run.initial) || 1;
+    return {
+        method: run.method,
+        worst: run.worst / scale,
+        end: (systemEnergy(run.states, run.masses).total - run.initial) / scale,
+        elapsedMs: run.elapsedMs,
+    };
+}
+
+// Step the present `frames` ahead with `method`, all at once
+function measureEnergyDrift(method, frames = PREDICTION_FRAMES) {
+    const run = startEnergyDrift(method, frames);
+    advanceEnergyDrift(run);
+    return energyDriftResult(run);
+}
+
+// The report under way: { runs, rows, resolve }, the runs still to finish first
+let driftReportRun = null;
+
+// Every method, side by side, into the report. It is stepped a slice at a time across
+// animation frames, each method from the same present, and the promise settles with the
+// rows once the last is in; pressed again meanwhile, it hands back the same one.
+function runDriftReport() {
+    if (driftReportRun) return driftReportRun.promise;
+    const run = { runs: INTEGRATOR_ORDER.map((method) => startEnergyDrift(method)), rows: [] };
+    run.promise = new Promise((resolve) => { run.resolve = resolve; });
+    driftReportRun = run;
+    driftReportBtn.disabled = true;
+    driftReportBtn.textContent = 'Drift 0%';
+    requestAnimationFrame(advanceDriftReport);
+    return run.promise;
+}
+
+function advanceDriftReport() {
+    const run = driftReportRun;
+    const current = run.runs[run.rows.length];
+    if (advanceEnergyDrift(current, DRIFT_FRAMES_PER_TICK)) run.rows.push(energyDriftResult(current));
+    if (run.rows.length < run.runs.length) {
+        const stepped = run.runs.reduce((sum, r) => sum + r.stepped, 0);
+        const total = run.runs.reduce((sum, r) => sum + r.frames, 0);
+        driftReportBtn.textContent = `Drift ${Math.round((stepped / total) * 100)}%`;
+        requestAnimationFrame(advanceDriftReport);
+        return;
+    }
+
+    driftReportRun = null;
+    driftReportBtn.disabled = false;
+    driftReportBtn.textContent = 'Drift';
+    showDriftReport(run.rows);
+    run.resolve(run.rows);
+}
+
+function showDriftReport(rows) {
+    driftReport.replaceChildren(...rows.map((r) => {
+        const row = document.createElement('span');
+        row.className = 'drift-row' + (r.method === activeIntegrator ? ' active' : '');
+        row.dataset.method = r.method;
+        row.textContent = `${INTEGRATORS[r.method]}: ±${r.worst.toExponential(1)}` +
+            ` (${r.elapsedMs.toFixed(0)}ms)`;
+        return row;
+    }));
+    driftReport.hidden = false;
+    console.log('[Integrator] Drift over ' +
+        `${(PREDICTION_FRAMES * PREDICTION_DT).toFixed(0)}m: ` +
+        rows.map((r) => `${r.method} ${r.worst.toExponential(2)}`).join(', '));
+}
+
+// The readout it sits in toggles the body details; this press is the report's alone
+driftReportBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    runDriftReport();
+});
+
+// --- Bodies on rails -------------------------------------------------------------
+//
+// The bodies either pull on each other, stepped frame by frame into the prediction buffer
+// by the integrator, or run on rails: fixed Kepler orbits fitted to the present, from which
+// any frame can be worked out directly (see rails.js). Which is saved with the session, and
+// like the integrator it can only change with nothing in the air.
+//
+// The buffer is still what everything reads — the map, the wheel, craft in flight — but on
+// rails it has no fixed end. Each frame of the game it is kept at least RAILS_EXTEND_FRAMES
+// past the moment being viewed, so turning the wheel further lays more of it down on the
+// next frame rather than in the middle of the turn, and it is grown in steps of that size
+// so as not to be extended a frame at a time. It never shrinks until the rails are fitted
+// again, and never grows past RAILS_MAX_FRAMES: every frame of it is memory, and the wheel
+// stops there. The workers are not sent it at all: they get the rails and work out the
+// stretch each scan needs for themselves, so a scan can go as far out as the wheel.
+
+const RAILS_EXTEND_FRAMES = Math.round(600 / PREDICTION_DT);   // ten hours
+const RAILS_MAX_FRAMES = Math.round(6000 / PREDICTION_DT);     // a hundred hours
+
+let bodyMotion = DEFAULT_BODY_MOTION;
+let bodyRails = null;              // the fitted rails, once there is a buffer built on them
+let railsFirstFrame = 0;           // rails frame of the buffer's frame 0
+let predictionHorizonFrames = PREDICTION_FRAMES;   // on rails, how long the buffer is kept
+
+const bodyMotionItem = document.getElementById('body-motion-item');
+const bodyMotionName = document.getElementById('body-motion-name');
+
+// Why the bodies cannot go on rails or come off them now, or null if they can
+function bodyMotionLockReason() {
+    if (squadrons.length > 0) return 'Locked while anything is in flight or scheduled';
+    if (bodyMotion === 'rails') return null;
+    const present = predictionBuffer.length > 0 ? predictionBuffer.states(0) : getBodyStates();
+    const { unbound } = fitRails(present, getBodyMasses(), G, MIN_DISTANCE);
+    if (unbound.length === 0) return null;
+    return `${unbound.map(i => bodies[i].name).join(', ')} ${unbound.length === 1 ? 'is' : 'are'} ` +
+        'not on a closed orbit, so nothing can go on rails';
+}
+
+function updateBodyMotionItem() {
+    bodyMotionName.textContent = BODY_MOTIONS[bodyMotion];
+    const locked = bodyMotionLockReason();
+    bodyMotionItem.classList.toggle('locked', !!locked);
+    bodyMotionItem.querySelector('.item-desc').textContent = locked || (bodyMotion === 'rails'
+        ? 'Planets and moons follow fixed orbits, with no end to the prediction; tap for n-body'
+        : `Planets and moons pull on each other, for ${PREDICTION_TIME} minutes ahead; tap to put them on rails`);
+}
+
+// Move the bodies by `motion` from now on. Returns false, changing nothing, if it cannot.
+function setBodyMotion(motion) {
+    if (!isBodyMotion(motion) || bodyMotionLockReason()) return false;
+    if (motion === bodyMotion) return true;
+
+    // Rebuilt from the present, as for a change of integrator
+    const present = predictionBuffer.length > 0 ? predictionBuffer.states(0) : getBodyStates();
+    bodies.forEach((body, i) => {
+        body.x = present[i].x;
+        body.y = present[i].y;
+        body.vx = present[i].vx;
+        body.vy = present[i].vy;
+    });
+    bodyMotion = motion;
+    resetTransferState();
+    setTimeViewOffset(0);
+    resetPredictions();
+    workerPoolReady = false;
+    workerPrimePending = false;
+
+    console.log(`[Bodies] ${BODY_MOTIONS[motion]}`);
+    updateBodyMotionItem();
+    return true;
+}
+
+bodyMotionItem.addEventListener('click', () => {
+    setBodyMotion(bodyMotion === 'rails' ? 'nbody' : 'rails');
+    updateBodyMotionItem();
+});
+
+// Fit the rails to the bodies as they stand, for a buffer about to be built from them. A
+// system with something unbound cannot go on rails, and falls back to n-body rather than
+// having no prediction at all.
+function fitBodyRails() {
+    const rails = fitRails(getBodyStates(), getBodyMasses(), G, MIN_DISTANCE);
+    if (rails.unbound.length > 0) {
+        console.log(`[Bodies] ${rails.unbound.map(i => bodies[i].name).join(', ')} cannot go on rails; n-body instead`);
+        bodyMotion = 'nbody';
+        return false;
+    }
+    bodyRails = rails;
+    // The buffer starts a frame after the bodies, as a stepped one does
+    railsFirstFrame = 1;
+    return true;
+}
+
+// Lay the buffer down from the rails out to the horizon
+function extendRailsBuffer() {
+    if (predictionBuffer.length >= predictionHorizonFrames) return;
+    railsFrames(bodyRails, predictionBuffer, railsFirstFrame + predictionBuffer.length,
+        predictionHorizonFrames - predictionBuffer.length, PREDICTION_DT);
+}
+
+// Make the buffer at least `frames` long, or RAILS_MAX_FRAMES if that is less, if the bodies
+// can say where they will be that far out. Only rails can; in the n-body mode the buffer is
+// as long as it is.
+function ensurePredictionFrames(frames) {
+    if (bodyMotion !== 'rails' || frames <= predictionHorizonFrames) return;
+    predictionHorizonFrames = Math.min(RAILS_MAX_FRAMES,
+        Math.ceil(frames / RAILS_EXTEND_FRAMES) * RAILS_EXTEND_FRAMES);
+    if (bodyRails) extendRailsBuffer();
+}
+
+// The furthest the wheel can be turned. On rails, RAILS_EXTEND_FRAMES further than it was
+// the last frame, up to the cap — see advanceTimeline.
+function timeViewMaxOffset() {
+    return predictionBuffer.length > 0 ? predictionBuffer.length - 1 : 0;
+}
+
 // Advance timeline - manages the prediction buffer and advances the "present" marker.
 // Does NOT set body/craft positions; that's done by syncToViewFrame().
 function advanceTimeline(dt) {
@@ -1565,13 +2344,28 @@ function advanceTimeline(dt) {
     // centre swings about, so the map wanders back and forth while the orbits draw themselves
     // in behind it. Nothing on screen can be right until the whole buffer exists, so build all
     // of it before drawing any of it.
-    const catchupBudget = predictionBuffer.length === 0 ? PREDICTION_FRAMES : MAX_CATCHUP_FRAMES;
+    //
+    // Under time warp the present eats buffer frames as well as a running simulation adding
+    // them, and a fixed budget would let the buffer drain a little every frame until scans
+    // ran out of horizon. So the budget is whatever was consumed this frame on top of the
+    // usual catch-up: the buffer can only ever grow back, at any speed.
+    //
+    // The advance itself is capped at MAX_ADVANCE_FRAMES. A long frame — a tab coming back
+    // from the background, say — at 600x would otherwise ask for hours of sim time at once,
+    // and every one of those frames is a shift with arrivals and launches to process. Time
+    // the cap drops is simply skipped: the clock slips rather than the page stalling.
+    predictionTimeAccum += simPaused ? 0 : dt * SIM_SPEED * timeWarp;
+    predictionTimeAccum += pendingStepFrames * PREDICTION_DT;
+    pendingStepFrames = 0;
+    predictionTimeAccum = Math.min(predictionTimeAccum, MAX_ADVANCE_FRAMES * PREDICTION_DT);
+    let framesConsumed = 0;
 
     // Accumulate time and pop frames from front as present advances
-    predictionTimeAccum += dt * SIM_SPEED;
     while (predictionTimeAccum >= PREDICTION_DT && predictionBuffer.length > 0) {
+        framesConsumed++;
         // Pop the front frame (present advances by one tick)
         predictionBuffer.shift();
+        railsFirstFrame++;
 
         // Advance squadron state for this tick
         const squadronsToRemove = [];
@@ -1630,8 +2424,9 @@ function advanceTimeline(dt) {
             // Only here, where the clock arrived on its own: a player who scrubs down to
             // the present themselves has said what they want, and is left there.
             if (timeViewOffset === 0 && transferIsPlanning()) {
-                setTimeViewOffset(TRANSFER_LEAD_FRAMES);
-                clockSetByTransfer = TRANSFER_LEAD_FRAMES;
+                const lead = transferLeadFrames();
+                setTimeViewOffset(lead);
+                clockSetByTransfer = lead;
             }
         }
 
@@ -1648,14 +2443,14 @@ function advanceTimeline(dt) {
 
                 // Set initial position/velocity from first trajectory frame
                 if (transit.trajectoryBuffer.length > 0) {
-                    const firstFrame = transit.trajectoryBuffer[0];
+                    const firstFrame = transit.trajectoryBuffer.state(0);
                     transit.x = firstFrame.x;
                     transit.y = firstFrame.y;
                     transit.vx = firstFrame.vx;
                     transit.vy = firstFrame.vy;
                     transit.isAccelerating = firstFrame.isAccelerating !== undefined ? firstFrame.isAccelerating : true;
 
-                    // Set escape velocity for prograde acceleration
+                    // Set escape velocity for the spiral out along its orbit
                     const body = entry.sourceBody;
                     const orbitRadius = body.radius + CRAFT_ORBITAL_ALTITUDE;
                     transit.escapeVelocity = Math.sqrt(2 * G * body.mass / orbitRadius);
@@ -1686,12 +2481,24 @@ function advanceTimeline(dt) {
         sampleOffset = (sampleOffset - 1 + SAMPLE_INTERVAL) % SAMPLE_INTERVAL;
     }
 
+    // On rails the frames are worked out rather than stepped, and are cheap enough not to
+    // need a budget. They are laid out ahead of the moment being viewed here, once a frame,
+    // so that the wheel always has further to turn without its handlers laying any.
+    if (bodyMotion === 'rails' && (bodyRails || fitBodyRails())) {
+        ensurePredictionFrames(Math.round(timeViewOffset) + FAN_MIN_BUFFER_FRAMES + RAILS_EXTEND_FRAMES);
+        extendRailsBuffer();
+        return;
+    }
+
     // Add new predictions to maintain buffer (see catchupBudget above)
+    const catchupBudget = predictionBuffer.length === 0
+        ? PREDICTION_FRAMES
+        : MAX_CATCHUP_FRAMES + framesConsumed;
     let framesAdded = 0;
     while (predictionBuffer.length < PREDICTION_FRAMES && framesAdded < catchupBudget) {
         // Always extend from the last state in buffer
         const lastState = predictionBuffer.length > 0
-            ? predictionBuffer[predictionBuffer.length - 1]
+            ? predictionBuffer.states(predictionBuffer.length - 1)
             : getBodyStates();
 
         const nextState = simulateStep(lastState, masses, PREDICTION_DT);
@@ -1711,12 +2518,11 @@ function syncToViewFrame() {
     const frameIndex = Math.min(Math.max(viewFrame, 0), predictionBuffer.length - 1);
 
     // Set body positions from the viewed frame
-    const state = predictionBuffer[frameIndex];
     for (let i = 0; i < bodies.length; i++) {
-        bodies[i].x = state[i].x;
-        bodies[i].y = state[i].y;
-        bodies[i].vx = state[i].vx;
-        bodies[i].vy = state[i].vy;
+        bodies[i].x = predictionBuffer.x(frameIndex, i);
+        bodies[i].y = predictionBuffer.y(frameIndex, i);
+        bodies[i].vx = predictionBuffer.vx(frameIndex, i);
+        bodies[i].vy = predictionBuffer.vy(frameIndex, i);
     }
 
     // Set craft positions for the viewed frame. Every squadron is in flight — craft at
@@ -1739,7 +2545,7 @@ function syncToViewFrame() {
                 craft._displayPhase = 'pending';
             } else if (trajIdx >= 0 && trajIdx < craft.trajectoryBuffer.length) {
                 // In transit: position along trajectory
-                const futurePos = craft.trajectoryBuffer[trajIdx];
+                const futurePos = craft.trajectoryBuffer.state(trajIdx);
                 craft.x = futurePos.x;
                 craft.y = futurePos.y;
                 craft.vx = futurePos.vx;
@@ -1767,7 +2573,7 @@ function syncToViewFrame() {
             } else {
                 // Already launched, past end of trajectory buffer
                 const craftFrame = craft.trajectoryBuffer.length - 1;
-                const futurePos = craft.trajectoryBuffer[craftFrame];
+                const futurePos = craft.trajectoryBuffer.state(craftFrame);
                 craft.x = futurePos.x;
                 craft.y = futurePos.y;
                 craft.vx = futurePos.vx;
@@ -1796,14 +2602,13 @@ function extendCraftBuffers() {
             const craftMaxFrames = Math.min(predictionBuffer.length, MAX_CRAFT_PREDICTION_FRAMES);
             while (craft.trajectoryBuffer.length < craftMaxFrames && predictionBuffer.length > 0) {
                 const lastState = craft.trajectoryBuffer.length > 0
-                    ? craft.trajectoryBuffer[craft.trajectoryBuffer.length - 1]
+                    ? craft.trajectoryBuffer.state(craft.trajectoryBuffer.length - 1)
                     : { x: craft.x, y: craft.y, vx: craft.vx, vy: craft.vy, isAccelerating: craft.isAccelerating };
 
                 const frameIndex = craft.trajectoryBuffer.length;
                 const flightFrameAtStep = craft.flightFrame + frameIndex;
                 if (frameIndex < predictionBuffer.length) {
-                    const bodyStates = predictionBuffer[frameIndex];
-                    const nextState = simulateCraftStep(craft, lastState, bodyStates, flightFrameAtStep);
+                    const nextState = simulateCraftStep(craft, lastState, frameIndex, flightFrameAtStep);
                     craft.trajectoryBuffer.push(nextState);
                 }
             }
@@ -1814,32 +2619,20 @@ function extendCraftBuffers() {
 }
 
 // Simulate one step forward for craft trajectory buffer extension
+// frame: the buffer frame the step starts at; the bodies are interpolated toward the next
 // flightFrameAtStep: the flight frame number for this step (for correction boost)
-function simulateCraftStep(craft, lastState, bodyStates, flightFrameAtStep = -1) {
+function simulateCraftStep(craft, lastState, frame, flightFrameAtStep = -1) {
     const launchBodyIndex = bodies.indexOf(craft.launchedFromBody);
+    const here = predictionBuffer.offset(frame);
+    const next = predictionBuffer.offset(Math.min(frame + 1, predictionBuffer.length - 1));
 
-    let ax = 0;
-    let ay = 0;
-
-    // Calculate gravity from all bodies
-    for (let i = 0; i < bodyStates.length; i++) {
-        const bodyState = bodyStates[i];
-        const dx = bodyState.x - lastState.x;
-        const dy = bodyState.y - lastState.y;
-        const distSq = dx * dx + dy * dy;
-        const dist = Math.sqrt(distSq);
-        const safeDist = Math.max(dist, MIN_DISTANCE);
-
-        const mass = bodies[i].mass;
-        const acceleration = G * mass / (safeDist * safeDist);
-        ax += acceleration * (dx / dist);
-        ay += acceleration * (dy / dist);
-    }
+    let tx = 0;
+    let ty = 0;
 
     // Apply craft acceleration if in escape acceleration phase
     let isAccelerating = lastState.isAccelerating;
     if (isAccelerating && launchBodyIndex >= 0) {
-        const launchBodyState = bodyStates[launchBodyIndex];
+        const launchBodyState = predictionBuffer.state(frame, launchBodyIndex);
         const dx = lastState.x - launchBodyState.x;
         const dy = lastState.y - launchBodyState.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
@@ -1847,8 +2640,8 @@ function simulateCraftStep(craft, lastState, bodyStates, flightFrameAtStep = -1)
         const accelDirX = -craft.orbitalDirection * dy / dist;
         const accelDirY = craft.orbitalDirection * dx / dist;
 
-        ax += CRAFT_ACCELERATION * accelDirX;
-        ay += CRAFT_ACCELERATION * accelDirY;
+        tx += CRAFT_ACCELERATION * accelDirX;
+        ty += CRAFT_ACCELERATION * accelDirY;
 
         const relVx = lastState.vx - launchBodyState.vx;
         const relVy = lastState.vy - launchBodyState.vy;
@@ -1863,21 +2656,28 @@ function simulateCraftStep(craft, lastState, bodyStates, flightFrameAtStep = -1)
         const params = craft.correctionParams;
         if (flightFrameAtStep >= params.startFrame &&
             flightFrameAtStep < params.startFrame + params.duration) {
-            ax += CRAFT_ACCELERATION * Math.cos(params.angle);
-            ay += CRAFT_ACCELERATION * Math.sin(params.angle);
+            tx += CRAFT_ACCELERATION * Math.cos(params.angle);
+            ty += CRAFT_ACCELERATION * Math.sin(params.angle);
         }
     }
 
-    const vx = lastState.vx + ax * PREDICTION_DT;
-    const vy = lastState.vy + ay * PREDICTION_DT;
+    // Gravity from all bodies, plus the thrust decided above
+    const field = craftGravityField();
+    const state = { x: lastState.x, y: lastState.y, vx: lastState.vx, vy: lastState.vy };
+    const substeps = craftSubsteps(PREDICTION_DT,
+        encounterTimescale(field, here, state.x, state.y, state.vx, state.vy, Math.hypot(tx, ty)));
+    stepCraft(activeIntegrator, state, PREDICTION_DT, (x, y, tau, out) => {
+        craftGravity(field, here, next, tau, x, y, out);
+        out.ax += tx;
+        out.ay += ty;
+    }, substeps);
+    state.isAccelerating = isAccelerating;
+    return state;
+}
 
-    return {
-        x: lastState.x + vx * PREDICTION_DT,
-        y: lastState.y + vy * PREDICTION_DT,
-        vx,
-        vy,
-        isAccelerating
-    };
+// What pulls a craft flown through the buffer: see "Gravity on a craft" in integrators.js
+function craftGravityField() {
+    return { data: predictionBuffer.data, masses: bodies.map((b) => b.mass), g: G, minDistance: MIN_DISTANCE };
 }
 
 //
@@ -1896,19 +2696,39 @@ function simulateCraftStep(craft, lastState, bodyStates, flightFrameAtStep = -1)
 // depends on where it sits. Change one back and the other stops being honest.
 //
 // A scan is cheap enough — tens of milliseconds spread over the worker pool — that
-// moving the time wheel simply runs another one. See ANGLE_OPTIMIZE_BUDGET in
-// transfer-worker.js for what fixes that cost.
+// moving the time wheel simply runs another one. See "Refining the fan" for what fixes
+// that cost.
 
-// Release angles sampled around the circle. Only the most promising ANGLE_OPTIMIZE_BUDGET
-// of them get the expensive burn optimization, so raising this widens the net the cheap
-// pass casts without changing what the scan costs.
+// Release angles sampled around the circle. Only the most promising in each sector get
+// the expensive burn optimization, so raising this widens the net the cheap pass casts
+// without changing what the scan costs. Every sector count the fan uses divides it.
 const FAN_ANGLE_COUNT = 360;
 
+// The fan's two passes — see "Refining the fan"
+const FAN_COARSE_SECTORS = 24;          // 15 degrees each
+const FAN_REFINE_SPLITS = [5, 3];       // each coarse sector cut into this many, finest that fits
+const FAN_REFINE_BUDGET = 54;           // fine sectors at most, over and above the coarse
+
+// When two routes are the same route: arrivals within a hundredth of each other (or two
+// frames), and paths apart by no more than a hundredth of how far they go on average
+const FAN_MERGE_ARRIVAL = 0.01;
+const FAN_MERGE_ARRIVAL_FRAMES = 2;
+const FAN_MERGE_PATH = 0.01;
+const FAN_MERGE_SAMPLES = 16;
+
 // How long the viewed moment must hold still before a scrub triggers a fresh scan.
 // Spinning the wheel crosses hundreds of frames; without this every one would queue work
 // that the next frame invalidates.
 const FAN_RESCAN_QUIET_MS = 120;
 
+// How many scanned fans are remembered, and which moments either side of the one on screen
+// are scanned ahead, once nothing else has wanted the workers for FAN_PREWARM_IDLE_MS — a
+// frame is about two and a half degrees of the wheel, so these are the nudges. See
+// "Remembered fans".
+const FAN_CACHE_SIZE = 32;
+const FAN_PREWARM_OFFSETS = [1, -1, 2, -2];
+const FAN_PREWARM_IDLE_MS = 1000;
+
 // How near a finger has to come to a trajectory, in screen px, to pick it up.
 const FAN_PICK_RADIUS_PX = 44;
 
@@ -1921,22 +2741,40 @@ const FAN_MIN_BUFFER_FRAMES = MAX_TRANSFER_FRAMES + 100;
 let workerPool = [];               // Array of web workers
 let workerPoolReady = false;       // Whether all workers hold the current prediction buffer
 let workerReadyCount = 0;
-let workerBufferShifts = 0;        // buffer shifts since the workers were last primed
 let workerPrimePending = false;
+let workerRing = null;             // the prediction buffer the workers were primed with
+// Of a copied buffer, the frame numbers the workers' copies run from and to — see
+// syncWorkerFrames
+let workerSyncedBase = 0;
+let workerSyncedEnd = 0;
 
 // The fan. One entry per viable release angle, sorted by arrival, each:
-//   { releaseAngle, arrivalOffset, error, burn:{start,duration,angle}, path:[{x,y}] }
+//   { releaseAngle, arrivalOffset, error, burn:{start,duration,angle}, path:[{x,y}],
+//     sector, kind }
+// `sector` names the sector it came from, across both passes — see fanSectorResults.
 let transferFan = [];
 let fanHighlight = -1;             // index into transferFan the player is on, -1 for none
+let fanHighlightChosen = false;    // the player has picked a route since this fan's scan began
 let fanLaunchFrame = -1;           // buffer frame the current fan launches from
 let fanScanGeneration = 0;         // bumped per scan so stale shard results are dropped
-let fanScanPending = 0;            // shards still working
+let fanScanPending = 0;            // shards still working, their sectors arriving as they go
 let fanScanStartedAt = 0;
 let fanScanElapsedMs = 0;          // wall time of the last completed scan, for the info bar
 let fanScanSlowestShardMs = 0;     // worst shard's own time, to tell compute from overhead
 let fanScanQueuedFrame = -1;       // frame we intend to scan once the view settles
 let fanScanQueuedAt = 0;
 let fanHasScanned = false;         // true once one scan has completed for this transfer
+let fanScanKey = null;             // what the scan in flight is remembered under, if it completes
+let fanScanParams = null;          // and what it was asked, for its fine pass
+let fanScanStage = 'coarse';       // which pass it is on: 'coarse' or 'fine'
+let fanSettledAt = 0;              // when the fan on screen was last completed
+// Remembered fans — see that section
+const fanCache = new Map();        // scan key -> the fan's entries, least recently shown first
+let fanCacheRing = null;           // the prediction buffer they were scanned against
+let fanCacheBodies = '';           // and the bodies, by name and mass
+let fanWarm = null;                // the scan running ahead: { id, key, params, results, pending, stage }
+let fanWarmCount = 0;              // scans run ahead so far, the last one's id
+let fanWarmedGeneration = -1;      // the fan whose neighbours are all remembered
 
 function initWorkerPool() {
     const numWorkers = navigator.hardwareConcurrency || 4;
@@ -1956,29 +2794,94 @@ function initWorkerPool() {
     workerReadyCount = 0;
 }
 
-// Hand every worker the current prediction buffer. Scans cannot start until they all
-// acknowledge, because a shard integrating against a stale buffer would return
-// trajectories that do not match the ones beside them in the same fan.
+// --- Sharing the buffer with the workers ------------------------------------------
+//
+// Every scan integrates against the prediction buffer, so every worker needs it, and
+// needs it as it stands: a shard working from a stale buffer would return trajectories
+// that do not match the ones beside them in the same fan.
+//
+// Where the page is cross-origin isolated (dev-server.js sends the headers) the buffer
+// lives in shared memory and the workers read the page's own frames — primed once with the
+// memory itself, and never sent another frame. Everywhere else each worker keeps a copy:
+// primed with the whole buffer, then brought up to date with only what has changed — the
+// frames taken off the front and the frames added at the end — just before each job is
+// posted. A copy is a few frames behind between jobs, never by the time one is read.
+//
+// A ring that is shared is made with SHARED_RING_SLACK_FRAMES of room beyond the
+// PREDICTION_FRAMES the page keeps in it. Frames just behind the present are only written
+// over once the far end comes round to them, so a job posted this far behind the present
+// can still read its frames — under full warp that is a dozen seconds of waiting for a
+// busy worker. Jobs name their launch by frame number for the same reason: see "The buffer
+// for a job" in the worker.
 //
-// This copies the whole buffer to every worker, so it is deliberately driven by demand
-// rather than by the clock: workers are re-primed when a scan is about to need them and
-// the buffer has moved since last time, not on every shift. Scans only happen when the
-// player starts a transfer or moves the time wheel, so in practice this is rare.
+// Shared memory can be turned off with ?share=0 in the page's address, to try the copies.
+
+const SHARED_RING_SLACK_FRAMES = 1200;
+
+const SHARE_PREDICTION_BUFFER = FrameRing.canShare() &&
+    new URLSearchParams(location.search).get('share') !== '0';
+
+// A new, empty prediction buffer for the bodies: shared with the workers if it can be.
+// Not on rails, where the buffer grows without end and the workers have no use for it.
+function newPredictionBuffer() {
+    return SHARE_PREDICTION_BUFFER && bodyMotion !== 'rails'
+        ? FrameRing.shared(BODY_FIELDS, bodies.length, PREDICTION_FRAMES + SHARED_RING_SLACK_FRAMES)
+        : new FrameRing(BODY_FIELDS, bodies.length, PREDICTION_FRAMES);
+}
+
+// Hand every worker the current prediction buffer — the memory, the whole of a copy, or on
+// rails only the rails. Scans cannot start until they all acknowledge. Needed again only
+// when the buffer is replaced, which resetPredictions does.
 function primeWorkers() {
     if (workerPool.length === 0) return;
     const bodiesMasses = bodies.map(b => b.mass);
     workerPoolReady = false;
     workerReadyCount = 0;
-    workerBufferShifts = 0;
+    workerRing = predictionBuffer;
+    workerSyncedBase = predictionBuffer.base;
+    workerSyncedEnd = predictionBuffer.base + predictionBuffer.length;
+
+    let message;
+    if (bodyRails) {
+        // See "Bodies on rails"; frame numbers count from the buffer's, as a job's do
+        message = { type: 'init', rails: bodyRails, railsFirstFrame: railsFirstFrame - predictionBuffer.base,
+            bodiesMasses };
+    } else if (predictionBuffer.header) {
+        message = { type: 'init', sharedBuffer: predictionBuffer.handle(), bodiesMasses };
+    } else {
+        message = { type: 'init', predictionBuffer: predictionBuffer.flat(), base: predictionBuffer.base,
+            capacity: predictionBuffer.capacity, bodiesMasses };
+    }
+    for (const worker of workerPool) {
+        worker.postMessage(message);
+    }
+}
+
+// Bring the workers' copies of the buffer up to the page's: drop what has gone off the
+// front since last time, append what has been added at the end. Nothing to do for a
+// shared buffer or on rails.
+function syncWorkerFrames() {
+    if (bodyRails || predictionBuffer.header) return;
+    const end = predictionBuffer.base + predictionBuffer.length;
+    const drop = predictionBuffer.base - workerSyncedBase;
+    const from = Math.max(workerSyncedEnd, predictionBuffer.base);
+    if (drop === 0 && from === end) return;
+
+    const frames = predictionBuffer.flat(from - predictionBuffer.base);
     for (const worker of workerPool) {
-        worker.postMessage({ type: 'init', predictionBuffer, bodiesMasses });
+        worker.postMessage({ type: 'frames', drop, frames });
     }
+    workerSyncedBase = predictionBuffer.base;
+    workerSyncedEnd = end;
 }
 
-// True when the workers can be trusted to integrate against the same buffer the main
-// thread is showing. Kicks off a prime if not, and returns false until it lands.
+// True when the workers hold the buffer a job can be posted against, brought up to date.
+// Kicks off a prime if not, and returns false until it lands.
 function workersAreCurrent() {
-    if (workerPoolReady && workerBufferShifts === 0) return true;
+    if (workerPoolReady && workerRing === predictionBuffer) {
+        syncWorkerFrames();
+        return true;
+    }
     if (!workerPrimePending) {
         workerPrimePending = true;
         primeWorkers();
@@ -1991,7 +2894,43 @@ function handleWorkerMessage(workerIndex, e) {
 
     if (msg.type === 'error') {
         console.error('Worker', workerIndex, 'error:', msg.error, msg.stack);
-        if (fanScanPending > 0) fanScanPending--;
+        if (msg.job === 'sweep') porkchopBusy.delete(workerIndex);
+        else if (msg.job === 'compare') {
+            handleCompareResult(workerIndex, { ...compareBusy.get(workerIndex), failed: true });
+        }
+        else if (msg.job === 'earliest') {
+            handleEarliestResult(workerIndex, { generation: earliestBusy.get(workerIndex), best: null });
+        } else if (msg.job === 'rendezvous') {
+            handleRendezvousResult(workerIndex, { generation: rendezvousBusy.get(workerIndex), jobIndex: -1, routes: [] });
+        } else if (msg.warm) {
+            // Its other shards go on sending under the same generation: the id drops them
+            if (fanWarm && msg.warm === fanWarm.id) fanWarm = null;
+        }
+        else if (msg.generation === fanScanGeneration) {
+            // A fan missing a shard's routes is shown, not remembered
+            fanScanKey = null;
+            fanShardDone();
+        }
+        return;
+    }
+
+    if (msg.type === 'sweepResult') {
+        handlePorkchopResult(workerIndex, msg);
+        return;
+    }
+
+    if (msg.type === 'earliestResult') {
+        handleEarliestResult(workerIndex, msg);
+        return;
+    }
+
+    if (msg.type === 'rendezvousResult') {
+        handleRendezvousResult(workerIndex, msg);
+        return;
+    }
+
+    if (msg.type === 'compareResult') {
+        handleCompareResult(workerIndex, msg);
         return;
     }
 
@@ -2004,95 +2943,429 @@ function handleWorkerMessage(workerIndex, e) {
         return;
     }
 
-    if (msg.type !== 'result') return;
+    if (msg.type !== 'sector' && msg.type !== 'scanDone') return;
+
+    if (msg.warm) {
+        handleWarmMessage(msg);
+        return;
+    }
 
     // Drop anything from a scan the player has already moved on from.
     if (msg.generation !== fanScanGeneration) return;
 
-    for (const r of msg.results) {
-        transferFan.push(r);
+    // A sector's routes join the fan as soon as they are tuned, so it fills in while the
+    // rest of the circle is still being scanned
+    if (msg.type === 'sector') {
+        if (!mergeIntoFan(transferFan, fanSectorResults(msg))) return;
+        sortFan();
+        updateTransferPanel();
+        return;
     }
+
     fanScanSlowestShardMs = Math.max(fanScanSlowestShardMs, msg.elapsedMs || 0);
+    fanShardDone();
+}
 
+function fanShardDone() {
     if (fanScanPending > 0) fanScanPending--;
+    if (fanScanPending > 0) return;
+    if (fanScanStage === 'coarse') {
+        // On to the fine pass, if the coarse one found anything to refine
+        fanScanStage = 'fine';
+        fanScanPending = postFanScan(fanScanParams, refinementOf(transferFan));
+        if (fanScanPending > 0) return;
+    }
+    finishFanScan();
+}
 
-    if (fanScanPending === 0) {
-        finishFanScan();
+// Earliest arrival first: the fan reads as a ranked list, and the default pick is the
+// quickest way there — or, with an arrival window set, nearest first to the arrival it
+// prefers (see "Arrival window"). Routes keep arriving while a scan runs and each lot
+// reorders the fan, so the highlight is moved with the route it is on — or, until the
+// player has picked one, to whichever route is now the pick.
+function sortFan() {
+    const held = highlightedFanEntry();
+    const arriveAt = fanLaunchFrame >= 0 ? transferScanParams(fanLaunchFrame)?.arriveAt : undefined;
+    const rank = arriveAt === undefined ? (e) => e.arrivalOffset : (e) => Math.abs(e.arrivalOffset - arriveAt);
+    transferFan.sort((a, b) => rank(a) - rank(b));
+    fanHighlight = fanHighlightChosen && held ? transferFan.indexOf(held) : defaultFanPick();
+    // A kept destination reopened: back on the route it was kept with, once the fan has it
+    if (fanOutPick) {
+        const kept = transferFan.findIndex(e => sameRoute(e, fanOutPick));
+        if (kept >= 0) {
+            fanHighlight = kept;
+            fanHighlightChosen = true;
+            fanOutPick = null;
+        }
     }
 }
 
-function finishFanScan() {
-    // Earliest arrival first: the fan reads as a ranked list, and the default pick is the
-    // quickest way there.
-    transferFan.sort((a, b) => a.arrivalOffset - b.arrivalOffset);
+function finishFanScan(remembered = false) {
+    // As the workers found it, before the planner's route is added
+    if (fanScanKey) rememberFan(fanScanKey, transferFan.slice());
+    fanScanKey = null;
+    offerEarliestProposal();
+    sortFan();
+    fanOutPick = null;   // not in the fan at this moment, so the default pick stands
     fanScanElapsedMs = performance.now() - fanScanStartedAt;
+    fanSettledAt = performance.now();
     fanHasScanned = true;
 
-    fanHighlight = transferFan.length > 0 ? 0 : -1;
-
     if (transferState === 'searching') {
         transferState = 'ready';
     }
 
     console.log(`[Fan] ${transferSourceBody?.name}->${transferDestinationBody?.name} ` +
         `launch=${(fanLaunchFrame * PREDICTION_DT).toFixed(1)}m: ` +
-        `${transferFan.length} viable in ${fanScanElapsedMs.toFixed(0)}ms ` +
-        `(slowest shard ${fanScanSlowestShardMs.toFixed(0)}ms of ${workerPool.length})`);
+        `${transferFan.length} viable ` + (remembered ? '(remembered)' :
+            `in ${fanScanElapsedMs.toFixed(0)}ms ` +
+            `(slowest shard ${fanScanSlowestShardMs.toFixed(0)}ms of ${workerPool.length})`));
 
     updateTransferPanel();
 }
 
-// Start a scan of the whole release circle for a launch at `launchFrame`.
-function startFanScan(launchFrame) {
-    if (!transferSourceBody || !transferDestinationBody) return;
-    if (workerPool.length === 0 || !workerPoolReady) return;
+// How the scan picks each sector's angles to tune: by their Lambert arcs, or with
+// ?seeding=sweep by flying each one out with no burn, as it used to. See "Lambert seeding"
+// in the worker.
+const FAN_SEEDING = new URLSearchParams(location.search).get('seeding') === 'sweep' ? 'sweep' : 'lambert';
 
-    const sourceBodyIndex = bodies.indexOf(transferSourceBody);
-    const destBodyIndex = bodies.indexOf(transferDestinationBody);
-    if (sourceBodyIndex < 0 || destBodyIndex < 0) return;
-    if (launchFrame < 0 || launchFrame >= predictionBuffer.length) return;
+// Which of optimizers.js tunes each route's burn: coordinate descent, or whichever
+// ?optimizer= names. The comparison in the menu says how they differ.
+const FAN_OPTIMIZER = (() => {
+    const named = new URLSearchParams(location.search).get('optimizer');
+    return isOptimizer(named) ? named : DEFAULT_OPTIMIZER;
+})();
+
+// What a worker needs to scan the pair being planned for a launch at `launchFrame`, or null
+// if there is no such scan to run.
+function transferScanParams(launchFrame) {
+    const params = redirectSquadron ? redirectScanParams(launchFrame)
+        : scanParamsFor(transferSourceBody, transferDestinationBody, launchFrame);
+    // This transfer's own, so not for scans of other pairs
+    return params && { ...params, ...arrivalWindowParams(params.launchFrame) };
+}
+
+// What a scan from `source` to `dest` leaving at `launchFrame` is sent, for the transfer
+// being planned or for any other pair
+function scanParamsFor(source, dest, launchFrame) {
+    if (!source || !dest) return null;
+    const sourceBodyIndex = bodies.indexOf(source);
+    const destBodyIndex = bodies.indexOf(dest);
+    if (sourceBodyIndex < 0 || destBodyIndex < 0) return null;
+    if (launchFrame < 0 || launchFrame >= predictionBuffer.length) return null;
 
-    const orbitRadius = transferSourceBody.radius + CRAFT_ORBITAL_ALTITUDE;
+    const orbitRadius = source.radius + CRAFT_ORBITAL_ALTITUDE;
 
-    const params = {
-        launchFrame,
+    return {
+        // By frame number, which still names this moment when a worker gets to it
+        launchFrame: predictionBuffer.base + launchFrame,
         sourceBodyIndex,
         destBodyIndex,
-        destBodyRadius: transferDestinationBody.radius,
+        destBodyRadius: dest.radius,
         orbitRadius,
-        orbitalSpeed: Math.sqrt(G * transferSourceBody.mass / orbitRadius),
-        escapeVelocity: Math.sqrt(2 * G * transferSourceBody.mass / orbitRadius),
-        // Prograde. The release angle already covers every direction you can leave in;
-        // reversing the orbit as well would only mirror the fan.
-        orbitalDirection: 1,
+        orbitalSpeed: Math.sqrt(G * source.mass / orbitRadius),
+        escapeVelocity: Math.sqrt(2 * G * source.mass / orbitRadius),
+        // Not a mirror of each other — see "Which way round" in the worker
+        orbitalDirections: departureDirections(source),
+        ...flybyScanParams(),
+        ...fuelScanParams(SQUADRON_DELTA_V),
+        ...arrivalScanParams(),
+        // The page's own, so a route scanned is the route flown
+        integrator: activeIntegrator,
+        seeding: FAN_SEEDING,
+        optimizer: FAN_OPTIMIZER,
     };
+}
 
-    fanScanGeneration++;
+// Start a scan of the whole release circle for a launch at `launchFrame` — or, for a moment
+// already scanned, put up the fan it found.
+function startFanScan(launchFrame) {
+    const params = transferScanParams(launchFrame);
+    if (!params) return;
+    const key = fanCacheKey(params);
+    const remembered = rememberedFan(key);
+    if (!remembered && (workerPool.length === 0 || !workerPoolReady)) return;
+
+    // Any scan still running is superseded. A new one takes over on the workers on its own;
+    // a remembered fan needs them told.
+    if (remembered) cancelFanScan();
+    else fanScanGeneration++;
+    fanWarm = null;
     transferFan = [];
     fanHighlight = -1;
+    fanHighlightChosen = false;
     fanLaunchFrame = launchFrame;
-    fanScanPending = workerPool.length;
     fanScanStartedAt = performance.now();
     fanScanSlowestShardMs = 0;
     fanScanQueuedFrame = -1;
 
+    if (remembered) {
+        fanScanKey = null;
+        fanScanPending = 0;
+        transferFan = remembered.slice();
+        finishFanScan(true);
+        return;
+    }
+
+    fanScanKey = key;
+    fanScanParams = params;
+    fanScanStage = 'coarse';
+    fanScanPending = postFanScan(params, null);
+}
+
+// Stop whatever fan scan is running, with nothing to take its place. Its shards stop at the
+// end of the sector they are on, and anything they had already sent is dropped on arrival.
+function cancelFanScan() {
+    const generation = fanScanGeneration++;
+    fanScanKey = null;
+    fanWarm = null;
+    for (const worker of workerPool) worker.postMessage({ type: 'cancel', generation });
+}
+
+// --- Refining the fan ---------------------------------------------------------------
+//
+// The release circle used to be cut into a fixed 72 sectors, one route tuned from each.
+// It was a compromise and said so: 36 missed options, 120 drew neighbours too alike to
+// tell apart. The trouble is that one number has to do for the whole circle, and most of
+// the circle has nothing in it — a pair has a few arcs of angles that work, and every
+// sector outside them is a tuning spent on finding nothing.
+//
+// So a scan is two passes. The coarse pass cuts the circle into FAN_COARSE_SECTORS and
+// tunes each as ever, which is enough to say where the arcs are. The fine pass then cuts
+// only the coarse sectors that found a route, plus a fine sector either side of each for
+// an arc that runs over the edge, into the finest of FAN_REFINE_SPLITS the budget allows,
+// and tunes those. If even the coarsest split will not fit, the sectors with the quickest
+// routes are refined first until it is spent. The fine pass goes out as soon as the last
+// coarse shard is in, under the same generation, so a scrub cancels both alike.
+//
+// Finer sectors find more routes, and more routes that are the same route. A route that
+// arrives within FAN_MERGE_ARRIVAL of one already in the fan, along a path that keeps
+// within FAN_MERGE_PATH of it, is not added — whichever came first stays, and the fan is
+// never reshuffled to swap one near-copy for another. The coarse pass goes first, so it
+// is the fine pass's routes that have to earn their place. Warm scans are merged the same
+// way, so a remembered fan is the fan a scan would have put up.
+//
+// Where the circle is mostly open, as from Ember to Terra, the fine pass has to spread
+// thin and the fan is about what fixed sectors gave, the fine pass's near-copies merged
+// away; where it is mostly shut, what used to go on empty sectors goes into the open ones,
+// and the fan is about as full, or fuller, for fewer sectors tuned. The "[Fan]" line each
+// scan logs says how many routes it kept and how long it took.
+
+// Post one pass of a fan scan to the workers: the whole circle, coarse, or with
+// `refinement` ({ sectorCount, sectors }) just those sectors, dealt round. `warm` is the
+// id of the scan running ahead it belongs to, if it does. Returns how many shards went out.
+function postFanScan(params, refinement, warm = 0) {
+    let posted = 0;
     for (let i = 0; i < workerPool.length; i++) {
-        workerPool[i].postMessage({
+        const job = {
             type: 'scan',
+            // A warm scan takes the fan on screen's: a real scan after it supersedes it. Its
+            // own id tells it from the warm scans before it, which share that generation.
             generation: fanScanGeneration,
+            warm,
             params,
             shardIndex: i,
             shardCount: workerPool.length,
             angleCount: FAN_ANGLE_COUNT,
-        });
+            sectorCount: FAN_COARSE_SECTORS,
+            // Both ends of each sector — see "Fast or cheap"
+            cheapest: true,
+        };
+        if (refinement) {
+            job.sectorCount = refinement.sectorCount;
+            job.sectors = refinement.sectors.filter((_, k) => k % workerPool.length === i);
+            if (job.sectors.length === 0) continue;
+        }
+        workerPool[i].postMessage(job);
+        posted++;
     }
+    return posted;
+}
+
+// The fine pass for a fan the coarse pass found `entries` for, or null if there is nothing
+// to refine
+function refinementOf(entries) {
+    const coarseSpan = FAN_ANGLE_COUNT / FAN_COARSE_SECTORS;
+    const quickest = new Map();    // coarse sector -> its quickest arrival
+    for (const e of entries) {
+        if (e.sector < 0 || e.sector >= FAN_ANGLE_COUNT) continue;   // not the coarse pass's
+        const coarse = Math.floor(e.sector / coarseSpan);
+        quickest.set(coarse, Math.min(quickest.get(coarse) ?? Infinity, e.arrivalOffset));
+    }
+    if (quickest.size === 0) return null;
+    const order = [...quickest.keys()].sort((a, b) => quickest.get(a) - quickest.get(b));
+
+    // A coarse sector's fine sectors, and one over each edge
+    const around = (coarse, split) => {
+        const count = FAN_COARSE_SECTORS * split;
+        const fine = [];
+        for (let f = coarse * split - 1; f <= (coarse + 1) * split; f++) fine.push((f + count) % count);
+        return fine;
+    };
+    const needed = (split) => new Set(order.flatMap((coarse) => around(coarse, split))).size;
+    const split = FAN_REFINE_SPLITS.find((k) => needed(k) <= FAN_REFINE_BUDGET) ??
+        FAN_REFINE_SPLITS[FAN_REFINE_SPLITS.length - 1];
+
+    const sectors = new Set();
+    for (const coarse of order) {
+        const more = around(coarse, split).filter((f) => !sectors.has(f));
+        if (sectors.size + more.length > FAN_REFINE_BUDGET) break;
+        more.forEach((f) => sectors.add(f));
+    }
+    return { sectorCount: FAN_COARSE_SECTORS * split, sectors: [...sectors] };
+}
+
+// A sector message's routes, each marked with a `sector` that names its sector whichever
+// pass it is from: where the sector starts, in steps of FAN_ANGLE_COUNT, and for the fine
+// pass FAN_ANGLE_COUNT more, since a fine sector can start where a coarse one does
+function fanSectorResults(msg) {
+    const span = FAN_ANGLE_COUNT / msg.sectorCount;
+    const pass = msg.sectorCount === FAN_COARSE_SECTORS ? 0 : FAN_ANGLE_COUNT;
+    return msg.results.map((e) => ({ ...e, sector: pass + e.sector * span }));
+}
+
+// True if `a` and `b` are as good as the same route
+function sameRoute(a, b) {
+    const arrivalGap = Math.abs(a.arrivalOffset - b.arrivalOffset);
+    if (arrivalGap > Math.max(FAN_MERGE_ARRIVAL * a.arrivalOffset, FAN_MERGE_ARRIVAL_FRAMES)) return false;
+
+    // Side by side at the same fraction of the way along each
+    const at = (path, k) => path[Math.round(k / FAN_MERGE_SAMPLES * (path.length - 1))];
+    let apart = 0;
+    for (let k = 0; k <= FAN_MERGE_SAMPLES; k++) {
+        const p = at(a.path, k);
+        const q = at(b.path, k);
+        apart += Math.hypot(p.x - q.x, p.y - q.y);
+    }
+    const end = a.path[a.path.length - 1];
+    const reach = Math.hypot(end.x - a.path[0].x, end.y - a.path[0].y) || 1;
+    return apart / (FAN_MERGE_SAMPLES + 1) <= FAN_MERGE_PATH * reach;
+}
+
+// Add one sector's routes to `fan`, those it does not already have a copy of. A sector
+// whose quickest route is already there brings nothing: its cheap one, a few degrees
+// round from it, is as good as the cheap one of the route it copies, and it would be a
+// cheap route with no quick partner in its sector. Each way round the sector was searched
+// is taken on its own. True if any were added.
+function mergeIntoFan(fan, entries) {
+    const before = fan.length;
+    for (const direction of new Set(entries.map((e) => e.direction))) {
+        const ours = entries.filter((e) => e.direction === direction);
+        const quick = ours.find((e) => e.kind !== 'cheap');
+        if (quick && fan.some((held) => sameRoute(held, quick))) continue;
+        for (const e of ours) {
+            if (!fan.some((held) => sameRoute(held, e))) fan.push(e);
+        }
+    }
+    return fan.length > before;
+}
+
+// --- Remembered fans ----------------------------------------------------------------
+//
+// A scan is the same question every time it is asked of the same moment: the same pair,
+// the same launch frame, the same fly-by, fuel and integrator. So a completed fan is kept,
+// and scrubbing back onto a moment already scanned puts its fan up at once, without the
+// quiet period or the workers. Up to FAN_CACHE_SIZE of them, the least recently shown
+// forgotten first.
+//
+// They are keyed by the scan's own params, which name the launch by frame number (see
+// "Sharing the buffer with the workers"), so a remembered fan still belongs to its moment
+// however far the present has moved since — just as fanLaunchFrame does. They are only
+// good for the buffer they were scanned against: a new buffer, which is what a new system,
+// integrator or way of moving the bodies makes, forgets all of them, and so does any body
+// changing mass.
+//
+// With the fan on screen settled and nothing else wanting the workers, the moments a nudge
+// of the wheel either way lands on are scanned ahead into the same memory — quietly, and
+// dropped the moment anything real needs the workers.
+
+function fanCacheKey(params) {
+    return JSON.stringify(params);
+}
+
+// The remembered fans, emptied first if they were scanned against another buffer or system
+function fanCacheEntries() {
+    const system = bodies.map(b => `${b.name}:${b.mass}`).join();
+    if (fanCacheRing !== predictionBuffer || fanCacheBodies !== system) {
+        fanCache.clear();
+        fanCacheRing = predictionBuffer;
+        fanCacheBodies = system;
+    }
+    return fanCache;
+}
+
+function rememberedFan(key) {
+    const cache = fanCacheEntries();
+    const entries = cache.get(key);
+    if (!entries) return null;
+    cache.delete(key);
+    cache.set(key, entries);
+    return entries;
+}
+
+function rememberFan(key, entries) {
+    const cache = fanCacheEntries();
+    cache.delete(key);
+    cache.set(key, entries);
+    while (cache.size > FAN_CACHE_SIZE) cache.delete(cache.keys().next().value);
+}
+
+function fanIsRemembered(launchFrame) {
+    const params = transferScanParams(launchFrame);
+    return !!params && fanCacheEntries().has(fanCacheKey(params));
+}
+
+// Called every frame. Scans the next unremembered neighbour of the fan on screen, once the
+// workers have had nothing else to do for a while.
+function updateFanPrewarm() {
+    if (!transferIsPlanning() || fanWarm || fanWarmedGeneration === fanScanGeneration) return;
+    if (!fanHasScanned || fanScanPending > 0 || Math.round(timeViewOffset) !== fanLaunchFrame) return;
+    if (earliestSearch || earliestBusy.size > 0) return;
+    if (rendezvousSearch || rendezvousBusy.size > 0) return;
+    if (optimizerComparison || compareBusy.size > 0) return;
+    if (porkchop && (porkchop.next < PORKCHOP_SAMPLES || porkchopBusy.size > 0)) return;
+    if (performance.now() - fanSettledAt < FAN_PREWARM_IDLE_MS) return;
+    if (!workersAreCurrent()) return;
+
+    for (const offset of FAN_PREWARM_OFFSETS) {
+        const params = transferScanParams(fanLaunchFrame + offset);
+        if (!params) continue;
+        const key = fanCacheKey(params);
+        if (fanCacheEntries().has(key)) continue;
+
+        fanWarm = { id: ++fanWarmCount, key, params, results: [], pending: 0, stage: 'coarse' };
+        fanWarm.pending = postFanScan(params, null, fanWarm.id);
+        return;
+    }
+    fanWarmedGeneration = fanScanGeneration;
+}
+
+function handleWarmMessage(msg) {
+    const warm = fanWarm;
+    if (!warm || msg.warm !== warm.id || msg.generation !== fanScanGeneration) return;
+    if (msg.type === 'sector') {
+        mergeIntoFan(warm.results, fanSectorResults(msg));
+        return;
+    }
+    if (--warm.pending > 0) return;
+    if (warm.stage === 'coarse') {
+        warm.stage = 'fine';
+        warm.pending = postFanScan(warm.params, refinementOf(warm.results), warm.id);
+        if (warm.pending > 0) return;
+    }
+    warm.results.sort((a, b) => a.arrivalOffset - b.arrivalOffset);
+    rememberFan(warm.key, warm.results);
+    fanWarm = null;
 }
 
 // Called every frame while a transfer is being planned. Decides when the fan on screen no
-// longer matches the moment being viewed, and re-scans once the view has settled.
+// longer matches the moment being viewed, and re-scans once the view has settled — over
+// the top of a scan still running, which is cancelled by the new one starting.
 function updateTransferSearch() {
     if (!transferIsPlanning()) return;
-    if (!transferSourceBody || !transferDestinationBody) {
+    // A squadron that lands while its redirect is being chosen has nothing left to redirect
+    const source = redirectSquadron ? squadrons.includes(redirectSquadron) : transferSourceBody;
+    if (!source || !transferDestinationBody) {
         resetTransferState();
         return;
     }
@@ -2103,9 +3376,13 @@ function updateTransferSearch() {
     // The fan still describes the moment on screen: nothing to do. Note that a buffer
     // shift moves BOTH timeViewOffset and fanLaunchFrame down together, so time simply
     // passing never looks like a scrub.
-    if (viewFrame === fanLaunchFrame && fanScanPending === 0) return;
+    if (viewFrame === fanLaunchFrame) return;
 
-    if (fanScanPending > 0) return;   // let the in-flight scan land first
+    // A moment already scanned comes straight back, with nothing to wait for
+    if (fanIsRemembered(viewFrame)) {
+        startFanScan(viewFrame);
+        return;
+    }
 
     // Wait for the wheel to stop before spending a scan on a frame the player is
     // sweeping past.
@@ -2130,6 +3407,1321 @@ function formatTransferDuration(frames) {
     return `${Math.floor(minutes / 60)}h ${Math.round(minutes % 60)}m`;
 }
 
+// --- Launch-window heatmap -----------------------------------------------------
+//
+// A fan answers "what can I do at this moment"; the heatmap answers "which moment should
+// I be looking at". While a transfer is being planned the worker pool sweeps a row of
+// launch moments ahead of the present, a lighter scan at each, and records how many routes
+// each moment has and how quick the best of them is. The time-scrub panel draws that as a
+// strip — one cell per moment, warm for quick, cool for slow, faint for few routes and
+// empty for none — and tapping a cell puts the clock there.
+//
+// The fan always comes first. A sweep job only goes to a worker that is idle while the fan
+// on screen is current, and each is one moment, so a scan the player asks for waits behind
+// at most one job per worker — a few hundred milliseconds on a slow machine. The strip
+// fills in over the few seconds after each fan lands.
+//
+// Samples are pinned to physical moments the same way the fan is (see updateFanOnShift),
+// so the strip slides left as time passes. Once a quarter of it has slid into the past,
+// the sweep starts over from the present.
+
+const PORKCHOP_SAMPLES = 60;
+const PORKCHOP_SPAN_FRAMES = Math.round(300 / PREDICTION_DT);  // five hours ahead
+const PORKCHOP_SECTORS = 24;          // a third of the fan's: enough to rate a moment
+const PORKCHOP_ANGLE_COUNT = 120;
+const PORKCHOP_STRIP_WIDTH = 120;     // px, matching the wheel it sits under
+
+// { generation, startFrame, step, samples: [{ routes, bestArrival } | null], next }
+let porkchop = null;
+let porkchopGeneration = 0;
+const porkchopBusy = new Set();       // worker indices holding a sweep job
+
+function startPorkchopSweep() {
+    porkchopGeneration++;
+    porkchop = {
+        generation: porkchopGeneration,
+        startFrame: 0,
+        step: Math.round(PORKCHOP_SPAN_FRAMES / PORKCHOP_SAMPLES),
+        samples: new Array(PORKCHOP_SAMPLES).fill(null),
+        next: 0,
+    };
+}
+
+function stopPorkchopSweep() {
+    porkchopGeneration++;
+    porkchop = null;
+}
+
+// Called every frame. Hands the next moments out to idle workers.
+function updatePorkchopSweep() {
+    if (!porkchop || !transferIsPlanning()) return;
+    if (earliestSearch) return;   // the planner's answer makes the strip moot until it lands
+
+    if (porkchop.startFrame < -PORKCHOP_SPAN_FRAMES / 4) startPorkchopSweep();
+    if (porkchop.next >= PORKCHOP_SAMPLES) return;
+
+    // The fan on screen first: not while a scan is out or a re-scan is wanted
+    if (fanScanPending > 0 || Math.round(timeViewOffset) !== fanLaunchFrame) return;
+    if (predictionBuffer.length < FAN_MIN_BUFFER_FRAMES || !workersAreCurrent()) return;
+
+    for (let i = 0; i < workerPool.length && porkchop.next < PORKCHOP_SAMPLES; i++) {
+        if (porkchopBusy.has(i)) continue;
+        const sampleIndex = porkchop.next++;
+        const params = transferScanParams(porkchop.startFrame + sampleIndex * porkchop.step);
+        if (!params) {
+            // Already in the past: nothing to scan, so it counts as done with no routes. The
+            // strip draws nothing left of the present anyway.
+            porkchop.samples[sampleIndex] = { routes: 0, bestArrival: -1 };
+            finishPorkchopSweep();
+            continue;
+        }
+        porkchopBusy.add(i);
+        workerPool[i].postMessage({
+            type: 'sweep',
+            generation: porkchop.generation,
+            params,
+            sampleIndex,
+            angleCount: PORKCHOP_ANGLE_COUNT,
+            sectorCount: PORKCHOP_SECTORS,
+        });
+    }
+}
+
+function handlePorkchopResult(workerIndex, msg) {
+    porkchopBusy.delete(workerIndex);
+    if (!porkchop || msg.generation !== porkchop.generation) return;
+    porkchop.samples[msg.sampleIndex] = { routes: msg.routes, bestArrival: msg.bestArrival };
+    finishPorkchopSweep();
+}
+
+// Once every sample is in, say where the quickest moment on the strip was
+function finishPorkchopSweep() {
+    if (porkchop.samples.every(Boolean)) {
+        let best = -1;
+        porkchop.samples.forEach((p, k) => {
+            if (p.routes > 0 && (best < 0 || p.bestArrival < porkchop.samples[best].bestArrival)) best = k;
+        });
+        console.log(`[Porkchop] ${transferSourceBody?.name}->${transferDestinationBody?.name}: ` +
+            `${porkchop.samples.filter(p => p.routes > 0).length}/${PORKCHOP_SAMPLES} moments open` +
+            (best >= 0 ? `, quickest ${formatTransferDuration(porkchop.samples[best].bestArrival)} ` +
+                `at +${((porkchop.startFrame + best * porkchop.step) * PREDICTION_DT).toFixed(0)}m` : ''));
+    }
+}
+
+// The strip, redrawn with the wheel while the panel is open.
+function drawPorkchopStrip() {
+    const strip = document.getElementById('porkchop-strip');
+    if (!porkchop) {
+        strip.style.display = 'none';
+        return;
+    }
+    strip.style.display = '';
+
+    // Colour is relative to this sweep: the quickest moment on the strip is the warmest
+    let lo = Infinity, hi = -Infinity;
+    for (const p of porkchop.samples) {
+        if (!p || p.routes === 0) continue;
+        lo = Math.min(lo, p.bestArrival);
+        hi = Math.max(hi, p.bestArrival);
+    }
+
+    const scale = PORKCHOP_STRIP_WIDTH / PORKCHOP_SPAN_FRAMES;
+    const cellWidth = Math.max(1, porkchop.step * scale);
+    while (strip.childElementCount < PORKCHOP_SAMPLES + 1) {
+        strip.appendChild(document.createElementNS(SVG_NS, 'rect'));
+    }
+    porkchop.samples.forEach((p, k) => {
+        const rect = strip.children[k];
+        const x = (porkchop.startFrame + k * porkchop.step) * scale;
+        if (!p || x < 0) {
+            rect.setAttribute('width', 0);
+            return;
+        }
+        rect.setAttribute('x', x.toFixed(1));
+        rect.setAttribute('y', 0);
+        rect.setAttribute('width', cellWidth.toFixed(1));
+        rect.setAttribute('height', '100%');
+        if (p.routes === 0) {
+            rect.setAttribute('class', 'porkchop-cell closed');
+            rect.removeAttribute('fill-opacity');
+            return;
+        }
+        // Same hue-only scheme as the fan, so the theme decides how strong it reads
+        const t = hi > lo ? (p.bestArrival - lo) / (hi - lo) : 0;
+        rect.setAttribute('class', 'porkchop-cell');
+        rect.style.setProperty('--porkchop-hue', Math.round(30 + 190 * t));
+        rect.setAttribute('fill-opacity', (0.35 + 0.65 * Math.min(1, p.routes / 6)).toFixed(2));
+    });
+
+    // Where the clock is now
+    const cursor = strip.children[PORKCHOP_SAMPLES];
+    cursor.setAttribute('class', 'porkchop-cursor');
+    cursor.setAttribute('x', (timeViewOffset * scale - 0.5).toFixed(1));
+    cursor.setAttribute('y', 0);
+    cursor.setAttribute('width', 1);
+    cursor.setAttribute('height', '100%');
+}
+
+// A tap on the strip: the clock goes to the moment of the cell under it.
+function porkchopFrameAt(stripX) {
+    if (!porkchop) return -1;
+    const frame = stripX / PORKCHOP_STRIP_WIDTH * PORKCHOP_SPAN_FRAMES;
+    const k = Math.floor((frame - porkchop.startFrame) / porkchop.step);
+    if (k < 0 || k >= PORKCHOP_SAMPLES) return -1;
+    return Math.max(0, porkchop.startFrame + k * porkchop.step);
+}
+
+// --- Earliest arrival ----------------------------------------------------------
+//
+// The fan holds the launch moment still and searches the release circle; the heatmap
+// rates moments but leaves choosing among them to the player. Often the question is
+// simpler than either: get them there as soon as possible, whenever they have to leave.
+// The planner answers that by searching all three at once — launch moment, release angle
+// and burn — for the earliest ABSOLUTE arrival, launch moment plus flight time.
+//
+// The launch moment is searched here, coarse to fine, and everything else by the worker:
+// each moment is one job, a lighter scan of the whole circle (the heatmap's resolution)
+// that hands back the quickest route it found. Ten-minute steps across the horizon first,
+// then one-minute steps either side of the best of them.
+//
+// Moments go out in order, and that is most of what keeps it cheap. Nothing that leaves
+// after the best arrival found so far can arrive before it, so the coarse pass stops
+// handing out moments as soon as it reaches that point — usually an hour or two into a
+// horizon of many.
+//
+// The answer is not committed. It is proposed: the clock goes to its launch moment, the
+// fan is scanned there as usual, and the planner's route is added to it and picked. From
+// there it is an ordinary choice, and Launch takes the craft the way it always does.
+
+const EARLIEST_COARSE_STEP = Math.round(10 / PREDICTION_DT);   // frames between moments tried
+const EARLIEST_FINE_STEP = Math.round(1 / PREDICTION_DT);      // around the best of them
+
+const earliestHorizonSelect = document.getElementById('earliest-horizon');
+const earliestBtn = document.getElementById('earliest-btn');
+
+// { generation, stage: 'coarse'|'fine', frames: [launch frame], next, inFlight, best }
+//   best: { launchFrame, entry } — the earliest arrival seen so far
+let earliestSearch = null;
+let earliestGeneration = 0;
+const earliestBusy = new Map();       // worker index -> generation of the job it holds
+
+// The planner's answer, kept until the transfer ends so the fan can be given it whenever
+// it is scanned at that moment: { launchFrame, entry }
+let earliestProposal = null;
+
+// Search the next `horizonFrames` for the earliest arrival. Nothing leaves sooner than the
+// lead: a launch the player has no time to confirm is not one to propose.
+function startEarliestSearch(horizonFrames) {
+    if (!transferIsPlanning()) return;
+    const from = transferLeadFrames();
+    ensurePredictionFrames(from + horizonFrames + FAN_MIN_BUFFER_FRAMES);
+    const to = Math.min(from + horizonFrames, predictionBuffer.length - FAN_MIN_BUFFER_FRAMES);
+    if (to < from) return;
+
+    const frames = [];
+    for (let f = from; f <= to; f += EARLIEST_COARSE_STEP) frames.push(f);
+
+    earliestGeneration++;
+    earliestProposal = null;
+    earliestSearch = {
+        generation: earliestGeneration,
+        stage: 'coarse',
+        frames,
+        next: 0,
+        inFlight: 0,
+        best: null,
+        startedAt: performance.now(),
+    };
+    updateEarliestButton();
+}
+
+function stopEarliestSearch() {
+    earliestGeneration++;
+    earliestSearch = null;
+    updateEarliestButton();
+}
+
+function updateEarliestButton() {
+    earliestBtn.textContent = earliestSearch ? 'Stop' : 'Find';
+}
+
+// Called every frame. Hands moments out to idle workers, in order, and moves on to the next
+// stage once the last of this one is back.
+function updateEarliestSearch() {
+    const search = earliestSearch;
+    if (!search) return;
+    if (!transferIsPlanning()) {
+        stopEarliestSearch();
+        return;
+    }
+
+    // A scan the player is waiting on goes first
+    if (fanScanPending > 0 || !workersAreCurrent()) return;
+
+    for (let i = 0; i < workerPool.length && search.next < search.frames.length; i++) {
+        if (earliestBusy.has(i)) continue;
+        const sampleIndex = search.next;
+        const frame = search.frames[sampleIndex];
+
+        // Nothing leaving at or after the best arrival so far can beat it
+        if (search.best && frame >= search.best.launchFrame + search.best.entry.arrivalOffset) {
+            search.next = search.frames.length;
+            break;
+        }
+        search.next++;
+
+        // Only moments still a lead ahead, with craft there to send
+        if (frame < transferLeadFrames() || transferSendableCraft(frame) <= 0) continue;
+        const params = transferScanParams(frame);
+        if (!params) continue;
+
+        earliestBusy.set(i, search.generation);
+        search.inFlight++;
+        workerPool[i].postMessage({
+            type: 'earliest',
+            generation: search.generation,
+            params,
+            sampleIndex,
+            angleCount: PORKCHOP_ANGLE_COUNT,
+            sectorCount: PORKCHOP_SECTORS,
+        });
+    }
+
+    if (search.next >= search.frames.length && search.inFlight === 0) finishEarliestStage();
+}
+
+function handleEarliestResult(workerIndex, msg) {
+    earliestBusy.delete(workerIndex);
+    const search = earliestSearch;
+    if (!search || msg.generation !== search.generation) return;
+    search.inFlight--;
+
+    if (!msg.best) return;
+    // From a coarser scan than the fan's, and no sector of it
+    const entry = { ...msg.best, sector: -1 };
+    const launchFrame = search.frames[msg.sampleIndex];
+    if (!search.best ||
+        launchFrame + entry.arrivalOffset < search.best.launchFrame + search.best.entry.arrivalOffset) {
+        search.best = { launchFrame, entry };
+    }
+}
+
+// The coarse pass has found the ten minutes to look in; the fine pass finds the minute.
+// After that the answer is proposed.
+function finishEarliestStage() {
+    const search = earliestSearch;
+    const best = search.best;
+
+    if (best && search.stage === 'coarse') {
+        const frames = [];
+        for (let d = EARLIEST_FINE_STEP; d < EARLIEST_COARSE_STEP; d += EARLIEST_FINE_STEP) {
+            frames.push(best.launchFrame - d, best.launchFrame + d);
+        }
+        // In order, so the fine pass can stop early just as the coarse one does
+        search.frames = frames.sort((a, b) => a - b);
+        search.stage = 'fine';
+        search.next = 0;
+        return;
+    }
+
+    const elapsed = performance.now() - search.startedAt;
+    earliestSearch = null;
+    updateEarliestButton();
+
+    if (!best) {
+        console.log(`[Earliest] ${transferSourceBody?.name}->${transferDestinationBody?.name}: ` +
+            `no route in ${elapsed.toFixed(0)}ms`);
+        earliestProposal = { launchFrame: -1, entry: null };   // searched, and nothing
+        return;
+    }
+
+    earliestProposal = best;
+    console.log(`[Earliest] ${transferSourceBody?.name}->${transferDestinationBody?.name}: ` +
+        `leave +${formatTransferDuration(best.launchFrame)}, ` +
+        `arrive +${formatTransferDuration(best.launchFrame + best.entry.arrivalOffset)} ` +
+        `(${elapsed.toFixed(0)}ms)`);
+
+    // Put the clock on it the way opening a transfer does, so Launch or Cancel hands the
+    // player's own moment back just the same.
+    if (clockBeforeTransfer === null) clockBeforeTransfer = Math.round(timeViewOffset);
+    setTimeViewOffset(best.launchFrame);
+    clockSetByTransfer = Math.round(timeViewOffset);
+
+    // Already showing that moment, so no re-scan is coming to pick it up
+    if (fanLaunchFrame === best.launchFrame && fanHasScanned && fanScanPending === 0) {
+        offerEarliestProposal();
+        transferFan.sort((a, b) => a.arrivalOffset - b.arrivalOffset);
+        fanHighlight = defaultFanPick();
+        updateTransferPanel();
+    }
+}
+
+// Add the planner's route to a fan scanned at its launch moment, if it is not already
+// there. The fan's own scan is finer, so it may have found one as quick or quicker — either
+// way the quickest is what gets picked.
+function offerEarliestProposal() {
+    const p = earliestProposal;
+    if (!p || !p.entry || p.launchFrame !== fanLaunchFrame) return;
+    if (!transferFan.includes(p.entry)) transferFan.push(p.entry);
+}
+
+// True while the route picked is the planner's answer, or one the fan found that is as good.
+function earliestProposalPicked() {
+    const p = earliestProposal;
+    const entry = highlightedFanEntry();
+    return !!(p && p.entry && entry && p.launchFrame === fanLaunchFrame &&
+        entry.arrivalOffset <= p.entry.arrivalOffset);
+}
+
+// Planner state is pinned to physical moments like the fan's; see updateFanOnShift.
+function shiftEarliestSearch() {
+    if (earliestSearch) {
+        earliestSearch.frames = earliestSearch.frames.map(f => f - 1);
+        if (earliestSearch.best) earliestSearch.best.launchFrame--;
+    }
+    if (earliestProposal && earliestProposal.entry) earliestProposal.launchFrame--;
+}
+
+// --- Rendezvous ----------------------------------------------------------------
+//
+// Fleets from Ember and Terra that are meant to reach Gaia together used to be planned one
+// at a time, scrubbing back and forth to line their arrival labels up. The rendezvous
+// planner does the lining up. "Meet with" in the panel adds origins beside the transfer's
+// own, and Meet searches every origin's launch moment and route for the earliest moment
+// they can all be at the destination within the tolerance of each other.
+//
+// It goes in two stages, a job at a time over the worker pool as the earliest-arrival
+// planner's do:
+//
+//   survey  every origin, at ten-minute steps across the horizon ("Earliest within"), a
+//           scan at the heatmap's resolution that sends back all its routes rather than the
+//           best — which is wanted depends on when the others get there. After each lot,
+//           the earliest meeting in what has come back: the moment the last of them lands,
+//           with one route from each origin no more than the tolerance before it. As with
+//           the earliest arrival, nothing leaving after that moment can meet sooner, so the
+//           survey stops handing moments out once it gets there.
+//   tune    each route of that meeting handed back to be tuned again with an arrival
+//           window (see "Arrival window" in the worker) from the tolerance before the
+//           meeting up to it, aiming at the meeting itself. A route the optimizer cannot
+//           bring nearer is kept as it was.
+//
+// A scan of the whole circle at each moment is most of the cost, and the tune all but
+// none of it: one optimization per origin. What the tune buys is a tighter meeting: the
+// spread the survey's routes arrive over, anything up to the tolerance, brought down to a
+// fraction of itself. The "[Rendezvous]" line each search logs says when they meet, within
+// how long of each other, and what it took.
+
+// What it finds is scheduled, not proposed — there is no one moment on the clock to show
+// it at. Each origin sends every craft it has by its launch moment, through scheduleLaunch
+// like any other launch, and the launches are kept together as a group: withdrawing any of
+// them, or reopening it, withdraws the rest still waiting too (see
+// withdrawScheduledTransfer), since a meeting one fleet short is not the one planned.
+
+const rendezvousOriginSelect = document.getElementById('rendezvous-origin');
+const rendezvousToleranceSelect = document.getElementById('rendezvous-tolerance');
+const rendezvousBtn = document.getElementById('rendezvous-btn');
+const rendezvousRow = document.getElementById('rendezvous-row');
+
+let rendezvousOrigins = [];   // the bodies sending fleets besides the transfer's own source
+
+// { generation, stage: 'survey'|'tune', jobs, next, inFlight, found, meeting, tolerance }
+//   jobs:    [{ origin, frame, route? }] — origin an index into rendezvousBodies(), frame
+//            the launch by frame number, and for the tune the route to tune
+//   found:   per origin, every route surveyed: [{ frame, entry, arrival }]
+//   meeting: per origin, the route it meets with, or null while there is no meeting yet
+let rendezvousSearch = null;
+let rendezvousGeneration = 0;
+const rendezvousBusy = new Map();   // worker index -> generation of the job it holds
+let rendezvousFailed = false;       // the last search found no meeting within its horizon
+let nextRendezvousGroup = 1;        // the number the next group of launches is given
+
+// Every origin of the rendezvous, the transfer's own source first
+function rendezvousBodies() {
+    return [transferSourceBody, ...rendezvousOrigins];
+}
+
+// Offered afresh each time a transfer opens, like "Then on to". Not for a redirect: the
+// squadron is one fleet already in flight, with nothing to meet.
+function fillRendezvousOptions() {
+    rendezvousOrigins = [];
+    rendezvousFailed = false;
+    rendezvousRow.style.display = redirectSquadron ? 'none' : '';
+    rendezvousOriginSelect.length = 1;   // keep the blank that reads as "no one else"
+    bodies.forEach((body, i) => {
+        if (body.isStar) return;
+        rendezvousOriginSelect.add(new Option(body.name, String(i)));
+    });
+    rendezvousOriginSelect.value = '';
+}
+
+rendezvousOriginSelect.addEventListener('change', () => {
+    const body = bodies[parseInt(rendezvousOriginSelect.value)];
+    rendezvousOriginSelect.value = '';
+    if (!body || !transferIsPlanning() || redirectSquadron) return;
+    if (body === transferDestinationBody || rendezvousBodies().includes(body)) return;
+    rendezvousOrigins.push(body);
+    updateTransferPanel();
+});
+
+// The earliest meeting in `found`: one route per origin, all arriving within `tolerance`
+// frames of the last of them, with that last arrival as soon as it can be. Null if there
+// is none yet.
+function earliestMeeting(found, tolerance) {
+    const all = found.flatMap((routes, origin) => routes.map(r => ({ ...r, origin })))
+        .sort((a, b) => a.arrival - b.arrival);
+    const inWindow = new Array(found.length).fill(0);
+    let covered = 0;
+    let first = 0;
+    for (let last = 0; last < all.length; last++) {
+        if (inWindow[all[last].origin]++ === 0) covered++;
+        while (all[last].arrival - all[first].arrival > tolerance) {
+            if (--inWindow[all[first].origin] === 0) covered--;
+            first++;
+        }
+        if (covered < found.length) continue;
+        // The latest of each origin's, so the fleets land as close together as they can
+        const meeting = new Array(found.length).fill(null);
+        for (let k = last; k >= first; k--) {
+            if (!meeting[all[k].origin]) meeting[all[k].origin] = all[k];
+        }
+        return meeting;
+    }
+    return null;
+}
+
+// The moment a meeting is complete: when the last fleet lands
+function meetingMoment(meeting) {
+    return Math.max(...meeting.map(m => m.arrival));
+}
+
+// Search the next `horizonFrames` for the earliest moment every origin can meet at the
+// destination. Nothing leaves sooner than the lead, as with the earliest arrival.
+function startRendezvousSearch(horizonFrames) {
+    if (!transferIsPlanning() || redirectSquadron || rendezvousOrigins.length === 0) return;
+    stopEarliestSearch();
+    const from = transferLeadFrames();
+    ensurePredictionFrames(from + horizonFrames + FAN_MIN_BUFFER_FRAMES);
+    const to = Math.min(from + horizonFrames, predictionBuffer.length - FAN_MIN_BUFFER_FRAMES);
+    if (to < from) return;
+
+    const origins = rendezvousBodies();
+    const jobs = [];
+    for (let f = from; f <= to; f += EARLIEST_COARSE_STEP) {
+        for (let origin = 0; origin < origins.length; origin++) jobs.push({ origin, frame: predictionBuffer.base + f });
+    }
+
+    rendezvousGeneration++;
+    rendezvousFailed = false;
+    rendezvousSearch = {
+        generation: rendezvousGeneration,
+        stage: 'survey',
+        jobs,
+        next: 0,
+        inFlight: 0,
+        found: origins.map(() => []),
+        meeting: null,
+        tolerance: Math.round(parseFloat(rendezvousToleranceSelect.value) / PREDICTION_DT),
+        startedAt: performance.now(),
+    };
+    updateRendezvousButton();
+    updateTransferPanel();
+}
+
+function stopRendezvousSearch() {
+    rendezvousGeneration++;
+    rendezvousSearch = null;
+    updateRendezvousButton();
+}
+
+function updateRendezvousButton() {
+    rendezvousBtn.textContent = rendezvousSearch ? 'Stop' : 'Meet';
+}
+
+// What a job of the search is sent: a scan from its origin at its moment, held for the
+// tune to the stretch before the meeting
+function rendezvousJobParams(job, search) {
+    const origin = rendezvousBodies()[job.origin];
+    const params = scanParamsFor(origin, transferDestinationBody, job.frame - predictionBuffer.base);
+    if (!params || !job.route) return params;
+    const meets = meetingMoment(search.meeting);
+    return {
+        ...params,
+        arriveAfter: meets - search.tolerance - job.frame,
+        arriveBefore: meets - job.frame,
+        arriveAt: meets - job.frame,
+    };
+}
+
+// Called every frame. Hands jobs out to idle workers, in order, and moves on to the next
+// stage once the last of this one is back.
+function updateRendezvousSearch() {
+    const search = rendezvousSearch;
+    if (!search) return;
+    if (!transferIsPlanning()) {
+        stopRendezvousSearch();
+        return;
+    }
+
+    // A scan the player is waiting on goes first
+    if (fanScanPending > 0 || !workersAreCurrent()) return;
+
+    for (let i = 0; i < workerPool.length && search.next < search.jobs.length; i++) {
+        if (rendezvousBusy.has(i)) continue;
+        const jobIndex = search.next;
+        const job = search.jobs[jobIndex];
+
+        // Nothing leaving at or after the meeting so far can make an earlier one
+        if (search.stage === 'survey' && search.meeting && job.frame >= meetingMoment(search.meeting)) {
+            search.next = search.jobs.length;
+            break;
+        }
+        search.next++;
+
+        // Only moments still a lead ahead, with craft there to send
+        const frame = job.frame - predictionBuffer.base;
+        if (frame < transferLeadFrames()) continue;
+        if (getSendableCraftAtBody(rendezvousBodies()[job.origin], frame) <= 0) continue;
+        const params = rendezvousJobParams(job, search);
+        if (!params) continue;
+
+        rendezvousBusy.set(i, search.generation);
+        search.inFlight++;
+        workerPool[i].postMessage({
+            type: 'rendezvous',
+            generation: search.generation,
+            params,
+            route: job.route || null,
+            jobIndex,
+            angleCount: PORKCHOP_ANGLE_COUNT,
+            sectorCount: PORKCHOP_SECTORS,
+        });
+    }
+
+    if (search.next >= search.jobs.length && search.inFlight === 0) finishRendezvousStage();
+}
+
+function handleRendezvousResult(workerIndex, msg) {
+    rendezvousBusy.delete(workerIndex);
+    const search = rendezvousSearch;
+    if (!search || msg.generation !== search.generation) return;
+    search.inFlight--;
+    const job = search.jobs[msg.jobIndex];
+    if (!job) return;
+
+    // From a coarser scan than the fan's, and no sector of it
+    const routes = msg.routes.map(r => ({
+        frame: job.frame,
+        entry: { ...r, sector: -1 },
+        arrival: job.frame + r.arrivalOffset,
+    }));
+
+    if (search.stage === 'survey') {
+        search.found[job.origin].push(...routes);
+        search.meeting = earliestMeeting(search.found, search.tolerance);
+        return;
+    }
+
+    // Tuned: kept if it lands nearer the meeting than the route it was tuned from
+    const meets = meetingMoment(search.meeting);
+    const held = search.meeting[job.origin];
+    for (const r of routes) {
+        if (Math.abs(r.arrival - meets) < Math.abs(held.arrival - meets)) search.meeting[job.origin] = r;
+    }
+}
+
+// The survey has found the meeting; the tune pulls it together. After that it is scheduled.
+function finishRendezvousStage() {
+    const search = rendezvousSearch;
+
+    if (search.meeting && search.stage === 'survey') {
+        search.jobs = search.meeting.map((m, origin) => ({ origin, frame: m.frame, route: m.entry }));
+        search.stage = 'tune';
+        search.next = 0;
+        return;
+    }
+
+    const elapsed = performance.now() - search.startedAt;
+    const names = rendezvousBodies().map(b => b.name).join(', ');
+    rendezvousSearch = null;
+    updateRendezvousButton();
+
+    if (!search.meeting || !commitRendezvous(search.meeting)) {
+        console.log(`[Rendezvous] ${names} -> ${transferDestinationBody?.name}: ` +
+            `no meeting in ${elapsed.toFixed(0)}ms`);
+        rendezvousFailed = true;
+        updateTransferPanel();
+        return;
+    }
+
+    const arrivals = search.meeting.map(m => m.arrival);
+    console.log(`[Rendezvous] ${names} -> ${transferDestinationBody.name}: ` +
+        `meet +${formatTransferDuration(meetingMoment(search.meeting) - predictionBuffer.base)}, ` +
+        `within ${formatTransferDuration(Math.max(...arrivals) - Math.min(...arrivals))} ` +
+        `(${elapsed.toFixed(0)}ms)`);
+    resetTransferState();
+}
+
+// Schedule every launch of `meeting` as one group, or none of them: false if any origin
+// has nothing left to send by its moment, or the moment has come too close to make.
+function commitRendezvous(meeting) {
+    const origins = rendezvousBodies();
+    const launches = meeting.map((m, origin) => {
+        const launchFrame = m.frame - predictionBuffer.base;
+        return { m, source: origins[origin], launchFrame, count: getSendableCraftAtBody(origins[origin], launchFrame) };
+    });
+    if (launches.some(l => l.launchFrame <= 0 || l.count <= 0)) return false;
+
+    const group = nextRendezvousGroup++;
+    for (const l of launches) {
+        const transit = scheduleLaunch(l.source, transferDestinationBody, l.launchFrame, l.m.entry, l.count);
+        const scheduled = scheduledTransfers.find(t => t.squadron === transit);
+        if (scheduled) scheduled.rendezvous = group;
+    }
+    return true;
+}
+
+// Meet or stop. Like Find, the horizon and the tolerance are read when the search starts.
+rendezvousBtn.addEventListener('click', () => {
+    if (rendezvousSearch) {
+        stopRendezvousSearch();
+        return;
+    }
+    const minutes = parseInt(earliestHorizonSelect.value);
+    startRendezvousSearch(Math.round(minutes / PREDICTION_DT));
+});
+
+// --- Optimizer comparison ------------------------------------------------------
+//
+// Which of optimizers.js should tune the burns is a question with an answer, not a matter
+// of taste, and this is where it is asked. Every method scans every pair of bodies the
+// star aside, at the same few moments, at the heatmap's resolution, and the report says
+// for each how many routes it found, how quick they were, how many flights it took and how
+// long. What to change when tuning the search is then whatever moves those numbers.
+//
+// It is run from the menu as one job per method, pair and moment — a couple of hundred
+// scans for Sol — so it goes out over the worker pool as the heatmap does, a job to each
+// idle worker, and the report fills in as it runs. The fan still comes first, and a
+// worker still on a job of the heatmap's or either planner's is left to finish it, so
+// that no method is timed with another's work in its jobs. The clock is held while it
+// runs, so the moments stay put and every method is given exactly the same ones, and let
+// go again when it is done.
+
+// The moments, in frames ahead of the present: now, and five hours on
+const COMPARE_MOMENTS = [0, Math.round(300 / PREDICTION_DT)];
+
+const compareItem = document.getElementById('optimizer-compare-item');
+const compareReport = document.getElementById('optimizer-report');
+
+// { generation, jobs: [{ optimizer, source, dest, frame, result }], next, inFlight,
+//   startedAt, wasPaused }
+let optimizerComparison = null;
+let compareGeneration = 0;
+const compareBusy = new Map();        // worker index -> { generation, jobIndex } of the job it holds
+
+// The rows of the last comparison finished, one per method
+let optimizerComparisonRows = null;
+
+// Every pair, every moment, every method — or as few of each as `options` names: pairs as
+// [source name, destination name], moments in frames ahead, optimizers by key
+function startOptimizerComparison(options = {}) {
+    stopOptimizerComparison();
+    const others = bodies.filter((b) => !b.isStar);
+    const pairs = options.pairs
+        ? options.pairs.map(([from, to]) => [bodies.find((b) => b.name === from), bodies.find((b) => b.name === to)])
+        : others.flatMap((from) => others.filter((to) => to !== from).map((to) => [from, to]));
+    const moments = options.moments || COMPARE_MOMENTS;
+    const optimizers = options.optimizers || Object.keys(OPTIMIZERS);
+
+    const jobs = [];
+    for (const optimizer of optimizers) {
+        for (const [source, dest] of pairs) {
+            for (const frame of moments) jobs.push({ optimizer, source, dest, frame, result: null });
+        }
+    }
+
+    compareGeneration++;
+    optimizerComparison = {
+        generation: compareGeneration,
+        jobs,
+        next: 0,
+        inFlight: 0,
+        startedAt: performance.now(),
+        wasPaused: simPaused,
+    };
+    optimizerComparisonRows = null;
+    ensurePredictionFrames(Math.max(...moments) + FAN_MIN_BUFFER_FRAMES);
+    setSimPaused(true);
+    updateCompareReport();
+}
+
+function stopOptimizerComparison() {
+    if (!optimizerComparison) return;
+    compareGeneration++;
+    setSimPaused(optimizerComparison.wasPaused);
+    optimizerComparison = null;
+    updateCompareReport();
+}
+
+// Called every frame. Hands the next jobs out to idle workers.
+function updateOptimizerComparison() {
+    const run = optimizerComparison;
+    if (!run) return;
+    if (fanScanPending > 0 || !workersAreCurrent()) return;
+
+    for (let i = 0; i < workerPool.length && run.next < run.jobs.length; i++) {
+        // Not a worker still on another planner's job: this one would wait behind it, and
+        // be timed with it
+        if (compareBusy.has(i) || porkchopBusy.has(i) || earliestBusy.has(i) || rendezvousBusy.has(i)) continue;
+        const jobIndex = run.next++;
+        const job = run.jobs[jobIndex];
+        const params = scanParamsFor(job.source, job.dest, job.frame);
+        if (!params) {
+            job.result = { routes: 0, bestArrival: -1, flights: 0, elapsedMs: 0, failed: true };
+            continue;
+        }
+        compareBusy.set(i, { generation: run.generation, jobIndex });
+        run.inFlight++;
+        workerPool[i].postMessage({
+            type: 'compare',
+            generation: run.generation,
+            params: { ...params, flybyBodyIndex: -1, optimizer: job.optimizer },
+            jobIndex,
+            angleCount: PORKCHOP_ANGLE_COUNT,
+            sectorCount: PORKCHOP_SECTORS,
+        });
+    }
+
+    if (run.next >= run.jobs.length && run.inFlight === 0) finishOptimizerComparison();
+}
+
+function handleCompareResult(workerIndex, msg) {
+    compareBusy.delete(workerIndex);
+    const run = optimizerComparison;
+    if (!run || msg.generation !== run.generation) return;
+    run.inFlight--;
+    run.jobs[msg.jobIndex].result = msg.failed ? { routes: 0, bestArrival: -1, flights: 0, elapsedMs: 0, failed: true } : msg;
+    updateCompareReport();
+}
+
+// One row per method. The quickest arrivals are averaged only over the pairs and moments
+// every method found a route for, so that one finding a slow route where another found
+// none does not count against it.
+function summarizeComparison(jobs) {
+    const optimizers = [...new Set(jobs.map((j) => j.optimizer))];
+    const cases = (optimizer) => jobs.filter((j) => j.optimizer === optimizer);
+    const key = (j) => `${j.source.name}>${j.dest.name}@${j.frame}`;
+    const reachedByAll = new Set(jobs.map(key).filter((k) =>
+        jobs.filter((j) => key(j) === k).every((j) => j.result && j.result.bestArrival >= 0)));
+
+    return optimizers.map((optimizer) => {
+        const mine = cases(optimizer);
+        const common = mine.filter((j) => reachedByAll.has(key(j)));
+        return {
+            optimizer,
+            routes: mine.reduce((n, j) => n + j.result.routes, 0),
+            reached: mine.filter((j) => j.result.bestArrival >= 0).length,
+            cases: mine.length,
+            meanQuickest: common.length > 0
+                ? common.reduce((n, j) => n + j.result.bestArrival, 0) / common.length : -1,
+            flights: mine.reduce((n, j) => n + j.result.flights, 0),
+            elapsedMs: mine.reduce((n, j) => n + j.result.elapsedMs, 0),
+            failed: mine.filter((j) => j.result.failed).length,
+        };
+    });
+}
+
+function finishOptimizerComparison() {
+    const run = optimizerComparison;
+    const rows = summarizeComparison(run.jobs);
+    optimizerComparisonRows = rows;
+    stopOptimizerComparison();
+
+    for (const j of run.jobs) {
+        console.log(`[Optimizer] ${j.optimizer} ${j.source.name}->${j.dest.name} +${formatTransferDuration(j.frame)}: ` +
+            `${j.result.routes} routes` +
+            (j.result.bestArrival >= 0 ? `, quickest ${formatTransferDuration(j.result.bestArrival)}` : '') +
+            `, ${j.result.flights} flights, ${j.result.elapsedMs.toFixed(0)}ms`);
+    }
+    console.log(`[Optimizer] Compared in ${((performance.now() - run.startedAt) / 1000).toFixed(1)}s: ` +
+        rows.map((r) => `${r.optimizer} ${r.routes} routes, ${r.reached}/${r.cases} reached`).join('; '));
+    updateCompareReport();
+}
+
+// Progress while it runs; the rows once it is done
+function updateCompareReport() {
+    const run = optimizerComparison;
+    const desc = compareItem.querySelector('.item-desc');
+    if (run) {
+        const done = run.jobs.filter((j) => j.result).length;
+        desc.textContent = `Comparing: ${done} of ${run.jobs.length} scans. Tap to stop.`;
+        compareReport.hidden = true;
+        return;
+    }
+    desc.textContent = 'Scan every pair of bodies with each burn optimizer and compare what they find';
+    if (!optimizerComparisonRows) return;
+    compareReport.replaceChildren(...optimizerComparisonRows.map((r) => {
+        const row = document.createElement('div');
+        row.className = 'compare-row' + (r.optimizer === FAN_OPTIMIZER ? ' active' : '');
+        row.dataset.optimizer = r.optimizer;
+        row.textContent = `${OPTIMIZERS[r.optimizer]}: ${r.routes} routes, ${r.reached}/${r.cases} reached` +
+            (r.meanQuickest >= 0 ? `, quickest ${formatTransferDuration(r.meanQuickest)} on average` : '') +
+            `, ${r.flights} flights (${(r.elapsedMs / 1000).toFixed(1)}s)`;
+        return row;
+    }));
+    compareReport.hidden = false;
+}
+
+compareItem.addEventListener('click', () => {
+    if (optimizerComparison) stopOptimizerComparison();
+    else startOptimizerComparison();
+});
+
+// --- Gravity assists ------------------------------------------------------------
+//
+// Every route is flown through the whole field, so one that swings past a third body gets
+// its pull whether the search meant it to or not. What the search did not do was go
+// looking for those. Pick a body under "Fly by" and it does: each sector of the fan is
+// searched a second time for the route that coasts through that body's sphere of
+// influence on the way, burning after the swing to be caught at the destination (see
+// "Fly-bys" in the worker). Those join the fan beside the ordinary routes, so the
+// quickest way there is still the one picked first — a slingshot is offered, not imposed.
+//
+// Every route, searched for or not, says what it flew by: the label on the curve names the
+// bodies, and the readout gives the change each made to the craft's orbital energy about
+// the star — what the slingshot is for, positive when it flung the craft outward.
+
+const flybyBodySelect = document.getElementById('flyby-body');
+
+// The fly-by body's part of a scan's parameters, the same for a departure and a redirect.
+function flybyScanParams() {
+    if (!transferFlybyBody) return { flybyBodyIndex: -1 };
+    return {
+        flybyBodyIndex: bodies.indexOf(transferFlybyBody),
+        flybyBodyRadius: transferFlybyBody.radius,
+    };
+}
+
+// Offered afresh with each transfer, like "Then on to", and starting on none: a fly-by
+// costs a scan twice as long, and a body worth swinging past on one trip rarely is on the
+// next.
+function fillFlybyOptions() {
+    transferFlybyBody = null;
+    flybyBodySelect.length = 1;
+    bodies.forEach((body, i) => {
+        if (body.isStar) return;
+        flybyBodySelect.add(new Option(body.name, String(i)));
+    });
+    flybyBodySelect.value = '';
+}
+
+flybyBodySelect.addEventListener('change', () => {
+    if (!transferIsPlanning()) return;
+    const body = bodies[parseInt(flybyBodySelect.value)] || null;
+    // Neither end of the trip is somewhere to fly past on the way
+    if (body && (body === transferSourceBody || body === transferDestinationBody)) {
+        flybyBodySelect.value = transferFlybyBody ? String(bodies.indexOf(transferFlybyBody)) : '';
+        return;
+    }
+    transferFlybyBody = body;
+    rescanTransfer();
+});
+
+// Throw away everything worked out for the transfer as it was and search again at the same
+// moment — the question changed, not the clock.
+function rescanTransfer() {
+    transferFan = [];
+    fanHighlight = -1;
+    fanLaunchFrame = -1;
+    fanHasScanned = false;
+    fanScanPending = 0;
+    fanScanQueuedFrame = -1;
+    cancelFanScan();
+    clearFanElements();
+    startPorkchopSweep();
+    stopEarliestSearch();
+    earliestProposal = null;
+    updateTransferPanel();
+}
+
+function flybyNames(entry) {
+    return entry.flybys.map(f => bodies[f.bodyIndex] ? bodies[f.bodyIndex].name : '?').join(', ');
+}
+
+function describeFlybys(entry) {
+    return entry.flybys.map(f => {
+        const name = bodies[f.bodyIndex] ? bodies[f.bodyIndex].name : '?';
+        const gain = Math.round(f.energyGain);
+        return `${name} ${gain >= 0 ? '+' : '−'}${Math.abs(gain)} energy`;
+    }).join(', ');
+}
+
+// --- Fuel ----------------------------------------------------------------------
+//
+// Burns are not free. A squadron leaves a body with SQUADRON_DELTA_V to spend, and every
+// route costs what its escape and its correction burn add up to — acceleration times the
+// time spent thrusting, up to the moment it arrives. The budget is enough for the dearest
+// escape there is, Gaia's, which takes some forty just to leave, with room for a route
+// after it. The readout gives each route's cost, and a route the squadron cannot afford
+// is never offered. Landing refills it: craft at a
+// body are a count and nothing else (see "Craft at a body"), so there is no partly-spent
+// fleet to remember — only the squadron still in the air, which is what a redirect
+// spends from.
+//
+// The search can be asked to care, under "Fuel" in the panel. The weighting tells the
+// optimiser what a unit of delta-v is worth in minutes of arrival, so a slower route that
+// burns less can beat a quicker one; the cap is a hard ceiling under the budget. Both are
+// the player's standing preference rather than part of one transfer, so they stay set.
+
+// Minutes of arrival a unit of delta-v is worth, per setting
+const FUEL_WEIGHT_MINUTES = { fastest: 0, balanced: 2, frugal: 10 };
+
+const fuelWeightSelect = document.getElementById('fuel-weight');
+const fuelCapSelect = document.getElementById('fuel-cap');
+
+// What the transfer being planned has to spend: a whole budget from a body, or what the
+// squadron being redirected still has.
+function transferDeltaVBudget() {
+    return redirectSquadron ? redirectSquadron.deltaV : SQUADRON_DELTA_V;
+}
+
+// The fuel part of a scan's parameters, for a flight with `budget` to spend
+function fuelScanParams(budget) {
+    const cap = parseFloat(fuelCapSelect.value);
+    const minutes = FUEL_WEIGHT_MINUTES[fuelWeightSelect.value] || 0;
+    return {
+        deltaVWeight: minutes / PREDICTION_DT,
+        deltaVCap: Number.isFinite(cap) ? Math.min(cap, budget) : budget,
+    };
+}
+
+for (const select of [fuelWeightSelect, fuelCapSelect]) {
+    select.addEventListener('change', () => {
+        if (transferIsPlanning()) rescanTransfer();
+    });
+}
+
+// --- Arrival orbit --------------------------------------------------------------
+//
+// Where a transfer ends: a parking orbit so high above the destination, caught to within
+// so much. "Arrive" in the panel sets both — the height, and how strictly the craft has
+// to keep to it to count as caught (see "Arrival orbit" in the worker). A moon has little
+// room above it and wants a low, tight orbit; a big planet will catch a loose, high one
+// far sooner. So, like "Fly by", they are offered afresh with each transfer and start on
+// the orbit every arrival used to aim for. The readout gives the height each route
+// actually settles at.
+
+const arrivalAltitudeSelect = document.getElementById('arrival-altitude');
+const captureToleranceSelect = document.getElementById('capture-tolerance');
+
+// The arrival part of a scan's parameters, the same for a departure and a redirect
+function arrivalScanParams() {
+    return {
+        arrivalAltitude: parseFloat(arrivalAltitudeSelect.value),
+        captureTolerance: parseFloat(captureToleranceSelect.value),
+    };
+}
+
+function fillArrivalOptions() {
+    arrivalAltitudeSelect.value = String(CRAFT_ORBITAL_ALTITUDE);
+    captureToleranceSelect.value = captureToleranceSelect.querySelector('option[selected]').value;
+}
+
+for (const select of [arrivalAltitudeSelect, captureToleranceSelect]) {
+    select.addEventListener('change', () => {
+        if (transferIsPlanning()) rescanTransfer();
+    });
+}
+
+// --- Arrival window -------------------------------------------------------------
+//
+// When the craft get there, and not only how soon: "After" and "Before" in the panel put
+// a bound on the arrival, each a marker on the time wheel's ring, dragged round to the
+// moment it stands for. The scan is held to them (see "Arrival window" in the worker), so
+// the fan only offers routes that arrive inside, and ranks them by how near they come to
+// the middle of the window — or to the one bound, if only one is set — rather than by how
+// soon. Like the orbit, the window belongs to one transfer and starts empty with the next.
+//
+// Bounds are kept by frame number, as a scan's launch is, so they stay on the moment they
+// were put on as the present moves up to them; each scan is sent them as frames after its
+// own launch.
+
+let transferArriveAfter = null;    // frame number no route may arrive before, or null
+let transferArriveBefore = null;   // frame number no route may arrive after, or null
+
+// Where a fresh bound goes when there is no route to put it on, and how far apart a new
+// pair is pulled if one would otherwise land on the wrong side of the other: an hour
+const ARRIVAL_WINDOW_SPAN_FRAMES = Math.round(60 / PREDICTION_DT);
+
+const arriveAfterBtn = document.getElementById('arrive-after');
+const arriveBeforeBtn = document.getElementById('arrive-before');
+
+// The arrival the fan ranks by, or null for the earliest
+function preferredArrival() {
+    const after = transferArriveAfter;
+    const before = transferArriveBefore;
+    if (after !== null && before !== null) return Math.round((after + before) / 2);
+    return after !== null ? after : before;
+}
+
+// The window part of a scan's parameters, for one leaving at frame number `launchFrame`
+function arrivalWindowParams(launchFrame) {
+    const params = {};
+    if (transferArriveAfter !== null) params.arriveAfter = transferArriveAfter - launchFrame;
+    if (transferArriveBefore !== null) params.arriveBefore = transferArriveBefore - launchFrame;
+    const preferred = preferredArrival();
+    if (preferred !== null) params.arriveAt = preferred - launchFrame;
+    return params;
+}
+
+// Where a bound goes when first set: on the arrival of the route picked, or an hour past
+// the moment being looked at, and never the wrong side of the other bound
+function defaultArrivalBound(which) {
+    const base = predictionBuffer.base;
+    const entry = highlightedFanEntry();
+    let frame = entry && fanLaunchFrame >= 0
+        ? base + fanLaunchFrame + entry.arrivalOffset
+        : base + Math.round(timeViewOffset) + ARRIVAL_WINDOW_SPAN_FRAMES;
+    if (which === 'before' && transferArriveAfter !== null) {
+        frame = Math.max(frame, transferArriveAfter + ARRIVAL_WINDOW_SPAN_FRAMES);
+    }
+    if (which === 'after' && transferArriveBefore !== null) {
+        frame = Math.min(frame, transferArriveBefore - ARRIVAL_WINDOW_SPAN_FRAMES);
+    }
+    return Math.max(base, frame);
+}
+
+// Put one bound on frame number `frame`, or take it off with null, and search again.
+// After stays at or before Before: a bound dragged past the other pushes it along.
+function setArrivalBound(which, frame) {
+    placeArrivalBound(which, frame);
+    showArrivalWindow();
+    if (transferIsPlanning()) rescanTransfer();
+}
+
+function placeArrivalBound(which, frame) {
+    if (which === 'after') {
+        transferArriveAfter = frame;
+        if (frame !== null && transferArriveBefore !== null && transferArriveBefore < frame) transferArriveBefore = frame;
+    } else {
+        transferArriveBefore = frame;
+        if (frame !== null && transferArriveAfter !== null && transferArriveAfter > frame) transferArriveAfter = frame;
+    }
+}
+
+function clearArrivalWindow() {
+    transferArriveAfter = null;
+    transferArriveBefore = null;
+    showArrivalWindow();
+}
+
+// The buttons, as minutes from the present, and the markers on the wheel
+function showArrivalWindow() {
+    const label = (name, frame) => frame === null ? `${name} —`
+        : `${name} +${formatTransferDuration(Math.max(0, frame - predictionBuffer.base))}`;
+    arriveAfterBtn.textContent = label('After', transferArriveAfter);
+    arriveBeforeBtn.textContent = label('Before', transferArriveBefore);
+    arriveAfterBtn.setAttribute('aria-pressed', String(transferArriveAfter !== null));
+    arriveBeforeBtn.setAttribute('aria-pressed', String(transferArriveBefore !== null));
+    drawArrivalWindowMarkers();
+}
+
+for (const [btn, which] of [[arriveAfterBtn, 'after'], [arriveBeforeBtn, 'before']]) {
+    btn.addEventListener('click', () => {
+        const current = which === 'after' ? transferArriveAfter : transferArriveBefore;
+        setArrivalBound(which, current === null ? defaultArrivalBound(which) : null);
+    });
+}
+
+// The markers sit on the ring where the progress dot would be at their moment, outside
+// the turning group, so they stay put as it spins. Each is dragged on its own — the drag
+// is kept from the wheel, which would otherwise turn the clock under it — and the scan
+// waits for it to be let go.
+let arrivalMarkerDrag = null;   // which bound is being dragged, or null
+
+function drawArrivalWindowMarkers() {
+    const svgEl = document.getElementById('time-wheel');
+    if (!svgEl || !timeWheelInitialized) return;
+    const ns = 'http://www.w3.org/2000/svg';
+    const cx = 60, cy = 60, r = 45;
+    const maxOffset = Math.max(1, timeViewMaxOffset());
+
+    for (const which of ['after', 'before']) {
+        let marker = svgEl.querySelector(`.wheel-window-marker[data-bound="${which}"]`);
+        if (!marker) {
+            marker = document.createElementNS(ns, 'g');
+            marker.setAttribute('class', 'wheel-window-marker');
+            marker.dataset.bound = which;
+            const tick = document.createElementNS(ns, 'line');
+            tick.setAttribute('stroke-width', '2');
+            const grip = document.createElementNS(ns, 'circle');
+            grip.setAttribute('r', '4');
+            marker.append(tick, grip);
+            const start = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                arrivalMarkerDrag = which;
+            };
+            marker.addEventListener('mousedown', start);
+            marker.addEventListener('touchstart', start);
+            svgEl.appendChild(marker);
+        }
+
+        const frame = which === 'after' ? transferArriveAfter : transferArriveBefore;
+        if (frame === null || !transferIsPlanning()) {
+            marker.style.display = 'none';
+            continue;
+        }
+        const progress = Math.min(1, Math.max(0, (frame - predictionBuffer.base) / maxOffset));
+        const angle = -Math.PI / 2 + progress * 2 * Math.PI;
+        const at = (radius) => [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+        // Just inside the ring, which is as far out as the wheel's box reaches
+        const [x1, y1] = at(r - 12);
+        const [x2, y2] = at(r - 2);
+        const tick = marker.querySelector('line');
+        tick.setAttribute('x1', x1);
+        tick.setAttribute('y1', y1);
+        tick.setAttribute('x2', x2);
+        tick.setAttribute('y2', y2);
+        const grip = marker.querySelector('circle');
+        grip.setAttribute('cx', x2);
+        grip.setAttribute('cy', y2);
+        marker.style.display = '';
+    }
+}
+
+// The frame number a point on screen stands for, read round the wheel from the top
+function arrivalFrameAt(clientX, clientY) {
+    const rect = document.getElementById('time-wheel').getBoundingClientRect();
+    const angle = Math.atan2(clientY - rect.top - rect.height / 2, clientX - rect.left - rect.width / 2);
+    const turn = ((angle + Math.PI / 2) / (2 * Math.PI) + 1) % 1;
+    return predictionBuffer.base + Math.round(turn * timeViewMaxOffset());
+}
+
+function moveArrivalMarker(clientX, clientY) {
+    placeArrivalBound(arrivalMarkerDrag, arrivalFrameAt(clientX, clientY));
+    showArrivalWindow();
+}
+
+function dropArrivalMarker() {
+    arrivalMarkerDrag = null;
+    if (transferIsPlanning()) rescanTransfer();
+}
+
+window.addEventListener('mousemove', (e) => {
+    if (arrivalMarkerDrag) moveArrivalMarker(e.clientX, e.clientY);
+});
+window.addEventListener('mouseup', () => {
+    if (arrivalMarkerDrag) dropArrivalMarker();
+});
+window.addEventListener('touchmove', (e) => {
+    if (!arrivalMarkerDrag) return;
+    e.preventDefault();
+    moveArrivalMarker(e.touches[0].clientX, e.touches[0].clientY);
+}, { passive: false });
+window.addEventListener('touchend', () => {
+    if (arrivalMarkerDrag) dropArrivalMarker();
+});
+
+// --- Fast or cheap --------------------------------------------------------------
+//
+// Every sector of the scan comes back with its quickest route and, where there is one
+// worth the name, a slower one that costs less (see "Fast and cheap" in the worker). The
+// two sets overlap on screen, so the panel says which one is being shown: its routes are
+// drawn as usual and the other set's faded back, and a fresh scan or a flip of the toggle
+// picks the best of it — the quickest route, or the cheapest. Nothing stops the finger
+// taking a faded route; the toggle decides what is put forward, not what is allowed.
+//
+// A sector with no cheaper alternative has one route, and it belongs to both sets. Like
+// the fuel settings this is the player's standing preference, so it stays set.
+
+let fanPreference = 'fast';   // 'fast' or 'cheap'
+
+const fanPreferenceBtn = document.getElementById('fan-preference');
+
+// The fan entries in the set being shown
+function fanPreferredSet() {
+    if (fanPreference === 'fast') return new Set(transferFan.filter((e) => e.kind !== 'cheap'));
+
+    // The cheapest of each sector and way round; an entry from no sector stands alone
+    const cheapest = new Map();
+    for (const e of transferFan) {
+        const key = e.sector === undefined ? e : `${e.sector}/${e.direction}`;
+        const held = cheapest.get(key);
+        if (!held || e.deltaV < held.deltaV) cheapest.set(key, e);
+    }
+    return new Set(cheapest.values());
+}
+
+// Which route to put forward from a newly scanned fan. It is sorted by arrival, so the
+// quickest — or the nearest the window prefers — is first and, among routes costing the
+// same, the first is the better.
+function defaultFanPick() {
+    if (transferFan.length === 0) return -1;
+    if (fanPreference === 'fast') return 0;
+    let pick = 0;
+    for (let i = 1; i < transferFan.length; i++) {
+        if (transferFan[i].deltaV < transferFan[pick].deltaV) pick = i;
+    }
+    return pick;
+}
+
+function setFanPreference(preference) {
+    fanPreference = preference;
+    fanPreferenceBtn.textContent = preference === 'fast' ? 'Quickest' : 'Cheapest';
+    fanPreferenceBtn.setAttribute('aria-pressed', String(preference === 'cheap'));
+    fanHighlightChosen = false;
+    if (transferIsPlanning() && fanHasScanned) {
+        fanHighlight = defaultFanPick();
+        updateTransferPanel();
+    }
+}
+
+fanPreferenceBtn.addEventListener('click', () => {
+    setFanPreference(fanPreference === 'fast' ? 'cheap' : 'fast');
+});
+
+// --- Which way round ------------------------------------------------------------
+//
+// Craft parked at a body all go round it the same way, prograde unless the scenario says
+// otherwise, and spiral out of that orbit the way it goes. The two ways out are not a
+// mirror of each other (see "Which way round" in the worker for how they differ), so
+// "Depart" in the panel says which one a transfer searches. Picking prograde or
+// retrograde turns the source body's parking orbit round, and it stays that way for
+// every transfer from there; "Both ways" leaves it be and searches each, at twice the
+// cost of a scan, for as long as it stays picked. Every route says which way it leaves —
+// a retrograde one is drawn dashed and named so on its label — and the squadron that
+// flies it carries that direction out with it.
+//
+// A redirect has no orbit to leave, so the row does not apply to one.
+
+let departBothWays = false;
+
+const departureSelect = document.getElementById('departure-direction');
+
+// Which ways round `source` a scan from it searches, its own first
+function departureDirections(source) {
+    const own = source.orbitalDirection;
+    return departBothWays ? [own, -own] : [own];
+}
+
+function directionName(direction) {
+    return direction < 0 ? 'retrograde' : 'prograde';
+}
+
+// Shows the source's own way, or both, with each transfer
+function fillDepartureOptions() {
+    departureSelect.disabled = !!redirectSquadron || !transferSourceBody;
+    if (departBothWays) departureSelect.value = 'both';
+    else departureSelect.value = transferSourceBody ? directionName(transferSourceBody.orbitalDirection) : 'prograde';
+}
+
+departureSelect.addEventListener('change', () => {
+    if (!transferIsPlanning() || !transferSourceBody) return;
+    departBothWays = departureSelect.value === 'both';
+    if (!departBothWays) transferSourceBody.orbitalDirection = departureSelect.value === 'retrograde' ? -1 : 1;
+    rescanTransfer();
+});
+
 // --- The fan on screen ---------------------------------------------------------
 //
 // One SVG path per viable release angle, drawn from a pool that grows to the widest fan
@@ -2225,12 +4817,14 @@ function updatePreviewRocket() {
 // Redraw the whole fan. Called once per frame from updateTrajectories, which is also
 // where the screen polylines used for finger-picking get cached onto each entry.
 function updateTransferFan() {
+    updateFanOutRoutes();
     const active = transferIsPlanning() && transferFan.length > 0;
     if (!active) {
         clearFanElements();
         return;
     }
 
+    const preferred = fanPreferredSet();
     for (let i = 0; i < transferFan.length; i++) {
         const entry = transferFan[i];
         const pts = fanScreenPath(entry);
@@ -2249,6 +4843,8 @@ function updateTransferFan() {
         el.style.display = '';
         el.style.setProperty('--fan-hue', fanHue(i, transferFan.length));
         el.classList.toggle('highlighted', i === fanHighlight);
+        el.classList.toggle('muted', !preferred.has(entry));
+        el.classList.toggle('retrograde', entry.direction < 0 && !redirectSquadron);
     }
 
     for (let i = transferFan.length; i < fanPathPool.length; i++) {
@@ -2280,7 +4876,10 @@ function updateFanLabel() {
         }
     }
 
-    fanLabelText.textContent = formatTransferDuration(entry.arrivalOffset);
+    fanLabelText.textContent = formatTransferDuration(entry.arrivalOffset) +
+        ` · Δv ${entry.deltaV.toFixed(1)}` +
+        (entry.direction < 0 && !redirectSquadron ? ' · retrograde' : '') +
+        (entry.flybys && entry.flybys.length > 0 ? ` via ${flybyNames(entry)}` : '');
 
     // Border in the highlighted route's own colour. With a dozen curves on screen the
     // label needs to say which one it is describing, and matching the outline says it
@@ -2357,45 +4956,63 @@ function highlightedFanEntry() {
 // Re-integrate a chosen release angle at full resolution. The worker ships a subsampled
 // path, which is plenty to draw a fan of twenty curves but not what a craft should
 // actually fly; this reproduces the worker's integration exactly, frame for frame.
-function simulateTransferFlight(sourceBody, launchFrame, releaseAngle, burn) {
-    if (launchFrame >= predictionBuffer.length) return [];
-
-    const orbitRadius = sourceBody.radius + CRAFT_ORBITAL_ALTITUDE;
-    const orbitalSpeed = Math.sqrt(G * sourceBody.mass / orbitRadius);
-    const escapeVelocity = Math.sqrt(2 * G * sourceBody.mass / orbitRadius);
-    const sourceIndex = bodies.indexOf(sourceBody);
-
-    const start = predictionBuffer[launchFrame][sourceIndex];
-    let x = start.x + orbitRadius * Math.cos(releaseAngle);
-    let y = start.y + orbitRadius * Math.sin(releaseAngle);
-    let vx = start.vx - orbitalSpeed * Math.sin(releaseAngle);
-    let vy = start.vy + orbitalSpeed * Math.cos(releaseAngle);
+//
+// A redirect passes the squadron's own state as `startState` instead of a source body, and
+// `releaseAngle` is then the direction of its departure burn (see REDIRECT_BURN_FRAMES).
+// From a body, `direction` is which way round it the craft go: the route's own, as scanned.
+function simulateTransferFlight(sourceBody, launchFrame, releaseAngle, burn, startState = null, direction = 1) {
+    if (launchFrame >= predictionBuffer.length) return new FrameRing(CRAFT_FIELDS);
+
+    let x, y, vx, vy, orbitRadius, escapeVelocity, sourceIndex;
+    if (startState) {
+        ({ x, y, vx, vy } = startState);
+    } else {
+        orbitRadius = sourceBody.radius + CRAFT_ORBITAL_ALTITUDE;
+        const orbitalSpeed = Math.sqrt(G * sourceBody.mass / orbitRadius);
+        escapeVelocity = Math.sqrt(2 * G * sourceBody.mass / orbitRadius);
+        sourceIndex = bodies.indexOf(sourceBody);
+
+        const start = predictionBuffer.state(launchFrame, sourceIndex);
+        x = start.x + orbitRadius * Math.cos(releaseAngle);
+        y = start.y + orbitRadius * Math.sin(releaseAngle);
+        vx = start.vx - direction * orbitalSpeed * Math.sin(releaseAngle);
+        vy = start.vy + direction * orbitalSpeed * Math.cos(releaseAngle);
+    }
     let isAccelerating = true;
 
-    const out = [];
     const lastFrame = Math.min(predictionBuffer.length, launchFrame + MAX_TRANSFER_FRAMES);
+    const out = new FrameRing(CRAFT_FIELDS, 1, lastFrame - launchFrame);
+
+    // As the worker does it: bodies `tau` of the way through the frame, thrust held through it
+    const craft = { x, y, vx, vy };
+    const field = craftGravityField();
+    let here = 0, next = 0;
+    let tx = 0, ty = 0;
+    const accelerate = (cx, cy, tau, a) => {
+        craftGravity(field, here, next, tau, cx, cy, a);
+        a.ax += tx;
+        a.ay += ty;
+    };
 
     for (let frame = launchFrame; frame < lastFrame; frame++) {
         const offset = frame - launchFrame;
-        const bodyStates = predictionBuffer[frame];
-
-        let ax = 0, ay = 0;
-        for (let i = 0; i < bodyStates.length; i++) {
-            const s = bodyStates[i];
-            const dx = s.x - x, dy = s.y - y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            const safeDist = Math.max(dist, MIN_DISTANCE);
-            const a = G * bodies[i].mass / (safeDist * safeDist);
-            ax += a * (dx / dist);
-            ay += a * (dy / dist);
-        }
-
-        if (isAccelerating) {
-            const src = bodyStates[sourceIndex];
+        here = predictionBuffer.offset(frame);
+        next = predictionBuffer.offset(Math.min(frame + 1, predictionBuffer.length - 1));
+        tx = 0;
+        ty = 0;
+
+        if (startState) {
+            isAccelerating = offset < REDIRECT_BURN_FRAMES;
+            if (isAccelerating) {
+                tx += CRAFT_ACCELERATION * Math.cos(releaseAngle);
+                ty += CRAFT_ACCELERATION * Math.sin(releaseAngle);
+            }
+        } else if (isAccelerating) {
+            const src = predictionBuffer.state(frame, sourceIndex);
             const dx = x - src.x, dy = y - src.y;
             const dist = Math.sqrt(dx * dx + dy * dy);
-            ax += CRAFT_ACCELERATION * (-dy / dist);
-            ay += CRAFT_ACCELERATION * (dx / dist);
+            tx += CRAFT_ACCELERATION * (-direction * dy / dist);
+            ty += CRAFT_ACCELERATION * (direction * dx / dist);
             const relVx = vx - src.vx, relVy = vy - src.vy;
             if (Math.sqrt(relVx * relVx + relVy * relVy) >= 1.1 * escapeVelocity) {
                 isAccelerating = false;
@@ -2403,14 +5020,13 @@ function simulateTransferFlight(sourceBody, launchFrame, releaseAngle, burn) {
         }
 
         if (burn && offset >= burn.start && offset < burn.start + burn.duration) {
-            ax += CRAFT_ACCELERATION * Math.cos(burn.angle);
-            ay += CRAFT_ACCELERATION * Math.sin(burn.angle);
+            tx += CRAFT_ACCELERATION * Math.cos(burn.angle);
+            ty += CRAFT_ACCELERATION * Math.sin(burn.angle);
         }
 
-        vx += ax * PREDICTION_DT;
-        vy += ay * PREDICTION_DT;
-        x += vx * PREDICTION_DT;
-        y += vy * PREDICTION_DT;
+        stepCraft(activeIntegrator, craft, PREDICTION_DT, accelerate,
+            craftSubsteps(PREDICTION_DT, encounterTimescale(field, here, x, y, vx, vy, Math.hypot(tx, ty))));
+        ({ x, y, vx, vy } = craft);
 
         out.push({ x, y, vx, vy, isAccelerating });
     }
@@ -2438,9 +5054,15 @@ transferQtySlider.addEventListener('input', () => {
     transferStayLabel.textContent = maxCount - launchCount;
     transferLaunchLabel.textContent = launchCount;
     transferAvailLabel.textContent = maxCount;
-    scheduleLaunchBtn.disabled = launchCount === 0 || !highlightedFanEntry();
+    scheduleLaunchBtn.disabled = !launchReady(launchCount);
 });
 
+// Whether Launch can go with `launchCount` on the slider: a route picked and craft to send
+// on it, and no kept destination of a fan-out whose moment has gone.
+function launchReady(launchCount) {
+    return launchCount > 0 && !!highlightedFanEntry() && !fanOutBranches.some(fanOutMissed);
+}
+
 function updateTransferPanel() {
     const active = transferIsPlanning();
     if (!active) {
@@ -2453,14 +5075,46 @@ function updateTransferPanel() {
     transferControlsPanel.style.display = 'block';
     transferReadout.style.display = 'block';
     document.getElementById('selected-body-info').style.display = 'none';
+    updateFanOutList();
 
     const destName = transferDestinationBody ? transferDestinationBody.name : '';
-    let html = `<span>Transfer to <strong>${destName}</strong></span>`;
+    let html = `<span>${redirectSquadron ? 'Redirect' : 'Transfer'} to <strong>${destName}</strong></span>`;
+    // Partway through a trip of several legs, which one this is and where it goes next
+    if (itineraryLegs.length > 0 || transferItinerary.length > 0) {
+        const leg = itineraryLegs.length + 1;
+        html += `<span><span class="info-label">Leg:</span> ${leg} of ${leg + transferItinerary.length}</span>`;
+        if (transferItinerary.length > 0) {
+            html += `<span><span class="info-label">Then:</span> ${transferItinerary.map(b => b.name).join(' → ')}</span>`;
+        }
+    }
     // When it leaves. The clock is showing the launch moment, and the transfer opens with
     // that moment set ahead of the present (see TRANSFER_LEAD_MINUTES), so this counts
     // down while they choose — it is the only place that lead is visible with the time
     // wheel closed. Outside the scan branch below, so it does not blink out on a re-scan.
     html += `<span><span class="info-label">Launch:</span> +${formatTransferDuration(Math.round(timeViewOffset))}</span>`;
+    if (earliestSearch) {
+        html += `<span><span class="info-label">Finding the earliest arrival…</span></span>`;
+    } else if (earliestProposal && !earliestProposal.entry) {
+        html += `<span>Nothing arrives within that horizon</span>`;
+    }
+    if (rendezvousOrigins.length > 0) {
+        html += `<span><span class="info-label">Meeting:</span> ${rendezvousBodies().map(b => b.name).join(' + ')}</span>`;
+    }
+    if (rendezvousSearch) {
+        html += `<span><span class="info-label">Finding a moment to meet…</span></span>`;
+    } else if (rendezvousFailed) {
+        html += `<span>No moment to meet within that horizon</span>`;
+    }
+
+    // A redirect burns from wherever the squadron is at the moment on the clock, so there
+    // is nothing to scan at a moment it is not flying: still to launch, or already landed.
+    if (redirectSquadron && !redirectStateAt(Math.round(timeViewOffset))) {
+        html += `<span>Not in flight at this moment — try the clock</span>`;
+        trajectoryInfoBar.innerHTML = html;
+        transferLaunchControls.style.display = 'none';
+        scheduleLaunchBtn.disabled = true;
+        return;
+    }
 
     if (!fanHasScanned || fanScanPending > 0) {
         html += `<span><span class="info-label">Scanning release angles…</span></span>`;
@@ -2476,8 +5130,24 @@ function updateTransferPanel() {
     html += `<span><span class="info-label">Routes:</span> ${transferFan.length}</span>`;
 
     if (entry) {
-        html += `<span><span class="info-label">Release:</span> ${(entry.releaseAngle * 180 / Math.PI).toFixed(0)}°</span>`;
+        html += `<span><span class="info-label">Release:</span> ${(entry.releaseAngle * 180 / Math.PI).toFixed(0)}°` +
+            (redirectSquadron ? '' : ` ${directionName(entry.direction)}`) + `</span>`;
         html += `<span><span class="info-label">Duration:</span> ${formatTransferDuration(entry.arrivalOffset)}</span>`;
+        html += `<span><span class="info-label">Δv:</span> ${entry.deltaV.toFixed(1)} of ${transferDeltaVBudget().toFixed(0)}</span>`;
+        if (entry.altitude !== undefined) {
+            html += `<span><span class="info-label">Orbit:</span> ${entry.altitude.toFixed(1)} up</span>`;
+        }
+        if (preferredArrival() !== null) {
+            html += `<span><span class="info-label">Arrives:</span> +${formatTransferDuration(fanLaunchFrame + entry.arrivalOffset)}</span>`;
+        }
+        if (entry.flybys && entry.flybys.length > 0) {
+            html += `<span><span class="info-label">Fly-by:</span> ${describeFlybys(entry)}</span>`;
+        }
+        if (earliestProposalPicked()) {
+            html += `<span><span class="info-label">Earliest arrival:</span> +${formatTransferDuration(fanLaunchFrame + entry.arrivalOffset)}</span>`;
+        }
+    } else if (preferredArrival() !== null) {
+        html += `<span>No route from here at this moment arrives in the window — try the clock</span>`;
     } else {
         html += `<span>No route from here at this moment — try the clock</span>`;
     }
@@ -2498,10 +5168,13 @@ function updateTransferPanel() {
 
 // Configure the transfer quantity slider based on available craft at source body
 function updateTransferSlider() {
-    if (!transferSourceBody) return;
     // What is at the body at the launch moment and not already promised elsewhere. Counted
-    // at fanLaunchFrame rather than now, because that is when this transfer leaves.
-    const maxCount = getSendableCraftAtBody(transferSourceBody, Math.max(0, fanLaunchFrame));
+    // at fanLaunchFrame rather than now, because that is when this transfer leaves. With
+    // other destinations kept, what they leave of the pool they share (see "Fan-out").
+    const maxCount = fanOutBranches.length > 0 ? fanOutSendable() - fanOutKeptCount()
+        : transferSendableCraft(Math.max(0, fanLaunchFrame));
+    // A squadron is redirected whole: there is nowhere mid-flight to leave the rest
+    transferQtySlider.disabled = !!redirectSquadron;
     if (maxCount <= 0) {
         transferLaunchControls.style.display = 'none';
         scheduleLaunchBtn.disabled = true;
@@ -2520,44 +5193,51 @@ function updateTransferSlider() {
     transferStayLabel.textContent = maxCount - launchCount;
     transferLaunchLabel.textContent = launchCount;
     transferAvailLabel.textContent = maxCount;
-    scheduleLaunchBtn.disabled = launchCount === 0 || !highlightedFanEntry();
+    scheduleLaunchBtn.disabled = !launchReady(launchCount);
 }
 
-scheduleLaunchBtn.addEventListener('click', () => {
-    const entry = highlightedFanEntry();
-    if (!entry || !transferSourceBody || !transferDestinationBody) return;
-    if (transferState !== 'ready' && transferState !== 'searching') return;
-
-    // Never commit more than actually exists — the slider max is refreshed per frame,
-    // but a stale value must not be trusted at click time.
-    const available = getSendableCraftAtBody(transferSourceBody, Math.max(0, fanLaunchFrame));
-    const launchCount = Math.min(parseInt(transferQtySlider.value), available);
-    if (launchCount <= 0) return;
-
+// Schedule `count` craft from `source` to `dest` along `entry`, leaving at `launchFrame`, and
+// return the squadron that will fly it — or null if nothing could be sent. `chainFrom` is
+// the launch an itinerary leg carries on from, if any. Launch commits through here, and so
+// does a rendezvous, so every launch writes down what it took the same way.
+function scheduleLaunch(source, dest, launchFrame, entry, count, chainFrom = null) {
     const trajectory = simulateTransferFlight(
-        transferSourceBody, fanLaunchFrame, entry.releaseAngle, entry.burn
+        source, launchFrame, entry.releaseAngle, entry.burn, null, entry.direction
     );
-    if (trajectory.length === 0) return;
-    const flight = trajectory.slice(0, entry.arrivalOffset + 1);
+    if (trajectory.length === 0) return null;
+    trajectory.truncate(entry.arrivalOffset + 1);
+    const flight = trajectory;
 
     // Take the craft: from the body's own total first, then from anything still inbound
     // that can be chained onward. Written down as it goes, because a launch that has not
     // happened yet can still be called off — see withdrawScheduledTransfer.
     const drawnFrom = [];
-    let remaining = launchCount;
-    const fromBody = Math.min(remaining, transferSourceBody.craftCount);
-    transferSourceBody.craftCount -= fromBody;
-    if (fromBody > 0) drawnFrom.push({ body: transferSourceBody, count: fromBody });
+    let remaining = count;
+
+    // A later leg of an itinerary carries on with the craft the leg before brought, ahead
+    // of anything else at the body — those are the craft the trip was planned for.
+    if (chainFrom && chainFrom.destinationBody === source && chainFrom.count > 0 &&
+        squadrons.includes(chainFrom) &&
+        launchFrame - chainFrom.launchFrame >= chainFrom.trajectoryBuffer.length) {
+        const deduct = Math.min(remaining, chainFrom.count);
+        chainFrom.count -= deduct;
+        drawnFrom.push({ squadron: chainFrom, count: deduct });
+        remaining -= deduct;
+    }
+
+    const fromBody = Math.min(remaining, source.craftCount);
+    source.craftCount -= fromBody;
+    if (fromBody > 0) drawnFrom.push({ body: source, count: fromBody });
     remaining -= fromBody;
 
     if (remaining > 0) {
         for (const sq of squadrons) {
             if (remaining <= 0) break;
-            if (sq.destinationBody !== transferSourceBody || sq.count <= 0) continue;
+            if (sq.destinationBody !== source || sq.count <= 0) continue;
             // Only from squadrons that have landed by the moment this one leaves. The
             // same test getSendableCraftAtBody counted with — drawing from one still in
             // the air would have craft departing before they arrived.
-            if (fanLaunchFrame - sq.launchFrame < sq.trajectoryBuffer.length) continue;
+            if (launchFrame - sq.launchFrame < sq.trajectoryBuffer.length) continue;
             const deduct = Math.min(remaining, sq.count);
             sq.count -= deduct;
             drawnFrom.push({ squadron: sq, count: deduct });
@@ -2567,21 +5247,22 @@ scheduleLaunchBtn.addEventListener('click', () => {
 
     // Defensive: if the pool could not cover the request, ship only what was actually
     // taken. Leaving `remaining` unspent would create craft from nothing.
-    const shipped = launchCount - remaining;
-    if (shipped <= 0) return;
+    const shipped = count - remaining;
+    if (shipped <= 0) return null;
     if (remaining > 0) {
-        console.warn(`[Transfer] Short by ${remaining}; shipping ${shipped} instead of ${launchCount}`);
+        console.warn(`[Transfer] Short by ${remaining}; shipping ${shipped} instead of ${count}`);
     }
 
-    const transit = new Squadron(transferSourceBody, shipped);
+    const transit = new Squadron(source, shipped);
     transit.createElements();
     squadrons.push(transit);
 
-    transit.launchFrame = fanLaunchFrame;
-    transit.sourceBody = transferSourceBody;
-    transit.destinationBody = transferDestinationBody;
+    transit.launchFrame = launchFrame;
+    transit.sourceBody = source;
+    transit.destinationBody = dest;
     transit.trajectoryBuffer = flight;
     transit.releaseAngle = entry.releaseAngle;
+    transit.orbitalDirection = entry.direction;
     // The burn as it will be depicted, clipped to the frames the flight actually has.
     // The optimizer is free to run a burn past the arrival — nothing after arrival is
     // integrated, so the tail costs it nothing — and the trajectory is cut at
@@ -2594,6 +5275,7 @@ scheduleLaunchBtn.addEventListener('click', () => {
         ? { angle: entry.burn.angle, duration: burnDuration, startFrame: entry.burn.start }
         : null;
     transit.insertionFrame = entry.arrivalOffset;
+    transit.deltaV = Math.max(0, SQUADRON_DELTA_V - (entry.deltaV || 0));
     transit.flightFrame = 0;
     transit._displayCount = 0;   // no position of its own until its launch moment
     transit._displayPhase = 'pending';
@@ -2603,20 +5285,63 @@ scheduleLaunchBtn.addEventListener('click', () => {
 
     scheduledTransfers.push({
         squadron: transit,
-        sourceBody: transferSourceBody,
-        destBody: transferDestinationBody,
+        sourceBody: source,
+        destBody: dest,
     });
+    return transit;
+}
+
+scheduleLaunchBtn.addEventListener('click', () => {
+    const entry = highlightedFanEntry();
+    if (!entry || !transferDestinationBody) return;
+    if (transferState !== 'ready' && transferState !== 'searching') return;
+
+    if (redirectSquadron) {
+        const sq = redirectSquadron;
+        if (!commitRedirect(entry)) return;
+        // Keep it selected, so the map follows it down its new path
+        selectedSquadron = sq;
+        selectedBody = null;
+        isTrackingSelectedSquadron = true;
+        advanceItinerary(sq);
+        return;
+    }
+    if (!transferSourceBody) return;
+
+    // Never commit more than actually exists — the slider max is refreshed per frame,
+    // but a stale value must not be trusted at click time.
+    const available = getSendableCraftAtBody(transferSourceBody, Math.max(0, fanLaunchFrame));
+    const launchCount = Math.min(parseInt(transferQtySlider.value), available);
+    if (launchCount <= 0) return;
+
+    // With other destinations kept, they all go together or none does
+    const transit = fanOutBranches.length > 0 ? commitFanOut(entry, launchCount)
+        : scheduleLaunch(transferSourceBody, transferDestinationBody, fanLaunchFrame, entry,
+            launchCount, itineraryChainFrom());
+    if (!transit) return;
 
     // Deselect so the map is clear to watch the new transfer fly
     selectedSquadron = null;
     selectedBody = null;
     isTrackingSelectedSquadron = false;
 
-    resetTransferState();
+    advanceItinerary(transit);
+});
+
+// Find or stop. The horizon is read when the search starts; changing it mid-search does
+// nothing until the next one.
+earliestBtn.addEventListener('click', () => {
+    if (earliestSearch) {
+        stopEarliestSearch();
+        return;
+    }
+    const minutes = parseInt(earliestHorizonSelect.value);
+    startEarliestSearch(Math.round(minutes / PREDICTION_DT));
 });
 
 cancelTransferBtn.addEventListener('click', () => {
     if (transferIsPlanning()) {
+        withdrawItinerary();
         resetTransferState();
     }
 });
@@ -2637,7 +5362,18 @@ function transferIsPlanning() {
 // that had already landed there — and putting it all back on the body would count craft as
 // present in the meantime that were still in the air. scheduleLaunchBtn writes down what
 // it took (`drawnFrom`) for this.
+//
+// Anything launching later on craft this one was going to deliver goes first. Those craft
+// will never get there now, and leaving the later launch standing would send them on from
+// a body they never reached — which is how withdrawing the first leg of an itinerary takes
+// the rest of it down with it. Their craft come back to this squadron, and then with it.
 function withdrawScheduledTransfer(sq) {
+    for (const t of scheduledTransfers.slice()) {
+        if ((t.squadron.drawnFrom || []).some(c => c.squadron === sq)) {
+            withdrawScheduledTransfer(t.squadron);
+        }
+    }
+
     for (const claim of sq.drawnFrom || []) {
         if (claim.body) {
             claim.body.craftCount += claim.count;
@@ -2653,6 +5389,7 @@ function withdrawScheduledTransfer(sq) {
     sq.drawnFrom = null;
     sq.count = 0;
 
+    const group = scheduledTransfers.find(t => t.squadron === sq)?.rendezvous;
     for (let i = scheduledTransfers.length - 1; i >= 0; i--) {
         if (scheduledTransfers[i].squadron === sq) scheduledTransfers.splice(i, 1);
     }
@@ -2663,6 +5400,13 @@ function withdrawScheduledTransfer(sq) {
         isTrackingSelectedSquadron = false;
     }
     sq.removeElements();
+
+    // The rest of a rendezvous still waiting to go, whose meeting this one was part of
+    if (group !== undefined) {
+        for (const t of scheduledTransfers.slice()) {
+            if (t.rendezvous === group) withdrawScheduledTransfer(t.squadron);
+        }
+    }
 }
 
 // Reopen a launch that has not gone yet, so the number going can be changed or the whole
@@ -2680,6 +5424,8 @@ function openScheduledTransfer(sq) {
 
     const launchAt = sq.launchFrame;
     const count = sq.count;
+    // Withdrawing it withdraws the legs after it too, so they come back as the plan
+    const onward = onwardStops(sq);
     withdrawScheduledTransfer(sq);
 
     if (transferIsPlanning()) resetTransferState();
@@ -2687,6 +5433,7 @@ function openScheduledTransfer(sq) {
     transferDestinationBody = dest;
     selectBody(source);
     startTransferSearch(launchAt);
+    transferItinerary = onward;
     // Widen the range before writing the number in. startTransferSearch leaves the slider
     // on a placeholder max of 1 until the first scan comes back, and an input clamps a
     // value to its max the moment it is set — so the count would arrive as 1 and stay
@@ -2729,6 +5476,17 @@ function pendingRocketAt(screenX, screenY) {
 const TRANSFER_LEAD_MINUTES = 10;
 const TRANSFER_LEAD_FRAMES = Math.round(TRANSFER_LEAD_MINUTES / PREDICTION_DT);
 
+// The lead is about the player's time as much as the simulation's. Under time warp ten
+// sim-minutes can go by in a tenth of a second, which is no time at all to choose in, and
+// the lead would be re-armed over and over while the fan never held still long enough to
+// scan. So it stretches to cover at least this many real seconds at the current speed.
+const TRANSFER_LEAD_MIN_REAL_SECONDS = 10;
+
+function transferLeadFrames() {
+    const warped = timeWarp * SIM_SPEED * TRANSFER_LEAD_MIN_REAL_SECONDS / PREDICTION_DT;
+    return Math.max(TRANSFER_LEAD_FRAMES, Math.round(warped));
+}
+
 function startTransferSearch(openAtFrame = null) {
     // Open on a launch the player has time to decide about. Only when the clock is at or
     // near the present: further out than the lead is where they put it themselves, hunting
@@ -2736,12 +5494,13 @@ function startTransferSearch(openAtFrame = null) {
     //
     // A launch being reopened brings its own moment with it — the one already chosen is
     // the one being reconsidered — so that overrides both the lead and the exception.
-    if (openAtFrame !== null || timeViewOffset < TRANSFER_LEAD_FRAMES) {
+    const lead = transferLeadFrames();
+    if (openAtFrame !== null || timeViewOffset < lead) {
         // Only the first time in. Re-aiming at a new destination comes straight back
         // through here, and capturing again would record the moment this feature set as
         // the one to hand back to — the same rule the scale and the camera follow above.
         if (clockBeforeTransfer === null) clockBeforeTransfer = Math.round(timeViewOffset);
-        setTimeViewOffset(openAtFrame !== null ? openAtFrame : TRANSFER_LEAD_FRAMES);
+        setTimeViewOffset(openAtFrame !== null ? openAtFrame : lead);
         clockSetByTransfer = Math.round(timeViewOffset);
     }
 
@@ -2775,7 +5534,18 @@ function startTransferSearch(openAtFrame = null) {
     fanHasScanned = false;
     fanScanPending = 0;
     fanScanQueuedFrame = -1;
-    fanScanGeneration++;
+    cancelFanScan();
+    fillItineraryOptions();
+    fillFlybyOptions();
+    fillDepartureOptions();
+    fillArrivalOptions();
+    clearArrivalWindow();
+    fillRendezvousOptions();
+    startPorkchopSweep();
+    stopEarliestSearch();
+    stopRendezvousSearch();
+    earliestProposal = null;
+    fanOutPick = null;
 
     updateTransferPanel();
 }
@@ -2809,13 +5579,26 @@ function resetTransferState() {
     transferState = 'none';
     transferSourceBody = null;
     transferDestinationBody = null;
+    redirectSquadron = null;
+    transferItinerary = [];
+    itineraryLegs = [];
+    transferFlybyBody = null;
+    clearArrivalWindow();
     transferFan = [];
     fanHighlight = -1;
     fanLaunchFrame = -1;
     fanHasScanned = false;
     fanScanPending = 0;
     fanScanQueuedFrame = -1;
-    fanScanGeneration++;      // orphan any shard results still in flight
+    cancelFanScan();
+    stopPorkchopSweep();
+    stopEarliestSearch();
+    stopRendezvousSearch();
+    rendezvousOrigins = [];
+    earliestProposal = null;
+    fanOutBranches = [];
+    fanOutPick = null;
+    renderFanOutList();
 
     transferControlsPanel.style.display = 'none';
     transferReadout.style.display = 'none';
@@ -2828,25 +5611,478 @@ function resetTransferState() {
 // which is why time simply passing never reads as a scrub and never triggers a re-scan.
 function updateFanOnShift() {
     if (fanLaunchFrame > 0) fanLaunchFrame--;
-    workerBufferShifts++;
+    if (porkchop) porkchop.startFrame--;
+    shiftEarliestSearch();
+}
+
+// --- Redirecting a squadron in flight ------------------------------------------
+//
+// A launched squadron is not locked onto its path. Select its rocket and drag off it to
+// any body — its destination's neighbour, somewhere else entirely, or straight back home
+// — and the same fan comes up, scanned from where the squadron will be at the moment on
+// the clock instead of from a parked orbit.
+//
+// Free flight has no orbit to escape and no circle to let go of, so the free variable the
+// fan sweeps becomes the direction of a short departure burn (REDIRECT_BURN_FRAMES, which
+// the worker keeps a copy of). Everything after that is the ordinary search: the
+// correction burn is tuned for the earliest clean capture exactly as for any launch.
+//
+// Committing splices the new flight onto the old one at that moment. The path up to it is
+// left alone — it is the one the squadron is already on — and everything after is
+// replaced, destination, correction and arrival with it.
+
+// Must match the worker's own, or a committed redirect would burn for a different time
+// from the one that was searched.
+const REDIRECT_BURN_FRAMES = Math.ceil(5 / PREDICTION_DT);
+
+// Whether a squadron can be sent somewhere new: under way, and with at least a launch
+// lead of flight still ahead of it to turn round in. One about to land is better left to.
+function canRedirect(sq) {
+    if (!sq || sq.launchFrame > 0 || !sq.destinationBody || sq.count <= 0) return false;
+    // Not enough left even for the departure burn, let alone steering in anywhere
+    if (sq.deltaV < REDIRECT_BURN_FRAMES * CRAFT_ACCELERATION * PREDICTION_DT) return false;
+    return sq.trajectoryBuffer.length - 1 > transferLeadFrames();
+}
+
+// The squadron being redirected, as it is at buffer frame `frame` — or null if it is not
+// flying then. The last frame is its arrival, and is no longer somewhere to burn from.
+function redirectStateAt(frame) {
+    const sq = redirectSquadron;
+    if (!sq) return null;
+    const k = frame - sq.launchFrame;
+    if (k < 0 || k >= sq.trajectoryBuffer.length - 1) return null;
+    return sq.trajectoryBuffer.state(k);
+}
+
+// Scan parameters for a redirect burning at `launchFrame`. The state stored there is
+// the squadron after that frame's step, so the new flight integrates on from the next one.
+function redirectScanParams(launchFrame) {
+    const state = redirectStateAt(launchFrame);
+    const destBodyIndex = bodies.indexOf(transferDestinationBody);
+    if (!state || destBodyIndex < 0 || launchFrame + 1 >= predictionBuffer.length) return null;
+
+    return {
+        launchFrame: predictionBuffer.base + launchFrame + 1,
+        sourceBodyIndex: -1,
+        destBodyIndex,
+        destBodyRadius: transferDestinationBody.radius,
+        startState: { x: state.x, y: state.y, vx: state.vx, vy: state.vy },
+        ...flybyScanParams(),
+        ...fuelScanParams(redirectSquadron.deltaV),
+        ...arrivalScanParams(),
+        integrator: activeIntegrator,
+        seeding: FAN_SEEDING,
+        optimizer: FAN_OPTIMIZER,
+    };
+}
+
+// How many craft the transfer being planned would send, leaving at `frame`: what is free
+// at the source body then, or the whole of a squadron being redirected.
+function transferSendableCraft(frame) {
+    if (redirectSquadron) return redirectStateAt(frame) ? redirectSquadron.count : 0;
+    return transferSourceBody ? getSendableCraftAtBody(transferSourceBody, frame) : 0;
+}
+
+function beginRedirect(sq, dest) {
+    if (!canRedirect(sq)) return;
+
+    transferSourceBody = null;
+    redirectSquadron = sq;
+    transferDestinationBody = dest;
+    selectedSquadron = sq;
+    selectedBody = null;
+    isTrackingSelectedSquadron = false;   // the transfer's own framing has the camera now
+    startTransferSearch();
+}
+
+// Splice the chosen route onto the squadron being redirected, from the burn moment on.
+function commitRedirect(entry) {
+    const sq = redirectSquadron;
+    const start = redirectStateAt(fanLaunchFrame);
+    if (!start) return false;
+    const k = fanLaunchFrame - sq.launchFrame;
+
+    const flight = simulateTransferFlight(null, fanLaunchFrame + 1, entry.releaseAngle, entry.burn, start);
+    if (flight.length === 0) return false;
+
+    // Launches waiting at the old destination on these craft arriving there cannot go
+    // now. Calling them off hands their share back to this squadron, so it flies on whole.
+    for (const t of scheduledTransfers.slice()) {
+        if ((t.squadron.drawnFrom || []).some(c => c.squadron === sq)) {
+            withdrawScheduledTransfer(t.squadron);
+        }
+    }
+
+    const oldDest = sq.destinationBody;
+    sq.trajectoryBuffer.truncate(k + 1);
+    for (let f = 0; f <= entry.arrivalOffset && f < flight.length; f++) {
+        sq.trajectoryBuffer.push(flight.state(f));
+    }
+    sq.destinationBody = transferDestinationBody;
+    sq.deltaV = Math.max(0, sq.deltaV - (entry.deltaV || 0));
+    // In flight frames, counted from the original launch like everything else on it
+    const burnAt = sq.flightFrame + k + 1;
+    sq.insertionFrame = burnAt + entry.arrivalOffset;
+    // Clipped to the flight, for the same reason scheduleLaunchBtn clips it
+    const burnDuration = entry.burn
+        ? Math.min(entry.burn.duration, entry.arrivalOffset - entry.burn.start)
+        : 0;
+    sq.correctionParams = burnDuration > 0
+        ? { angle: entry.burn.angle, duration: burnDuration, startFrame: burnAt + entry.burn.start }
+        : null;
+
+    console.log(`[Redirect] ${sq.count} bound for ${oldDest.name} now to ${sq.destinationBody.name}, ` +
+        `burning at +${formatTransferDuration(fanLaunchFrame)}, ` +
+        `arriving +${formatTransferDuration(sq.launchFrame + sq.trajectoryBuffer.length)}`);
+    return true;
+}
+
+// --- Itineraries ---------------------------------------------------------------
+//
+// Ember to Terra and on to Gaia is two transfers, and it could always be planned as two:
+// craft that have landed by the moment on the clock can be sent straight on (see
+// getSendableCraftAtBody). But that meant finding out when they land, winding the clock
+// there and starting over from the second body, once per leg. An itinerary does that part.
+//
+// The stops come from the drag — rest the finger on a body on the way until the band
+// locks onto it — or from "Then on to" in the panel. The legs are still planned one at a
+// time with the ordinary fan. Launch on one commits it as a scheduled launch like any
+// other, and the next opens straight away from where it lands: the clock on the moment it
+// arrives, the same craft on the slider. Each leg draws on the one before it first, so
+// they are linked through `drawnFrom` exactly as hand-chained launches always were, and
+// withdrawing any leg takes every leg after it down too (see withdrawScheduledTransfer).
+
+// The launch the leg being planned carries on from, or null on a first leg.
+function itineraryChainFrom() {
+    return itineraryLegs.length > 0 ? itineraryLegs[itineraryLegs.length - 1] : null;
+}
+
+// Open a transfer that visits `stops` in order, leaving from a body or, for a redirect,
+// from a squadron already in flight.
+function beginItinerary(source, squadron, stops) {
+    // Another destination for the same craft, or one kept earlier (see "Fan-out")
+    const reopened = aimFanOut(source, squadron, stops);
+    if (squadron) beginRedirect(squadron, stops[0]);
+    else beginTransferBetween(source, stops[0], reopened && !fanOutMissed(reopened)
+        ? reopened.launchFrame - predictionBuffer.base : null);
+    if (reopened && transferIsPlanning() && transferDestinationBody === reopened.dest) {
+        reopenFanOutBranch(reopened);
+    }
+    if (transferIsPlanning() && transferDestinationBody === stops[0]) {
+        transferItinerary = stops.slice(1);
+    }
+}
+
+// Launch has just committed `leg`. Open the next one from where it lands, or, on the last,
+// close the transfer as any launch does.
+function advanceItinerary(leg) {
+    if (transferItinerary.length === 0) {
+        resetTransferState();
+        return;
+    }
+    const next = transferItinerary.shift();
+    itineraryLegs.push(leg);
+
+    // The first moment its craft are standing on the body, and so can be sent again
+    const arrival = leg.launchFrame + leg.trajectoryBuffer.length;
+    transferSourceBody = leg.destinationBody;
+    redirectSquadron = null;
+    transferDestinationBody = next;
+    selectBody(leg.destinationBody);
+    startTransferSearch(arrival);
+    // The same craft go on. Widened before the value goes in, for the reason
+    // openScheduledTransfer gives.
+    transferQtySlider.max = Math.max(leg.count, 1);
+    transferQtySlider.value = leg.count;
+    transferQtyTouched = true;
+    console.log(`[Itinerary] Leg ${itineraryLegs.length + 1}: ${transferSourceBody.name} to ${next.name}, ` +
+        `from +${formatTransferDuration(arrival)}`);
+}
+
+// Cancel partway through an itinerary drops the whole trip, not just the leg on screen: the
+// legs already committed were only ever the first part of it. Withdrawing the earliest one
+// still waiting takes the rest with it. Any that has actually launched is left flying.
+function withdrawItinerary() {
+    const first = itineraryLegs.find(leg => squadrons.includes(leg) && leg.launchFrame > 0);
+    if (first) withdrawScheduledTransfer(first);
+    itineraryLegs = [];
+    transferItinerary = [];
+}
+
+// "Then on to" in the panel adds a stop at the end of the trip without dragging again.
+const itineraryNextSelect = document.getElementById('itinerary-next');
+
+// Offered afresh each time a transfer opens, since a new scenario brings new bodies.
+function fillItineraryOptions() {
+    itineraryNextSelect.length = 1;   // keep the blank that reads as "no more stops"
+    bodies.forEach((body, i) => {
+        if (body.isStar) return;
+        itineraryNextSelect.add(new Option(body.name, String(i)));
+    });
+    itineraryNextSelect.value = '';
+}
+
+itineraryNextSelect.addEventListener('change', () => {
+    const body = bodies[parseInt(itineraryNextSelect.value)];
+    itineraryNextSelect.value = '';
+    if (!body || !transferIsPlanning()) return;
+    const last = transferItinerary.length > 0
+        ? transferItinerary[transferItinerary.length - 1] : transferDestinationBody;
+    if (body === last) return;   // already going there
+    transferItinerary.push(body);
+    updateTransferPanel();
+});
+
+// The stops a launch was going on to, read off the launches waiting on its craft — so that
+// reopening one leg of an itinerary brings the rest back as the plan, not just the one.
+function onwardStops(sq) {
+    const stops = [];
+    for (let at = sq; at; ) {
+        const t = scheduledTransfers.find(t =>
+            (t.squadron.drawnFrom || []).some(c => c.squadron === at));
+        if (!t) break;
+        stops.push(t.destBody);
+        at = t.squadron;
+    }
+    return stops;
+}
+
+// --- Fan-out -------------------------------------------------------------------
+//
+// Three craft from Ember to Terra and two to Gaia used to be two transfers, each dragged,
+// planned and launched on its own. A fan-out is one plan. Drag from the origin to Terra and
+// pick a route, then drag from the origin again to Gaia. Terra is kept, with its route, its
+// launch moment and its number, and Gaia's fan comes up in its place. Each kept destination
+// has a row in the panel with its own slider. Launch sends every destination or none.
+//
+// Only a destination with something to keep is kept: a route picked and craft on the
+// slider. Dragging away from one still being scanned, or with nothing on it, replaces it
+// the way re-aiming always has. Dragging back to a kept one reopens it: its moment goes
+// back on the clock, its number on the slider, and its route is picked again once the
+// fan is back. The one that was on screen is kept in its place.
+//
+// All the sliders share one pool. Each slider's range is whatever the others leave of what
+// the origin can send at the earliest of their launch moments. Craft that land between
+// two of those moments are not counted. The earlier launch could not take them, and scheduleLaunch
+// draws from the body's own total first, so whichever leaves first is never short.
+
+let fanOutBranches = [];   // kept destinations: { dest, entry, launchFrame (absolute), count }
+let fanOutPick = null;     // the route to pick again when a reopened destination's fan is back
+
+const fanOutList = document.getElementById('fan-out-list');
+
+function fanOutKeptCount() {
+    return fanOutBranches.reduce((n, b) => n + b.count, 0);
+}
+
+// A kept destination whose launch moment has gone by while another was being planned.
+// Launch waits until it is reopened, which puts a moment ahead of the player back on it.
+function fanOutMissed(branch) {
+    return branch.launchFrame - predictionBuffer.base <= 0;
+}
+
+// What the origin can send to every destination together: its sendable craft at the
+// earliest launch moment of any of them, the one on screen included.
+function fanOutSendable() {
+    const frames = fanOutBranches.map(b => b.launchFrame - predictionBuffer.base);
+    frames.push(fanLaunchFrame);
+    return Math.min(...frames.map(f => getSendableCraftAtBody(transferSourceBody, Math.max(0, f))));
+}
+
+// Called for every drag that opens a transfer, before it opens. A drag from the origin on
+// screen to a single new destination keeps the one on screen, if it has anything to keep,
+// and hands back the kept destination being dragged back to, if it is one. Any other drag
+// starts a new plan, and the kept destinations go with the old one.
+function aimFanOut(source, squadron, stops) {
+    const sameOrigin = transferIsPlanning() && !redirectSquadron && !squadron &&
+        source === transferSourceBody && stops.length === 1 && itineraryLegs.length === 0;
+    if (!sameOrigin) {
+        fanOutBranches = [];
+        renderFanOutList();
+        return null;
+    }
+    const dest = stops[0];
+    if (dest === transferDestinationBody) return null;
+
+    const reopened = fanOutBranches.find(b => b.dest === dest) || null;
+    fanOutBranches = fanOutBranches.filter(b => b !== reopened);
+    // Stops planned onward from it would be lost, so one with an itinerary is replaced
+    const entry = highlightedFanEntry();
+    const count = parseInt(transferQtySlider.value, 10) || 0;
+    if (entry && count > 0 && transferItinerary.length === 0) {
+        fanOutBranches.push({
+            dest: transferDestinationBody,
+            entry,
+            launchFrame: predictionBuffer.base + fanLaunchFrame,
+            count,
+        });
+    }
+    renderFanOutList();
+    return reopened;
+}
+
+// Put a kept destination's number and route back, once beginTransferBetween has opened it
+function reopenFanOutBranch(branch) {
+    // Widened before the value goes in, for the reason openScheduledTransfer gives
+    transferQtySlider.max = Math.max(branch.count, 1);
+    transferQtySlider.value = branch.count;
+    transferQtyTouched = true;
+    fanOutPick = branch.entry;
+}
+
+// Launch every destination at once: the one on screen, sending `count` along `entry`, and
+// each kept one as it was left. It is all of them or none. Nothing is scheduled unless the
+// pool covers every count, and if any launch still cannot be made, the ones already made
+// are withdrawn again. Returns the launch to the destination on screen, or null.
+function commitFanOut(entry, count) {
+    if (fanOutBranches.some(fanOutMissed)) return null;
+    if (count + fanOutKeptCount() > fanOutSendable()) return null;
+
+    const made = [];
+    const launch = (dest, launchFrame, e, n, chainFrom = null) => {
+        const transit = scheduleLaunch(transferSourceBody, dest, launchFrame, e, n, chainFrom);
+        if (transit) made.push(transit);
+        return transit && transit.count === n ? transit : null;
+    };
+    const transit = launch(transferDestinationBody, fanLaunchFrame, entry, count, itineraryChainFrom());
+    const all = transit && fanOutBranches.every(b => b.count === 0 ||
+        launch(b.dest, b.launchFrame - predictionBuffer.base, b.entry, b.count));
+    if (!all) {
+        for (const sq of made.reverse()) withdrawScheduledTransfer(sq);
+        return null;
+    }
+
+    console.log(`[Fan-out] ${transferSourceBody.name}: ` + [
+        `${count} to ${transferDestinationBody.name}`,
+        ...fanOutBranches.filter(b => b.count > 0).map(b => `${b.count} to ${b.dest.name}`),
+    ].join(', '));
+    fanOutBranches = [];
+    renderFanOutList();
+    return transit;
+}
+
+// One row per kept destination: its name, which reopens it, its slider, and a button to
+// drop it from the plan. Rebuilt only when the destinations change. The panel is
+// refreshed every frame, and rebuilding then would pull the slider out from under a finger.
+function renderFanOutList() {
+    fanOutList.replaceChildren();
+    fanOutList.style.display = fanOutBranches.length > 0 ? '' : 'none';
+
+    for (const branch of fanOutBranches) {
+        const row = document.createElement('div');
+        row.className = 'fan-out-branch';
+        row.dataset.dest = branch.dest.name;
+
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'fan-out-dest';
+        name.addEventListener('click', () => {
+            if (!transferIsPlanning() || !fanOutBranches.includes(branch)) return;
+            beginItinerary(transferSourceBody, null, [branch.dest]);
+        });
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'fan-out-qty';
+        slider.min = '0';
+        slider.setAttribute('aria-label', `Craft to ${branch.dest.name}`);
+        slider.addEventListener('input', () => {
+            branch.count = parseInt(slider.value, 10) || 0;
+            updateFanOutList();
+        });
+
+        const count = document.createElement('span');
+        count.className = 'fan-out-count';
+
+        const drop = document.createElement('button');
+        drop.type = 'button';
+        drop.className = 'fan-out-drop';
+        drop.textContent = '×';
+        drop.setAttribute('aria-label', `Drop ${branch.dest.name}`);
+        drop.addEventListener('click', () => {
+            fanOutBranches = fanOutBranches.filter(b => b !== branch);
+            renderFanOutList();
+            updateTransferPanel();
+        });
+
+        row.append(name, slider, count, drop);
+        fanOutList.appendChild(row);
+    }
+    updateFanOutList();
+}
+
+// Ranges, numbers and launch moments of the kept rows, every frame. When the pool has
+// shrunk under them, as it does when the clock is taken back before craft have landed, the
+// latest kept destinations give their craft up first.
+function updateFanOutList() {
+    if (fanOutBranches.length === 0 || !transferSourceBody) return;
+    const pool = fanOutSendable();
+    let over = fanOutKeptCount() - pool;
+    for (let i = fanOutBranches.length - 1; i >= 0 && over > 0; i--) {
+        const give = Math.min(over, fanOutBranches[i].count);
+        fanOutBranches[i].count -= give;
+        over -= give;
+    }
+    const onScreen = highlightedFanEntry() ? parseInt(transferQtySlider.value, 10) || 0 : 0;
+    const kept = fanOutKeptCount();
+
+    fanOutList.querySelectorAll('.fan-out-branch').forEach((row, i) => {
+        const branch = fanOutBranches[i];
+        if (!branch) return;
+        const at = branch.launchFrame - predictionBuffer.base;
+        row.querySelector('.fan-out-dest').textContent = fanOutMissed(branch)
+            ? `${branch.dest.name} missed` : `${branch.dest.name} +${formatTransferDuration(at)}`;
+        row.classList.toggle('missed', fanOutMissed(branch));
+        const slider = row.querySelector('.fan-out-qty');
+        slider.max = Math.max(0, pool - onScreen - (kept - branch.count));
+        slider.value = branch.count;
+        row.querySelector('.fan-out-count').textContent = branch.count;
+    });
+}
+
+// The route kept for each destination, drawn over the fan of the one on screen
+const fanOutPathPool = [];
+
+function updateFanOutRoutes() {
+    const shown = transferIsPlanning() ? fanOutBranches : [];
+    while (fanOutPathPool.length < shown.length) {
+        const p = document.createElementNS(SVG_NS, 'path');
+        p.setAttribute('class', 'fan-out-route');
+        p.setAttribute('fill', 'none');
+        fanLayer.appendChild(p);
+        fanOutPathPool.push(p);
+    }
+    fanOutPathPool.forEach((el, i) => {
+        const pts = i < shown.length ? fanScreenPath(shown[i].entry) : [];
+        if (pts.length < 2) {
+            el.setAttribute('d', '');
+            el.style.display = 'none';
+            return;
+        }
+        let d = `M ${pts[0].x} ${pts[0].y}`;
+        for (let j = 1; j < pts.length; j++) d += ` L ${pts[j].x} ${pts[j].y}`;
+        el.setAttribute('d', d);
+        el.style.display = '';
+        el.classList.toggle('retrograde', shown[i].entry.direction < 0);
+    });
 }
 
 
 // Pure simulation step for prediction (doesn't modify actual bodies)
 // Takes an array of body states and returns the next state
-function simulateStep(states, masses, dt) {
+function simulateStep(states, masses, dt, method = activeIntegrator) {
     const n = states.length;
 
-    // Calculate accelerations for all bodies
-    const accelerations = states.map((state, i) => {
+    // Gravitational accelerations for all bodies, at the positions given
+    const accelerations = (at) => at.map((state, i) => {
         let ax = 0;
         let ay = 0;
 
         for (let j = 0; j < n; j++) {
             if (i === j) continue;
 
-            const dx = states[j].x - state.x;
-            const dy = states[j].y - state.y;
+            const dx = at[j].x - state.x;
+            const dy = at[j].y - state.y;
             const distSq = dx * dx + dy * dy;
             const dist = Math.sqrt(distSq);
             const safeDist = Math.max(dist, MIN_DISTANCE);
@@ -2859,18 +6095,7 @@ function simulateStep(states, masses, dt) {
         return { ax, ay };
     });
 
-    // Return new states with updated velocities and positions
-    return states.map((state, i) => {
-        const { ax, ay } = accelerations[i];
-        const nvx = state.vx + ax * dt;
-        const nvy = state.vy + ay * dt;
-        return {
-            x: state.x + nvx * dt,
-            y: state.y + nvy * dt,
-            vx: nvx,
-            vy: nvy
-        };
-    });
+    return integrateSystem(method, states, dt, accelerations);
 }
 
 // Get current body states as an array
@@ -2890,7 +6115,10 @@ function getBodyMasses() {
 
 // Reset prediction buffer
 function resetPredictions() {
-    predictionBuffer = [];
+    predictionBuffer = newPredictionBuffer();
+    // Refitted to whatever the buffer is next built from
+    bodyRails = null;
+    predictionHorizonFrames = PREDICTION_FRAMES;
     predictionTimeAccum = 0;
     sampleOffset = 0;
 }
@@ -2974,7 +6202,7 @@ function updateTrajectories() {
         // The arrival itself, always: it is the whole reason the line is drawn.
         if (frames.length === 0 || frames[frames.length - 1] !== horizon) frames.push(horizon);
 
-        const points = warpSampledTrajectory(frames, f => predictionBuffer[f][bodyIndex]);
+        const points = warpSampledTrajectory(frames, f => predictionBuffer.state(f, bodyIndex));
 
         // Drawn backwards, from the arrival to the body. The line is dashed, and a dash
         // pattern starts at the start of the path — so drawing it this way anchors the
@@ -3022,7 +6250,7 @@ function updateTrajectories() {
         if (lastFrame >= 0 && lastFrame >= craftScrubFrame && (frames.length === 0 || frames[frames.length - 1] !== lastFrame)) {
             frames.push(lastFrame);
         }
-        return { points: warpSampledTrajectory(frames, f => prediction[f]), craftScrubFrame };
+        return { points: warpSampledTrajectory(frames, f => prediction.state(f)), craftScrubFrame };
     }
 
     // Build path from a list of points with a given start position
@@ -3073,7 +6301,7 @@ function updateTrajectories() {
                 // those craft are counted at their origin until they go, so the path starts
                 // at the launch point.
                 const startScreen = (effectiveLaunchFrame > 0 && craftScrubFrame <= 0)
-                    ? displayTransform(craftPrediction[0].x, craftPrediction[0].y)
+                    ? displayTransform(craftPrediction.x(0), craftPrediction.y(0))
                     : squadronScreenPos(craft);
                 fullPath = buildPath(startScreen, points);
             }
@@ -3084,8 +6312,7 @@ function updateTrajectories() {
                 const correctionEndFrame = cp.startFrame + cp.duration;
                 const overlayPoints = [];
                 for (let i = Math.max(cp.startFrame, craftScrubFrame); i <= correctionEndFrame && i < craftPrediction.length; i++) {
-                    const pos = craftPrediction[i];
-                    overlayPoints.push(displayTransform(pos.x, pos.y));
+                    overlayPoints.push(displayTransform(craftPrediction.x(i), craftPrediction.y(i)));
                 }
                 if (overlayPoints.length > 1) {
                     let op = `M ${overlayPoints[0].x} ${overlayPoints[0].y}`;
@@ -3137,9 +6364,16 @@ function screenToWorld(screenX, screenY) {
 
 // The rubber band drawn while a transfer drag is in flight. Deliberately a
 // straight line, not a trajectory — it says "these two bodies", not "this path".
+// Stops already held on the way are joined up behind it by a second, fixed line.
 let transferDragLine = null;
+let transferDragStops = null;
 
 function createTransferDragLine() {
+    transferDragStops = document.createElementNS(SVG_NS, 'polyline');
+    transferDragStops.setAttribute('id', 'transfer-drag-stops');
+    transferDragStops.style.display = 'none';
+    uiLayer.appendChild(transferDragStops);
+
     transferDragLine = document.createElementNS(SVG_NS, 'line');
     transferDragLine.setAttribute('id', 'transfer-drag-line');
     transferDragLine.style.display = 'none';
@@ -3149,9 +6383,20 @@ function createTransferDragLine() {
 function updateTransferDragLine() {
     if (!transferDrag) {
         transferDragLine.style.display = 'none';
+        transferDragStops.style.display = 'none';
         return;
     }
-    const from = bodyScreenPos(transferDrag.source);
+    const origin = transferDrag.squadron ? squadronScreenPos(transferDrag.squadron)
+                                         : bodyScreenPos(transferDrag.source);
+    if (transferDrag.via.length > 0) {
+        const points = [origin].concat(transferDrag.via.map(bodyScreenPos));
+        transferDragStops.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '));
+        transferDragStops.style.display = '';
+    } else {
+        transferDragStops.style.display = 'none';
+    }
+    const from = transferDrag.via.length > 0
+        ? bodyScreenPos(transferDrag.via[transferDrag.via.length - 1]) : origin;
     // Snap to the destination's centre once one is under the finger, so the band
     // visibly commits rather than trailing the fingertip over the target.
     const to = transferDrag.target ? bodyScreenPos(transferDrag.target)
@@ -3409,6 +6654,12 @@ function updateInfoPanel() {
                     <span class="info-value" id="craft-arrival">${timeToArrival}m</span>
                 </div>`;
 
+                // What it will still have once there — what a redirect can spend
+                transferInfo += `<div class="info-row">
+                    <span class="info-label">Δv left:</span>
+                    <span class="info-value" id="craft-delta-v">${craft.deltaV.toFixed(1)} of ${SQUADRON_DELTA_V}</span>
+                </div>`;
+
                 // Time to correction (if applicable)
                 if (craft.correctionParams && craft.correctionParams.duration > 0) {
                     const correctionStart = craft.correctionParams.startFrame;
@@ -3553,7 +6804,7 @@ function updateInfoPanel() {
                 craftHtml += `<div id="transfer-hint" class="waiting">Propagating — ${progress}%</div>`;
             }
 
-            const lore = planetLore[selectedBody.name];
+            const lore = selectedBody.lore;
             infoDiv.innerHTML = `
                 <h3><span class="body-indicator" style="background-color: ${selectedBody.color}"></span>${selectedBody.name}</h3>
                 ${craftHtml}
@@ -3758,14 +7009,19 @@ function transferTargetAt(x, y, source) {
 }
 
 // Open the transfer picker for a pair: scan the release circle at the moment on the
-// clock and fan the results across the map.
-function beginTransferBetween(source, dest) {
+// clock and fan the results across the map, or at `openAtFrame` if it is given.
+function beginTransferBetween(source, dest, openAtFrame = null) {
     if (!bodyCanSend(source)) return;
 
+    // Re-aimed from somewhere the last leg does not land: a new trip, not the next leg
+    const chainFrom = itineraryChainFrom();
+    if (chainFrom && chainFrom.destinationBody !== source) itineraryLegs = [];
+
     transferSourceBody = source;
+    redirectSquadron = null;
     transferDestinationBody = dest;
     selectBody(source);
-    startTransferSearch();
+    startTransferSearch(openAtFrame);
 }
 
 // --- One press, shared by mouse and touch so the two cannot drift apart ---
@@ -3792,12 +7048,22 @@ function pressOnMap(x, y) {
     // any other body still selects it; releaseOnMap sorts that out on the way up.
     const bodyOwnsPress = body && body === selectedBody && bodyCanSend(body);
 
+    // A selected squadron in flight is a source in its own right: dragging off its rocket
+    // sends it somewhere new (see "Redirecting a squadron in flight"). Like the selected
+    // body, it beats the fan, which is drawn from right where it is.
+    if (!body && selectedSquadron && canRedirect(selectedSquadron) &&
+        findCraftAtPosition(x, y) === selectedSquadron) {
+        transferDrag = { source: null, squadron: selectedSquadron, x, y, via: [], target: null };
+        return;
+    }
+
     if (!bodyOwnsPress && transferFan.length > 0) {
         const hit = fanEntryAt(x, y);
         if (hit >= 0) {
             fanDrag = true;
             fanDragBody = body;
             fanHighlight = hit;
+            fanHighlightChosen = true;
             fanPointer = { x, y };
             updateTransferPanel();
             return;
@@ -3808,7 +7074,7 @@ function pressOnMap(x, y) {
 
     if (body === selectedBody) {
         // Already committed to this one, so a drag off it means the transfer.
-        if (bodyCanSend(body)) transferDrag = { source: body, x, y, target: null };
+        if (bodyCanSend(body)) transferDrag = { source: body, x, y, via: [], target: null };
         return;
     }
 
@@ -3818,7 +7084,7 @@ function pressOnMap(x, y) {
     transferHoldTimer = setTimeout(() => {
         transferHoldTimer = null;
         selectBody(body);
-        if (bodyCanSend(body)) transferDrag = { source: body, x, y, target: null };
+        if (bodyCanSend(body)) transferDrag = { source: body, x, y, via: [], target: null };
     }, TRANSFER_HOLD_MS);
 }
 
@@ -3833,6 +7099,7 @@ function moveOnMap(x, y) {
         const hit = fanEntryAt(x, y, FAN_PICK_RADIUS_PX * 3);
         if (hit >= 0 && hit !== fanHighlight) {
             fanHighlight = hit;
+            fanHighlightChosen = true;
             updateTransferPanel();
         }
         return true;
@@ -3841,10 +7108,32 @@ function moveOnMap(x, y) {
     if (!transferDrag) return false;
     transferDrag.x = x;
     transferDrag.y = y;
-    transferDrag.target = transferTargetAt(x, y, transferDrag.source);
+    const target = transferTargetAt(x, y, transferDragLastStop());
+    if (target !== transferDrag.target) {
+        // Rest on a body on the way and it becomes a stop, the band going on from there —
+        // the same hold that selects a body in the first place. Only resting: a finger
+        // crossing a planet on its way somewhere else has not asked to visit it.
+        cancelTransferHold();
+        if (target) {
+            transferHoldTimer = setTimeout(() => {
+                transferHoldTimer = null;
+                if (!transferDrag || transferDrag.target !== target) return;
+                transferDrag.via.push(target);
+                transferDrag.target = null;
+            }, TRANSFER_HOLD_MS);
+        }
+    }
+    transferDrag.target = target;
     return true;
 }
 
+// Where the band currently starts: the last stop held on the way, else the origin. A
+// redirect's origin is its rocket, which is no body and so never a stop to exclude.
+function transferDragLastStop() {
+    const via = transferDrag.via;
+    return via.length > 0 ? via[via.length - 1] : transferDrag.source;
+}
+
 // Drop a press without acting on it — the pointer left the map, or the system
 // took the gesture. Leaving transferDrag set would strand a rubber band on screen,
 // and a live hold timer would select a body long after the finger was gone.
@@ -3884,10 +7173,13 @@ function releaseOnMap(x, y, clientX, clientY, moved, slop) {
     }
 
     if (transferDrag) {
-        const { source, target } = transferDrag;
+        const { source, squadron, via, target } = transferDrag;
         transferDrag = null;
-        if (target) {
-            beginTransferBetween(source, target);
+        // Let go still on the last stop held, and that is where the trip ends
+        const stops = target ? via.concat([target])
+            : via.length > 0 && findBodyAtPosition(x, y) === via[via.length - 1] ? via : [];
+        if (stops.length > 0) {
+            beginItinerary(source, squadron, stops);
         } else if (moved < slop) {
             // Armed but never went anywhere — that is just a tap.
             selectAtPoint(x, y, clientX, clientY);
@@ -4136,7 +7428,7 @@ function calculateBoundingBox() {
 
             // Always include first point if not selected by sampling
             if (sampleOffset !== 0) {
-                const state = predictionBuffer[0][bodyIndex];
+                const state = predictionBuffer.state(0, bodyIndex);
                 minX = Math.min(minX, state.x - radius);
                 maxX = Math.max(maxX, state.x + radius);
                 minY = Math.min(minY, state.y - radius);
@@ -4145,7 +7437,7 @@ function calculateBoundingBox() {
 
             // Include downsampled points
             for (let i = sampleOffset; i < predictionBuffer.length; i += SAMPLE_INTERVAL) {
-                const state = predictionBuffer[i][bodyIndex];
+                const state = predictionBuffer.state(i, bodyIndex);
                 minX = Math.min(minX, state.x - radius);
                 maxX = Math.max(maxX, state.x + radius);
                 minY = Math.min(minY, state.y - radius);
@@ -4156,7 +7448,7 @@ function calculateBoundingBox() {
             const lastFrame = predictionBuffer.length - 1;
             const lastSampledFrame = sampleOffset + Math.floor((lastFrame - sampleOffset) / SAMPLE_INTERVAL) * SAMPLE_INTERVAL;
             if (lastFrame !== lastSampledFrame) {
-                const state = predictionBuffer[lastFrame][bodyIndex];
+                const state = predictionBuffer.state(lastFrame, bodyIndex);
                 minX = Math.min(minX, state.x - radius);
                 maxX = Math.max(maxX, state.x + radius);
                 minY = Math.min(minY, state.y - radius);
@@ -4446,7 +7738,7 @@ function transferFitViewport() {
 // the extra passes exist only for the morph.
 function fitTransferSelection() {
     const source = transferSourceBody, dest = transferDestinationBody;
-    if (!source || !dest) return;
+    if (!(source || redirectSquadron) || !dest) return;
 
     const entry = highlightedFanEntry();
     const path = entry && entry.path && entry.path.length > 1 ? entry.path : null;
@@ -4462,9 +7754,14 @@ function fitTransferSelection() {
             if (y + r > maxY) maxY = y + r;
         };
         for (const b of [source, dest]) {
+            if (!b) continue;
             const s = bodyScreenPos(b);
             add(s.x, s.y, bodyScreenRadius(b));
         }
+        if (redirectSquadron) {
+            const s = squadronScreenPos(redirectSquadron);
+            add(s.x, s.y, ROCKET_LENGTH_PX);
+        }
         if (path) {
             // Every point would be hundreds of transforms a frame for a bound that a
             // sample settles to within a pixel. The last point is taken explicitly so the
@@ -4580,11 +7877,12 @@ function fitCraftTrajectory(craft) {
     maxY = Math.max(maxY, craftPos.y);
 
     // Include trajectory points
-    for (const point of craft.trajectoryBuffer) {
-        minX = Math.min(minX, point.x);
-        maxX = Math.max(maxX, point.x);
-        minY = Math.min(minY, point.y);
-        maxY = Math.max(maxY, point.y);
+    const path = craft.trajectoryBuffer;
+    for (let i = 0; i < path.length; i++) {
+        minX = Math.min(minX, path.x(i));
+        maxX = Math.max(maxX, path.x(i));
+        minY = Math.min(minY, path.y(i));
+        maxY = Math.max(maxY, path.y(i));
     }
 
     // Include destination body if set
@@ -4614,6 +7912,17 @@ function fitCraftTrajectory(craft) {
     camera.zoom = Math.max(targetZoom, MIN_ZOOM);
 }
 
+// Start the frame loop, once. Normally that is as soon as the starting scenario is built;
+// when that one is refused, there is nothing to run until a scenario or a session is
+// loaded from the menu, and whichever of those succeeds first starts it instead.
+let gameLoopStarted = false;
+function startGameLoop() {
+    if (gameLoopStarted) return;
+    gameLoopStarted = true;
+    lastTime = performance.now();
+    requestAnimationFrame(gameLoop);
+}
+
 // Main game loop
 function gameLoop(timestamp) {
     const frameStartTime = performance.now();
@@ -4625,6 +7934,11 @@ function gameLoop(timestamp) {
     advanceTimeline(dt);
     extendCraftBuffers();
     updateTransferSearch();
+    updatePorkchopSweep();
+    updateEarliestSearch();
+    updateRendezvousSearch();
+    updateOptimizerComparison();
+    updateFanPrewarm();
 
     // Sync all body/craft state to the currently viewed frame (present or future)
     syncToViewFrame();
@@ -4636,6 +7950,7 @@ function gameLoop(timestamp) {
     // Redraw time wheel and label if panel is open
     if (timeScrubPanelOpen) {
         drawTimeWheel();
+        drawPorkchopStrip();
         updateTimeScrubLabel();
     }
 
@@ -4644,6 +7959,8 @@ function gameLoop(timestamp) {
         updateTransferPanel();
     }
 
+    autosaveSession();
+
     // CPU benchmark: measure work time and report once per second
     if (benchmarkEnabled) {
         const frameEndTime = performance.now();
@@ -4782,7 +8099,7 @@ function drawTimeWheel() {
     }
 
     // Progress arc
-    const maxOffset = predictionBuffer.length > 0 ? predictionBuffer.length - 1 : 1;
+    const maxOffset = Math.max(1, timeViewMaxOffset());
     const progress = timeViewOffset / maxOffset;
     const progressArc = document.getElementById('wheel-progress-arc');
     if (progressArc) {
@@ -4830,6 +8147,8 @@ function drawTimeWheel() {
         rightStep.setAttribute('fill', mutedColor);
         rightStep.setAttribute('opacity', timeViewOffset >= maxOffset ? '0.2' : '0.7');
     }
+
+    drawArrivalWindowMarkers();
 }
 
 // Update the time scrub label
@@ -4845,7 +8164,7 @@ function updateTimeScrubLabel() {
 // the moment just set, and the ring is a separate visual that only turns when told to,
 // so setting the offset without spinning it leaves it pointing at the wrong time.
 function setTimeViewOffset(frames) {
-    const maxOffset = predictionBuffer.length > 0 ? predictionBuffer.length - 1 : 0;
+    const maxOffset = timeViewMaxOffset();
     const next = Math.max(0, Math.min(maxOffset, frames));
     if (next === timeViewOffset) return;
     stopWheelCoast();
@@ -4855,6 +8174,45 @@ function setTimeViewOffset(frames) {
     drawTimeWheel();
 }
 
+// --- Clock controls ----------------------------------------------------------
+//
+// Pause, single step and warp all act on the present, through advanceTimeline(); none of
+// them moves the view. The wheel is how the player looks ahead, these are how they let
+// time actually pass, and keeping the two apart is what lets a paused game still be
+// scrubbed and a warped one still be planned in.
+
+function updateClockControls() {
+    const pauseBtn = document.getElementById('pause-btn');
+    pauseBtn.textContent = simPaused ? '▶' : '⏸';
+    pauseBtn.title = simPaused ? 'Resume' : 'Pause';
+    pauseBtn.classList.toggle('active', simPaused);
+    document.getElementById('step-btn').disabled = !simPaused;
+    const warpBtn = document.getElementById('warp-btn');
+    warpBtn.textContent = `${timeWarp}×`;
+    warpBtn.classList.toggle('active', timeWarp > 1);
+}
+
+function setSimPaused(paused) {
+    simPaused = paused;
+    pendingStepFrames = 0;
+    updateClockControls();
+}
+
+// One buffer frame forward. Only while paused — running, the next frame is a sixtieth of
+// a second away anyway.
+function stepSimulation() {
+    if (!simPaused) return;
+    pendingStepFrames++;
+}
+
+// Next speed up, wrapping back round to 1x
+function cycleTimeWarp() {
+    const i = TIME_WARP_STEPS.indexOf(timeWarp);
+    timeWarp = TIME_WARP_STEPS[(i + 1) % TIME_WARP_STEPS.length];
+    console.log(`[Clock] Warp ${timeWarp}x`);
+    updateClockControls();
+}
+
 // Initialize
 function init() {
     // Initialize worker pool for parallel transfer search
@@ -4918,6 +8276,8 @@ function init() {
     let popoverOpen = false;
 
     function openControlsPopover() {
+        updateIntegratorItem();
+        updateBodyMotionItem();
         popoverOpen = true;
         popoverPanel.classList.remove('hidden');
         popoverPanel.offsetHeight; // Force reflow for transition
@@ -4950,28 +8310,66 @@ function init() {
 
     // Reset item in popover
     document.getElementById('reset-item').addEventListener('click', () => {
-        initBodies();
-        resetPredictions();
-        resetTransferState();
-        abandonGesture();
-        selectedBody = null;
-        selectedSquadron = null;
-        hoveredBody = null;
-        isAutoFitPaused = false;
-        isTrackingSelectedSquadron = false;
-        // Reset time scrub state
-        timeViewOffset = 0;
-        timeScrubPanelOpen = false;
-        const scrubPanel = document.getElementById('time-scrub-panel');
-        if (scrubPanel) scrubPanel.classList.remove('visible');
-        // Reset squadrons
-        for (const sq of squadrons) sq.removeElements();
-        squadrons.length = 0;
-        scheduledTransfers.length = 0;
-        camera = { x: 0, y: 0, zoom: 1 };
-        updateTimeScrubLabel();
+        restartSimulation();
+        closeControlsPopover();
+    });
+
+    // Load scenario item in popover. The picker is a hidden file input; a file that fails
+    // validation leaves the running system untouched and says why.
+    const scenarioInput = document.getElementById('scenario-file-input');
+    document.getElementById('load-scenario-item').addEventListener('click', () => {
+        scenarioInput.value = '';
+        scenarioInput.click();
+        closeControlsPopover();
+    });
+    scenarioInput.addEventListener('change', () => {
+        const file = scenarioInput.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            const { scenario, errors } = parseScenario(text, file.name);
+            if (errors) {
+                showScenarioErrors(errors, file.name);
+                return;
+            }
+            document.getElementById('scenario-error').classList.remove('visible');
+            activeScenario = scenario;
+            restartSimulation();
+            startGameLoop();
+        });
+    });
+
+    // Export / import session items in popover. Import goes through the same checks as
+    // the autosave, and a file that fails them leaves the running game alone.
+    document.getElementById('export-session-item').addEventListener('click', () => {
+        exportSession();
         closeControlsPopover();
     });
+    const sessionInput = document.getElementById('session-file-input');
+    document.getElementById('import-session-item').addEventListener('click', () => {
+        sessionInput.value = '';
+        sessionInput.click();
+        closeControlsPopover();
+    });
+    sessionInput.addEventListener('change', () => {
+        const file = sessionInput.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            const errors = loadSessionText(text, file.name);
+            if (errors.length) {
+                showScenarioErrors(errors, file.name);
+                return;
+            }
+            document.getElementById('scenario-error').classList.remove('visible');
+            autosaveSession(true);
+            startGameLoop();
+        });
+    });
+    // A last write on the way out, so a reload loses at most nothing
+    window.addEventListener('pagehide', () => autosaveSession(true));
+
+    document.getElementById('scenario-error-dismiss').addEventListener('click', () => {
+        document.getElementById('scenario-error').classList.remove('visible');
+    });
 
     // Fit All item in popover
     document.getElementById('fit-all-item').addEventListener('click', () => {
@@ -4982,10 +8380,21 @@ function init() {
         closeControlsPopover();
     });
 
-    // Escape key to reset auto-fit
+    // Clock controls, lower right
+    document.getElementById('pause-btn').addEventListener('click', () => setSimPaused(!simPaused));
+    document.getElementById('step-btn').addEventListener('click', stepSimulation);
+    document.getElementById('warp-btn').addEventListener('click', cycleTimeWarp);
+    updateClockControls();
+
+    // Escape key to reset auto-fit; space pauses, '.' steps
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             resetAutoFit();
+        } else if (e.key === ' ' && e.target === document.body) {
+            e.preventDefault();
+            setSimPaused(!simPaused);
+        } else if (e.key === '.' && e.target === document.body) {
+            stepSimulation();
         }
     });
 
@@ -5073,7 +8482,7 @@ function init() {
 
     function applyWheelDelta(delta) {
         // Clamp offset to valid range, then only rotate wheel by the effective delta
-        const maxOffset = predictionBuffer.length > 0 ? predictionBuffer.length - 1 : 0;
+        const maxOffset = timeViewMaxOffset();
         const prevOffset = timeViewOffset;
         timeViewOffset = Math.max(0, Math.min(maxOffset, timeViewOffset + delta * FRAMES_PER_RADIAN));
         const effectiveDelta = (timeViewOffset - prevOffset) / FRAMES_PER_RADIAN;
@@ -5096,7 +8505,7 @@ function init() {
     stopWheelCoast = stopWheelMomentum;   // see setTimeViewOffset
 
     function stepTimeScrub(direction) {
-        const maxOffset = predictionBuffer.length > 0 ? predictionBuffer.length - 1 : 0;
+        const maxOffset = timeViewMaxOffset();
         const newOffset = Math.max(0, Math.min(maxOffset, Math.round(timeViewOffset) + direction));
         if (newOffset !== timeViewOffset) {
             const frameDelta = newOffset - timeViewOffset;
@@ -5155,7 +8564,7 @@ function init() {
         }
 
         // Clamp velocity at boundaries
-        const maxOffset = predictionBuffer.length > 0 ? predictionBuffer.length - 1 : 0;
+        const maxOffset = timeViewMaxOffset();
         if (timeViewOffset <= 0 && wheelVelocity < 0) wheelVelocity = 0;
         if (timeViewOffset >= maxOffset && wheelVelocity > 0) wheelVelocity = 0;
 
@@ -5196,7 +8605,7 @@ function init() {
         if (delta < -Math.PI) delta += 2 * Math.PI;
 
         // Block impulse past boundaries
-        const maxOffset = predictionBuffer.length > 0 ? predictionBuffer.length - 1 : 0;
+        const maxOffset = timeViewMaxOffset();
         if (timeViewOffset <= 0 && delta < 0) delta = 0;
         if (timeViewOffset >= maxOffset && delta > 0) delta = 0;
 
@@ -5282,11 +8691,23 @@ function init() {
         applyWheelDelta(delta);
     }, { passive: false });
 
+    // Tap the launch-window strip to put the clock on that moment
+    document.getElementById('porkchop-strip').addEventListener('click', (e) => {
+        const r = e.currentTarget.getBoundingClientRect();
+        const frame = porkchopFrameAt(e.clientX - r.left);
+        if (frame >= 0) setTimeViewOffset(frame);
+    });
+
     createTransferDragLine();
-    initBodies();
 
-    lastTime = performance.now();
-    requestAnimationFrame(gameLoop);
+    // The system is read from a file, so the first frame waits for it
+    loadStartingScenario().then(scenario => {
+        if (!scenario) return;   // nothing to run; the error panel says why
+        initBodies(scenario);
+        resetPredictions();   // a buffer with room for these bodies
+        resumeAutosavedSession();
+        startGameLoop();
+    });
 }
 
 // Debug helper - call window.debugSquadrons() in browser console
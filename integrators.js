@@ -0,0 +1,251 @@
+// Integrators
+//
+// The one piece of numerical method in the game, shared by the page and the transfer
+// workers. Bodies, craft in flight, the routes the workers search and the route a launch
+// re-integrates all step through these functions, so they cannot quietly disagree: the
+// page loads this file with a <script> tag, the workers with importScripts, and every scan
+// names the integrator it is to use (see `integrator` in transferScanParams).
+//
+// Three methods, all fixed-step — though a craft's step may be cut finer; see "Substeps":
+//
+//   euler   Semi-implicit (symplectic) Euler: kick the velocity with the acceleration
+//           here, then drift with the new velocity. One force evaluation a step. What the
+//           game has always used; first order, but it keeps an orbit closed rather than
+//           spiralling it outward, so its energy wobbles instead of running away.
+//   verlet  Velocity Verlet, the kick-drift-kick form of leapfrog. Half a kick, a full
+//           drift, a second half kick at the new position. Two evaluations a step, second
+//           order, and still symplectic — the wobble is much smaller.
+//   rk4     Classical fourth-order Runge-Kutta. Four evaluations a step and far more
+//           accurate per step, but not symplectic: its error is tiny and one-signed, so
+//           over a long enough run it drifts where the other two only wobble.
+//
+// The steps themselves know nothing about gravity. A system step is handed
+// `accelerate(states)`, which returns an { ax, ay } per state; a craft step is handed
+// `accelerate(x, y, tau, out)`, where `tau` runs from 0 at the start of the step to 1 at
+// its end so the caller can put the bodies where they are at that moment. Thrust is the
+// caller's business too: it is decided at the start of a step and held through it, which
+// is what a frame of burn meant before there was a choice. What a craft's `accelerate`
+// usually starts from, the pull of the bodies in the buffer, is here as well — see
+// "Gravity on a craft".
+
+const INTEGRATORS = {
+    euler: 'Symplectic Euler',
+    verlet: 'Velocity Verlet',
+    rk4: 'Runge-Kutta 4',
+};
+
+const DEFAULT_INTEGRATOR = 'euler';
+
+function isIntegrator(method) {
+    return Object.prototype.hasOwnProperty.call(INTEGRATORS, method);
+}
+
+// One step of a whole system of point masses. Returns new { x, y, vx, vy } states.
+function integrateSystem(method, states, dt, accelerate) {
+    if (method === 'euler') {
+        const a = accelerate(states);
+        return states.map((s, i) => {
+            const vx = s.vx + a[i].ax * dt;
+            const vy = s.vy + a[i].ay * dt;
+            return { x: s.x + vx * dt, y: s.y + vy * dt, vx, vy };
+        });
+    }
+
+    if (method === 'verlet') {
+        const a0 = accelerate(states);
+        const drifted = states.map((s, i) => {
+            const vx = s.vx + a0[i].ax * dt / 2;
+            const vy = s.vy + a0[i].ay * dt / 2;
+            return { x: s.x + vx * dt, y: s.y + vy * dt, vx, vy };
+        });
+        const a1 = accelerate(drifted);
+        return drifted.map((s, i) => ({
+            x: s.x,
+            y: s.y,
+            vx: s.vx + a1[i].ax * dt / 2,
+            vy: s.vy + a1[i].ay * dt / 2,
+        }));
+    }
+
+    if (method === 'rk4') {
+        // Each stage is a state to take the derivative at: positions to accelerate, and
+        // the velocities that are the positions' derivative.
+        const stage = (from, k, h) => states.map((s, i) => ({
+            x: s.x + from[i].vx * h,
+            y: s.y + from[i].vy * h,
+            vx: s.vx + k[i].ax * h,
+            vy: s.vy + k[i].ay * h,
+        }));
+        const k1 = accelerate(states);
+        const s2 = stage(states, k1, dt / 2);
+        const k2 = accelerate(s2);
+        const s3 = stage(s2, k2, dt / 2);
+        const k3 = accelerate(s3);
+        const s4 = stage(s3, k3, dt);
+        const k4 = accelerate(s4);
+        return states.map((s, i) => ({
+            x: s.x + (s.vx + 2 * s2[i].vx + 2 * s3[i].vx + s4[i].vx) * dt / 6,
+            y: s.y + (s.vy + 2 * s2[i].vy + 2 * s3[i].vy + s4[i].vy) * dt / 6,
+            vx: s.vx + (k1[i].ax + 2 * k2[i].ax + 2 * k3[i].ax + k4[i].ax) * dt / 6,
+            vy: s.vy + (k1[i].ay + 2 * k2[i].ay + 2 * k3[i].ay + k4[i].ay) * dt / 6,
+        }));
+    }
+
+    throw new Error(`Unknown integrator "${method}"`);
+}
+
+// One step of a single craft, in place: `s` is an { x, y, vx, vy } and is moved on by `dt`.
+// Called once a frame for every candidate route the workers try, so it allocates nothing;
+// the accelerations land in these.
+//
+// A substep covers only part of a frame: `tauFrom` is where in the frame it starts and
+// `tauSpan` how much of it it covers, so `accelerate` is still told where in the whole
+// frame each of its evaluations falls.
+const _k1 = { ax: 0, ay: 0 };
+const _k2 = { ax: 0, ay: 0 };
+const _k3 = { ax: 0, ay: 0 };
+const _k4 = { ax: 0, ay: 0 };
+
+function integrateCraft(method, s, dt, accelerate, tauFrom = 0, tauSpan = 1) {
+    const mid = tauFrom + tauSpan / 2;
+    const end = tauFrom + tauSpan;
+
+    if (method === 'euler') {
+        accelerate(s.x, s.y, tauFrom, _k1);
+        s.vx += _k1.ax * dt;
+        s.vy += _k1.ay * dt;
+        s.x += s.vx * dt;
+        s.y += s.vy * dt;
+        return;
+    }
+
+    if (method === 'verlet') {
+        accelerate(s.x, s.y, tauFrom, _k1);
+        s.vx += _k1.ax * dt / 2;
+        s.vy += _k1.ay * dt / 2;
+        s.x += s.vx * dt;
+        s.y += s.vy * dt;
+        accelerate(s.x, s.y, end, _k2);
+        s.vx += _k2.ax * dt / 2;
+        s.vy += _k2.ay * dt / 2;
+        return;
+    }
+
+    if (method === 'rk4') {
+        const { x, y, vx, vy } = s;
+        accelerate(x, y, tauFrom, _k1);
+        const vx2 = vx + _k1.ax * dt / 2, vy2 = vy + _k1.ay * dt / 2;
+        accelerate(x + vx * dt / 2, y + vy * dt / 2, mid, _k2);
+        const vx3 = vx + _k2.ax * dt / 2, vy3 = vy + _k2.ay * dt / 2;
+        accelerate(x + vx2 * dt / 2, y + vy2 * dt / 2, mid, _k3);
+        const vx4 = vx + _k3.ax * dt, vy4 = vy + _k3.ay * dt;
+        accelerate(x + vx3 * dt, y + vy3 * dt, end, _k4);
+        s.x = x + (vx + 2 * vx2 + 2 * vx3 + vx4) * dt / 6;
+        s.y = y + (vy + 2 * vy2 + 2 * vy3 + vy4) * dt / 6;
+        s.vx = vx + (_k1.ax + 2 * _k2.ax + 2 * _k3.ax + _k4.ax) * dt / 6;
+        s.vy = vy + (_k1.ay + 2 * _k2.ay + 2 * _k3.ay + _k4.ay) * dt / 6;
+        return;
+    }
+
+    throw new Error(`Unknown integrator "${method}"`);
+}
+
+// --- Substeps ------------------------------------------------------------------------
+//
+// A frame is a tenth of a minute, which is nothing out in the open and a great deal on a
+// fast pass by a small moon: a craft doing twenty units a minute crosses Nyx's parking
+// orbit in ten frames, and whether it is "captured" can come down to where those ten
+// samples happen to fall. So a craft's frame is cut into substeps when something is close.
+//
+// Close is measured in time, not distance. Each body offers two clocks — how long the craft
+// takes to cover its distance from it at their relative speed, and the dynamical time
+// √(r³/Gm), the square root of distance over the body's pull, which is how quickly that
+// pull is turning the craft — and the shortest clock over every body is the encounter's
+// timescale. A craft under thrust is being turned by its engine as well as by the body, so
+// the dynamical time is taken over the two together, √(r / (Gm/r² + thrust)): a burn close
+// in, like the spiral out of a small moon's orbit, is cut finer than a coast past it. A
+// frame is substepped until each piece is at most SUBSTEP_FRACTION of the timescale. Out
+// in the open that is one piece, the frame as it always was; a close, fast pass gets up to
+// MAX_SUBSTEPS. The bodies between frames are where the caller interpolates them, and the
+// craft still comes out with one state per frame.
+//
+// The timescale is worked out from a `field` (see "Gravity on a craft" below), and the rule
+// for turning it into substeps is here with it, so the page and the workers cannot count
+// them differently.
+
+const SUBSTEP_FRACTION = 0.1;
+const MAX_SUBSTEPS = 16;
+
+// The encounter timescale of a craft at (x, y) moving at (vx, vy) under `thrust` of its
+// own, against the bodies in the frame at offset `frame` in the field's data: the shortest,
+// over every body, of its crossing time and its dynamical time.
+function encounterTimescale(field, frame, x, y, vx, vy, thrust = 0) {
+    const { data, masses, g, minDistance } = field;
+    // Compared as fourth powers, so the loop takes no square roots
+    let shortest4 = Infinity;
+    for (let i = 0; i < masses.length; i++) {
+        const b = frame + i * BODY_FIELDS;
+        const dx = data[b] - x;
+        const dy = data[b + 1] - y;
+        const distSq = Math.max(dx * dx + dy * dy, minDistance * minDistance);
+        const rvx = vx - data[b + 2];
+        const rvy = vy - data[b + 3];
+        const speedSq = rvx * rvx + rvy * rvy;
+        const crossing = distSq / speedSq;
+        // r³ over the pull and the thrust together, Gm + thrust·r²
+        const turning = g * masses[i] + thrust * distSq;
+        const t4 = Math.min(crossing * crossing, distSq * distSq * distSq / (turning * turning));
+        if (t4 < shortest4) shortest4 = t4;
+    }
+    return Math.sqrt(Math.sqrt(shortest4));
+}
+
+function craftSubsteps(dt, timescale) {
+    if (!(timescale > 0)) return MAX_SUBSTEPS;
+    return Math.min(MAX_SUBSTEPS, Math.max(1, Math.ceil(dt / (SUBSTEP_FRACTION * timescale))));
+}
+
+// One frame of a craft, in `substeps` pieces
+function stepCraft(method, s, dt, accelerate, substeps = 1) {
+    if (substeps <= 1) {
+        integrateCraft(method, s, dt, accelerate);
+        return;
+    }
+    const h = dt / substeps;
+    for (let k = 0; k < substeps; k++) {
+        integrateCraft(method, s, h, accelerate, k / substeps, 1 / substeps);
+    }
+}
+
+// --- Gravity on a craft ------------------------------------------------------------------
+//
+// The page flying a launch and the workers trying routes read the bodies from a buffer of
+// the same layout (frames.js), and have to feel them pull exactly alike, so the pull is
+// worked out here rather than by each. A `field` says what is pulling: the buffer's flat
+// `data`, each body's `masses` in the buffer's order, the gravitational constant `g`, and
+// `minDistance`, closer than which a body pulls no harder than it does there.
+
+// Gravity on a craft at (x, y), into `out`, with the bodies `tau` of the way from the frame
+// at offset `from` in the field's data to the one at `to` — one buffer frame and the next.
+// Straight-line in between: a tenth of a minute is a sliver of any orbit here, and only
+// the higher-order integrators look inside a frame at all.
+function craftGravity(field, from, to, tau, x, y, out) {
+    const { data, masses, g, minDistance } = field;
+    let ax = 0;
+    let ay = 0;
+    for (let i = 0; i < masses.length; i++) {
+        const a = from + i * BODY_FIELDS;
+        const b = to + i * BODY_FIELDS;
+        const bx = tau === 0 ? data[a] : data[a] + (data[b] - data[a]) * tau;
+        const by = tau === 0 ? data[a + 1] : data[a + 1] + (data[b + 1] - data[a + 1]) * tau;
+        const dx = bx - x;
+        const dy = by - y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const safeDist = Math.max(dist, minDistance);
+        const acceleration = g * masses[i] / (safeDist * safeDist);
+        ax += acceleration * (dx / dist);
+        ay += acceleration * (dy / dist);
+    }
+    out.ax = ax;
+    out.ay = ay;
+}
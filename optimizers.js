@@ -0,0 +1,227 @@
+// Burn optimizers
+//
+// How a route's burn is tuned, shared by the page and the transfer workers the way
+// integrators.js is: the workers run these, and the page knows them by name, to offer them
+// and to compare them (see "Optimizer comparison" in game.js). Every scan names the
+// optimizer it is to use, as it names the integrator.
+//
+// Three methods, each a minimizer of a few numbers and nothing more:
+//
+//   descent    Coordinate descent, coarse to fine: try a step either way along each
+//              number in turn, keep whatever is better, and narrow the steps down a fixed
+//              schedule once nothing is. What the scan has always used.
+//   simplex    Nelder–Mead. A triangle-in-more-dimensions of trial points that reflects,
+//              stretches and shrinks its way downhill. Moves along every number at once,
+//              so it can follow a ridge that runs across them.
+//   evolution  Differential evolution, small: a handful of points, each challenged by a
+//              blend of three others. Looks wider than either of the above, and has no
+//              use for the ridge being smooth, at the price of many more flights.
+//
+// The comparison in the menu says how they stand. Nelder–Mead mostly finds a route or two
+// more for about half as many flights again; evolution finds the most and often the
+// quickest, for five times the flights. Descent stays the default — the fan is re-scanned
+// on every move of the wheel, and it is the cheapest — but that is the kind of answer the
+// comparison is there to keep honest.
+//
+// Nothing here knows about flights. A method is handed `evaluate(x)`, which scores a
+// point — an array with one number per dimension, lower is better — and the seed to start
+// from, and a `space` describing each dimension:
+//
+//   { lo, hi, steps }   the bounds (either may be infinite), and the step sizes the
+//                       descent runs through, coarsest first. The others take the first
+//                       as the scale of the dimension and the last as how finely it is
+//                       worth settling it.
+//
+// Points are handed to `evaluate` unclamped and unrounded except where a method says; the
+// caller clamps, rounds and remembers the best it has been shown. A method returns nothing.
+
+const OPTIMIZERS = {
+    descent: 'Coordinate descent',
+    simplex: 'Nelder–Mead',
+    evolution: 'Differential evolution',
+};
+
+const DEFAULT_OPTIMIZER = 'descent';
+
+function isOptimizer(method) {
+    return Object.prototype.hasOwnProperty.call(OPTIMIZERS, method);
+}
+
+function minimize(method, evaluate, seed, space) {
+    if (method === 'simplex') return minimizeSimplex(evaluate, seed, space);
+    if (method === 'evolution') return minimizeEvolution(evaluate, seed, space);
+    return minimizeDescent(evaluate, seed, space);
+}
+
+function clampTo(dim, v) {
+    return Math.max(dim.lo, Math.min(dim.hi, v));
+}
+
+// --- Coordinate descent ------------------------------------------------------------
+//
+// The step schedule matters more than the method: the old optimizer stepped the angle by
+// a fixed 0.1 degrees and needed thousands of integrations to cross a degree, where
+// narrowing from 8 degrees reaches the same precision in tens.
+
+const DESCENT_MAX_PASSES = 200;   // per rung of the schedule
+
+function minimizeDescent(evaluate, seed, space) {
+    const x = seed.slice();
+    let best = evaluate(x);
+
+    for (let rung = 0; rung < space[0].steps.length; rung++) {
+        let improved = true;
+        let guard = 0;
+        while (improved && guard++ < DESCENT_MAX_PASSES) {
+            improved = false;
+            space.forEach((dim, i) => {
+                const step = dim.steps[rung];
+                for (const d of [-step, step]) {
+                    const v = clampTo(dim, x[i] + d);
+                    if (v === x[i]) continue;
+                    const trial = x.slice();
+                    trial[i] = v;
+                    const score = evaluate(trial);
+                    if (score < best) {
+                        best = score;
+                        x[i] = v;
+                        improved = true;
+                    }
+                }
+            });
+        }
+    }
+}
+
+// --- Nelder–Mead -------------------------------------------------------------------
+//
+// Worked in units of each dimension's coarsest step, so the simplex starts out as wide
+// along each as the descent's first rung and is not squashed flat along the one measured
+// in small numbers. Done once it has shrunk to the descent's last rung, or has spent as
+// many flights as the descent typically does.
+
+const SIMPLEX_MAX_EVALUATIONS = 240;
+
+function minimizeSimplex(evaluate, seed, space) {
+    const n = space.length;
+    const scale = space.map((dim) => dim.steps[0]);
+    const tolerance = Math.min(...space.map((dim) => dim.steps[dim.steps.length - 1] / dim.steps[0]));
+    const toPoint = (u) => u.map((v, i) => clampTo(space[i], v * scale[i]));
+    let evaluations = 0;
+    const score = (u) => {
+        evaluations++;
+        return evaluate(toPoint(u));
+    };
+
+    const origin = seed.map((v, i) => v / scale[i]);
+    let simplex = [origin];
+    for (let i = 0; i < n; i++) {
+        const u = origin.slice();
+        u[i] += 1;
+        simplex.push(u);
+    }
+    let scores = simplex.map(score);
+
+    const along = (from, to, t) => from.map((v, i) => v + t * (to[i] - v));
+    while (evaluations < SIMPLEX_MAX_EVALUATIONS) {
+        const order = scores.map((s, i) => i).sort((a, b) => scores[a] - scores[b]);
+        simplex = order.map((i) => simplex[i]);
+        scores = order.map((i) => scores[i]);
+
+        const size = Math.max(...simplex.slice(1).map((u) =>
+            Math.max(...u.map((v, i) => Math.abs(v - simplex[0][i])))));
+        if (size < tolerance) break;
+
+        // The centre of all but the worst, and the worst reflected through it
+        const centre = new Array(n).fill(0);
+        for (let k = 0; k < n; k++) {
+            for (let i = 0; i < n; i++) centre[i] += simplex[k][i] / n;
+        }
+        const worst = simplex[n];
+        const reflected = along(centre, worst, -1);
+        const r = score(reflected);
+
+        if (r < scores[0]) {
+            const expanded = along(centre, worst, -2);
+            const e = score(expanded);
+            [simplex[n], scores[n]] = e < r ? [expanded, e] : [reflected, r];
+        } else if (r < scores[n - 1]) {
+            [simplex[n], scores[n]] = [reflected, r];
+        } else {
+            const contracted = r < scores[n] ? along(centre, reflected, 0.5) : along(centre, worst, 0.5);
+            const c = score(contracted);
+            if (c < Math.min(r, scores[n])) {
+                [simplex[n], scores[n]] = [contracted, c];
+            } else {
+                // Nothing along that line: pull everything in towards the best
+                for (let k = 1; k <= n; k++) {
+                    simplex[k] = along(simplex[0], simplex[k], 0.5);
+                    scores[k] = score(simplex[k]);
+                }
+            }
+        }
+    }
+}
+
+// --- Differential evolution ----------------------------------------------------------
+//
+// rand/1/bin. The population starts at the seed and scattered about it, up to twice the
+// coarsest step either way, and each generation every point is challenged by a trial made
+// from three others — one, plus a share of the difference of the other two — crossed with
+// it number by number. The challenger replaces it if it scores no worse.
+//
+// Seeded from a fixed number, so a scan gives the same routes every time it is run: the
+// fan is remembered by what was asked of it, and the route flown is the route found.
+
+const EVOLUTION_POPULATION = 8;
+const EVOLUTION_GENERATIONS = 30;
+const EVOLUTION_WEIGHT = 0.6;      // F: how much of the difference is added
+const EVOLUTION_CROSSOVER = 0.9;   // CR: how likely each number is to come from the trial
+const EVOLUTION_RANDOM_SEED = 0x5eed;
+
+// mulberry32: small, fast, and good enough to scatter a few points
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function minimizeEvolution(evaluate, seed, space) {
+    const random = seededRandom(EVOLUTION_RANDOM_SEED);
+    const n = space.length;
+    const pick = (count, not) => {
+        const chosen = [];
+        while (chosen.length < count) {
+            const k = Math.floor(random() * EVOLUTION_POPULATION);
+            if (k !== not && !chosen.includes(k)) chosen.push(k);
+        }
+        return chosen;
+    };
+
+    const population = [seed.slice()];
+    while (population.length < EVOLUTION_POPULATION) {
+        population.push(seed.map((v, i) => clampTo(space[i], v + (random() * 4 - 2) * space[i].steps[0])));
+    }
+    const scores = population.map(evaluate);
+
+    for (let generation = 0; generation < EVOLUTION_GENERATIONS; generation++) {
+        for (let p = 0; p < EVOLUTION_POPULATION; p++) {
+            const [a, b, c] = pick(3, p);
+            const always = Math.floor(random() * n);   // at least one number from the trial
+            const trial = population[p].map((v, i) => {
+                if (i !== always && random() >= EVOLUTION_CROSSOVER) return v;
+                return clampTo(space[i], population[a][i] + EVOLUTION_WEIGHT * (population[b][i] - population[c][i]));
+            });
+            const s = evaluate(trial);
+            if (s <= scores[p]) {
+                population[p] = trial;
+                scores[p] = s;
+            }
+        }
+    }
+}
@@ -0,0 +1,176 @@
+// Bodies on rails
+//
+// The other way to move the bodies. Ordinarily every body pulls on every other and the
+// prediction buffer is stepped forward one frame at a time, which is why it ends: 1800
+// minutes of n-body stepping is what there is, and nothing can be planned past it. On
+// rails, each body instead follows a fixed Kepler orbit about the body it goes round —
+// planets about the star, moons about their planet, the moon's ellipse carried along on
+// its planet's — and where everything is at any moment is a formula, not a history. Any
+// frame, however far out, can be worked out on its own.
+//
+// What is lost is the bodies' pull on one another beyond that one parent: Gaia no longer
+// tugs at Terra, and a moon no longer feels the star. Craft lose nothing. They still feel
+// every body at once, wherever the rails put it, exactly as they do in the n-body mode.
+//
+// The orbits are fitted to the bodies as they stand, so switching to rails starts from the
+// same present the n-body prediction would. Each body's parent is the heavier neighbour
+// pulling hardest on it — the same rule the transfer workers use to decide what a body
+// orbits — and a body with nothing heavier near it (the star) just keeps its velocity.
+// A body moving too fast to be bound to its parent has no orbit to put it on, and then
+// rails are not an option for that system.
+//
+// Shared, like integrators.js, by the page and the transfer workers, so the two always put
+// a body in the same place at the same moment. Nothing here knows G; it comes in with the
+// fit and is folded into each orbit's gravitational parameter.
+
+const BODY_MOTIONS = {
+    nbody: 'N-body',
+    rails: 'On rails',
+};
+
+const DEFAULT_BODY_MOTION = 'nbody';
+
+function isBodyMotion(motion) {
+    return Object.prototype.hasOwnProperty.call(BODY_MOTIONS, motion);
+}
+
+// Which body each one orbits: the heavier body pulling hardest on it, or -1 for none.
+// Pull is mass over squared distance, floored at `minDistance` as the gravity is.
+function bodyPrimaryIndices(states, masses, minDistance) {
+    const n = masses.length;
+    const primaries = new Array(n).fill(-1);
+    for (let i = 0; i < n; i++) {
+        let strongest = 0;
+        for (let j = 0; j < n; j++) {
+            if (j === i || masses[j] <= masses[i]) continue;
+            const d2 = (states[j].x - states[i].x) ** 2 + (states[j].y - states[i].y) ** 2;
+            const pull = masses[j] / Math.max(d2, minDistance * minDistance);
+            if (pull > strongest) {
+                strongest = pull;
+                primaries[i] = j;
+            }
+        }
+    }
+    return primaries;
+}
+
+// Fit rails to `states` — one { x, y, vx, vy } per body, at rails time zero. Returns
+//   { orbits, order, unbound }
+// where `orbits[i]` is body i's orbit, `order` lists the bodies parents first, and
+// `unbound` the bodies that could not be put on an orbit. Rails with anything unbound
+// are not to be used.
+//
+// An orbit is either a body with no parent, moving in a straight line:
+//   { parent: -1, x, y, vx, vy }
+// or an ellipse about its parent, in the usual elements:
+//   { parent, mu, a, e, periapsis, sense, meanAnomaly, meanMotion }
+// `sense` is +1 for an orbit that runs the way the angles do and -1 for one that runs back.
+function fitRails(states, masses, gravity, minDistance) {
+    const parents = bodyPrimaryIndices(states, masses, minDistance);
+    const unbound = [];
+
+    const orbits = states.map((s, i) => {
+        const p = parents[i];
+        if (p < 0) return { parent: -1, x: s.x, y: s.y, vx: s.vx, vy: s.vy };
+
+        const mu = gravity * (masses[p] + masses[i]);
+        const rx = s.x - states[p].x;
+        const ry = s.y - states[p].y;
+        const vx = s.vx - states[p].vx;
+        const vy = s.vy - states[p].vy;
+        const r = Math.hypot(rx, ry);
+        const v2 = vx * vx + vy * vy;
+        const energy = v2 / 2 - mu / r;
+        if (!(energy < 0)) {
+            unbound.push(i);
+            return null;
+        }
+
+        const a = -mu / (2 * energy);
+        const sense = rx * vy - ry * vx < 0 ? -1 : 1;
+        const rv = rx * vx + ry * vy;
+        const ex = ((v2 - mu / r) * rx - rv * vx) / mu;
+        const ey = ((v2 - mu / r) * ry - rv * vy) / mu;
+        const e = Math.hypot(ex, ey);
+        // A circle has no periapsis; measure from where the body is instead
+        const periapsis = e > 1e-12 ? Math.atan2(ey, ex) : Math.atan2(ry, rx);
+
+        const trueAnomaly = sense * (Math.atan2(ry, rx) - periapsis);
+        const E = Math.atan2(Math.sqrt(1 - e * e) * Math.sin(trueAnomaly), e + Math.cos(trueAnomaly));
+        return {
+            parent: p,
+            mu,
+            a,
+            e,
+            periapsis,
+            cosPeriapsis: Math.cos(periapsis),
+            sinPeriapsis: Math.sin(periapsis),
+            sense,
+            meanAnomaly: E - e * Math.sin(E),
+            meanMotion: Math.sqrt(mu / (a * a * a)),
+        };
+    });
+
+    // A parent is always heavier than what orbits it, so heaviest first is parents first
+    const order = masses.map((_, i) => i).sort((i, j) => masses[j] - masses[i]);
+    return { orbits, order, unbound };
+}
+
+// Newton's method on Kepler's equation, E - e sin E = M, for the eccentric anomaly. The
+// planets here are nearly circular and it is done in three or four steps; the cap is for
+// an orbit so eccentric that Newton's method wanders.
+const KEPLER_TOLERANCE = 1e-14;
+const KEPLER_MAX_ITERATIONS = 30;
+
+function eccentricAnomaly(M, e) {
+    let E = e < 0.8 ? M : Math.PI;
+    for (let k = 0; k < KEPLER_MAX_ITERATIONS; k++) {
+        const step = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= step;
+        if (Math.abs(step) < KEPLER_TOLERANCE) break;
+    }
+    return E;
+}
+
+// Every body's { x, y, vx, vy } at `t` minutes after the moment the rails were fitted to.
+function railsStatesAt(rails, t) {
+    const out = new Array(rails.orbits.length);
+    for (const i of rails.order) {
+        const o = rails.orbits[i];
+        if (o.parent < 0) {
+            out[i] = { x: o.x + o.vx * t, y: o.y + o.vy * t, vx: o.vx, vy: o.vy };
+            continue;
+        }
+
+        // Mean anomaly wrapped to a single turn, so a far-off moment is as well conditioned
+        // as a near one
+        let M = o.meanAnomaly + o.meanMotion * t;
+        M -= 2 * Math.PI * Math.round(M / (2 * Math.PI));
+        const E = eccentricAnomaly(M, o.e);
+        const cosE = Math.cos(E);
+        const sinE = Math.sin(E);
+        const b = Math.sqrt(1 - o.e * o.e);
+        const rate = o.meanMotion / (1 - o.e * cosE);
+
+        // In the orbit's own frame, periapsis along +x, then turned into place
+        const px = o.a * (cosE - o.e);
+        const py = o.sense * o.a * b * sinE;
+        const pvx = -o.a * sinE * rate;
+        const pvy = o.sense * o.a * b * cosE * rate;
+        const parent = out[o.parent];
+        out[i] = {
+            x: parent.x + px * o.cosPeriapsis - py * o.sinPeriapsis,
+            y: parent.y + px * o.sinPeriapsis + py * o.cosPeriapsis,
+            vx: parent.vx + pvx * o.cosPeriapsis - pvy * o.sinPeriapsis,
+            vy: parent.vy + pvx * o.sinPeriapsis + pvy * o.cosPeriapsis,
+        };
+    }
+    return out;
+}
+
+// `count` consecutive frames of rails, `dt` apart, the first at frame `firstFrame`, pushed
+// onto the end of `ring` — a FrameRing of the bodies (frames.js).
+function railsFrames(rails, ring, firstFrame, count, dt) {
+    for (let k = 0; k < count; k++) ring.push(railsStatesAt(rails, (firstFrame + k) * dt));
+    return ring;
+}
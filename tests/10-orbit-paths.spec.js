@@ -51,7 +51,7 @@ test.describe('orbit paths', () => {
                     // the body — which is what phases the dashes to the far end.
                     const opens = nums(d.split('L')[0].replace('M', ''));
                     const closes = nums(d.split('L').pop());
-                    const at = predictionBuffer[arrival][i];
+                    const at = predictionBuffer.state(arrival, i);
                     const want = displayTransform(at.x, at.y);
                     const here = displayTransform(b.x, b.y);
                     return {
@@ -0,0 +1,99 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Scenario files: the star system is read from JSON rather than built in code. The
+ * bundled one has to reproduce the system the rest of the suite was written against,
+ * and a bad one has to be refused with reasons, leaving a playable game behind.
+ */
+
+const twoBodies = {
+    format: 'slingcraft-scenario',
+    version: 1,
+    name: 'Binary',
+    bodies: [
+        { name: 'Anchor', isStar: true, radius: 60, mass: 12000, color: '#ffcc66' },
+        { name: 'Outpost', radius: 12, mass: 15, color: '#66ccff', orbits: 'Anchor',
+          distance: 400, angle: 90, craft: 3, lore: { desc: 'A lonely relay.' } },
+    ],
+};
+
+test.describe('scenario files', () => {
+    test('the bundled scenario builds the familiar system, lore included', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+
+        const s = await g.state();
+        expect(s.bodyCounts).toEqual({ Sol: 0, Ember: 5, Terra: 0, Luna: 0, Gaia: 0, Aria: 0, Nyx: 0 });
+        const moons = await page.evaluate(() =>
+            bodies.filter((b) => b.displayParent).map((b) => `${b.name}:${b.displayParent.name}`));
+        expect(moons.sort()).toEqual(['Aria:Gaia', 'Luna:Terra', 'Nyx:Gaia']);
+
+        await g.tapBody('Terra');
+        await expect(page.locator('#body-lore')).toContainText('blue marble');
+        g.assertNoPageErrors();
+    });
+
+    test('a broken scenario in the URL is explained, and the bundled one runs instead', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await page.route('**/broken.json', (route) => route.fulfill({
+            contentType: 'application/json',
+            body: JSON.stringify({ ...twoBodies, bodies: [twoBodies.bodies[0], { ...twoBodies.bodies[1], orbits: 'Nowhere' }] }),
+        }));
+        await page.goto('/?scenario=broken.json', { waitUntil: 'domcontentloaded' });
+        await page.waitForFunction(() => typeof bodies !== 'undefined' && bodies.length >= 7);
+        await g.shot('url-rejected');
+
+        await expect(page.locator('#scenario-error')).toBeVisible();
+        await expect(page.locator('#scenario-error-list')).toContainText('orbits "Nowhere"');
+        await g.tap(page.locator('#scenario-error-dismiss'));
+        await expect(page.locator('#scenario-error')).toBeHidden();
+        g.assertNoPageErrors();
+    });
+
+    test('with no scenario to start on, loading one from a file starts the game', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await page.route('**/scenarios/sol.json', (route) => route.fulfill({ status: 404, body: '' }));
+        await page.goto('/', { waitUntil: 'domcontentloaded' });
+        await expect(page.locator('#scenario-error')).toBeVisible();
+        expect(await page.evaluate(() => gameLoopStarted)).toBe(false);
+
+        await page.locator('#scenario-file-input').setInputFiles({
+            name: 'binary.json',
+            mimeType: 'application/json',
+            buffer: Buffer.from(JSON.stringify(twoBodies)),
+        });
+        await page.waitForFunction(() => bodies.length === 2);
+        // Frames are being drawn: the loop stamps each one
+        const first = await page.evaluate(() => lastTime);
+        await expect.poll(() => page.evaluate(() => lastTime)).toBeGreaterThan(first);
+        g.assertNoPageErrors();
+    });
+
+    test('loading a scenario from a file starts over on that system', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+
+        await page.locator('#scenario-file-input').setInputFiles({
+            name: 'binary.json',
+            mimeType: 'application/json',
+            buffer: Buffer.from(JSON.stringify(twoBodies)),
+        });
+        await page.waitForFunction(() => bodies.length === 2);
+        await g.shot('binary-loaded');
+
+        const s = await g.state();
+        expect(s.bodyCounts).toEqual({ Anchor: 0, Outpost: 3 });
+        expect(s.squadrons).toEqual([]);
+
+        // A bad file is refused and the running system kept
+        await page.locator('#scenario-file-input').setInputFiles({
+            name: 'bad.json',
+            mimeType: 'application/json',
+            buffer: Buffer.from('{ "format": "slingcraft-scenario", '),
+        });
+        await expect(page.locator('#scenario-error-list')).toContainText('not valid JSON');
+        expect(await page.evaluate(() => bodies.map((b) => b.name))).toEqual(['Anchor', 'Outpost']);
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,127 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Saved sessions: a reload, or an exported file brought back in, has to put the map back
+ * exactly — every squadron with the flight it was given, every launch still waiting with
+ * the craft it took, the clock where it was.
+ */
+
+/**
+ * Restore a snapshot and read back everything it has to reproduce, in one go — before a
+ * frame can run and move the clock on underneath the comparison.
+ */
+const restoreAndRead = (page, saved) =>
+    page.evaluate((s) => {
+        restoreSession(s);
+        return {
+            bodyCounts: Object.fromEntries(bodies.map((b) => [b.name, b.craftCount])),
+            bodies: bodies.map((b) => [b.x, b.y, b.vx, b.vy]),
+            timeViewOffset,
+            camera: { ...camera },
+            squadrons: squadrons.map((sq) => ({
+                count: sq.count,
+                launchFrame: sq.launchFrame,
+                source: sq.sourceBody && sq.sourceBody.name,
+                dest: sq.destinationBody.name,
+                frames: sq.trajectoryBuffer.length,
+                last: sq.trajectoryBuffer.state(sq.trajectoryBuffer.length - 1),
+                correction: sq.correctionParams,
+                drawnFrom: sq.drawnFrom && sq.drawnFrom.map((c) => c.count),
+            })),
+            scheduled: scheduledTransfers.map((t) => squadrons.indexOf(t.squadron)),
+        };
+    }, saved);
+
+test.describe('saved sessions', () => {
+    test('a scheduled launch survives a reload', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+
+        // The clock keeps running, so the live game has moved on by the time anything is
+        // compared. Restore the same snapshot on both sides of the reload instead: what
+        // the two pages rebuild from it has to agree exactly.
+        const saved = await page.evaluate(() => JSON.parse(JSON.stringify(captureSession())));
+        const expected = await restoreAndRead(page, saved);
+
+        await page.reload({ waitUntil: 'domcontentloaded' });
+        await page.waitForFunction(() => typeof bodies !== 'undefined' && bodies.length >= 7);
+        const after = await restoreAndRead(page, saved);
+        await g.shot('restored');
+        expect(after).toEqual(expected);
+        expect(after.scheduled).toEqual([0]);
+        expect(after.squadrons[0].drawnFrom).toEqual([5]);
+        expect(await g.totalCraft()).toBe(5);
+        g.assertNoPageErrors();
+    });
+
+    test('the autosave is picked up on load', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await page.evaluate(() => {
+            bodies.find((b) => b.name === 'Terra').craftCount = 4;
+            autosaveSession(true);
+        });
+
+        await page.reload({ waitUntil: 'domcontentloaded' });
+        await page.waitForFunction(() => typeof bodies !== 'undefined' && bodies.length >= 7);
+        expect(await g.craftAt('Terra')).toBe(4);
+        expect(await g.craftAt('Ember')).toBe(5);
+
+        // Reset is a fresh start, and the next autosave says so
+        await g.tap(page.locator('#popover-trigger'));
+        await g.tap(page.locator('#reset-item'));
+        expect(await g.craftAt('Terra')).toBe(0);
+        g.assertNoPageErrors();
+    });
+
+    test('a chained launch comes back tied to the squadron it draws from', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        // Two squadrons by hand: one inbound to Terra, one leaving Terra later on craft
+        // taken from it. Only the bookkeeping is under test, not the flights.
+        const ok = await page.evaluate(() => {
+            const terra = bodies.find((b) => b.name === 'Terra');
+            const ember = bodies.find((b) => b.name === 'Ember');
+            const gaia = bodies.find((b) => b.name === 'Gaia');
+            const path = (n) => FrameRing.fromStates(Array.from({ length: n },
+                (_, i) => ({ x: i, y: 0, vx: 1, vy: 0, isAccelerating: false })), CRAFT_FIELDS);
+
+            const inbound = new Squadron(ember, 3);
+            inbound.createElements();
+            inbound.destinationBody = terra;
+            inbound.trajectoryBuffer = path(40);
+            squadrons.push(inbound);
+
+            const onward = new Squadron(terra, 2);
+            onward.createElements();
+            onward.sourceBody = terra;
+            onward.destinationBody = gaia;
+            onward.launchFrame = 80;
+            onward.trajectoryBuffer = path(30);
+            onward.drawnFrom = [{ squadron: inbound, count: 2 }];
+            inbound.count -= 2;
+            squadrons.push(onward);
+            scheduledTransfers.push({ squadron: onward, sourceBody: terra, destBody: gaia });
+
+            restoreSession(JSON.parse(JSON.stringify(captureSession())));
+            const [a, b] = squadrons;
+            return b.drawnFrom[0].squadron === a && b.drawnFrom[0].count === 2 && a.count === 1 &&
+                scheduledTransfers[0].squadron === b;
+        });
+        expect(ok).toBe(true);
+
+        // Withdrawing it hands the craft back to the restored inbound squadron
+        await page.evaluate(() => withdrawScheduledTransfer(squadrons[1]));
+        expect((await g.state()).squadrons.map((s) => s.count)).toEqual([3]);
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,99 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Pause, single step and time warp. All three move the present, never the view, and
+ * the buffer the whole game stands on has to stay full at any speed.
+ */
+
+/**
+ * How many buffer frames the present has moved since `mark` was taken. The buffer is a
+ * fixed series of states, so the new frame 0 is found in the old one by value.
+ */
+const markPresent = (page) =>
+    page.evaluate(() => Array.from({ length: 4000 }, (_, f) => predictionBuffer.x(f, 1)));
+
+const framesSince = (page, mark) =>
+    page.evaluate((xs) => xs.indexOf(predictionBuffer.x(0, 1)), mark);
+
+test.describe('clock controls', () => {
+    test('pause holds the present still, and step moves it exactly one frame', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        await g.tap(page.locator('#pause-btn'));
+        await expect(page.locator('#pause-btn')).toHaveText('▶');
+        const mark = await markPresent(page);
+        await page.waitForTimeout(1500);
+        expect(await framesSince(page, mark)).toBe(0);
+
+        await g.tap(page.locator('#step-btn'));
+        await expect.poll(() => framesSince(page, mark)).toBe(1);
+        await g.tap(page.locator('#step-btn'));
+        await expect.poll(() => framesSince(page, mark)).toBe(2);
+
+        await g.tap(page.locator('#pause-btn'));
+        await expect(page.locator('#step-btn')).toBeDisabled();
+        g.assertNoPageErrors();
+    });
+
+    test('the step key steps only when nothing else has the keyboard', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.tap(page.locator('#pause-btn'));
+        const mark = await markPresent(page);
+
+        // A '.' typed into a control is the control's
+        await page.locator('#pause-btn').focus();
+        await page.keyboard.press('.');
+        await page.waitForTimeout(300);
+        expect(await framesSince(page, mark)).toBe(0);
+
+        await page.evaluate(() => document.activeElement.blur());
+        await page.keyboard.press('.');
+        await expect.poll(() => framesSince(page, mark)).toBe(1);
+        g.assertNoPageErrors();
+    });
+
+    test('at full warp the present runs and the buffer stays full', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        const warpBtn = page.locator('#warp-btn');
+        while ((await warpBtn.textContent()) !== '600×') await g.tap(warpBtn);
+
+        const mark = await markPresent(page);
+        await page.waitForTimeout(3000);
+        // 600x is a hundred frames a second; allow plenty for a slow machine
+        expect(await framesSince(page, mark)).toBeGreaterThan(60);
+        const refill = await page.evaluate(() => ({
+            missing: PREDICTION_FRAMES - predictionBuffer.length,
+            budget: MAX_CATCHUP_FRAMES,
+        }));
+        expect(refill.missing).toBeLessThanOrEqual(refill.budget);
+        g.assertNoPageErrors();
+    });
+
+    test('planning under warp opens on a lead the player has real time to use', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        const warpBtn = page.locator('#warp-btn');
+        while ((await warpBtn.textContent()) !== '600×') await g.tap(warpBtn);
+
+        await g.beginTransfer('Ember', 'Terra');
+        // Ten real seconds at 600x is a hundred sim-minutes, well past the 10-minute lead
+        const lead = await page.evaluate(() => transferLeadFrames());
+        expect(lead).toBe(1000);
+        expect(await page.evaluate(() => timeViewOffset)).toBeGreaterThan(900);
+
+        // The fan still lands, however fast the buffer is moving under the workers
+        await g.waitForScan();
+        expect(await page.evaluate(() => fanHasScanned)).toBe(true);
+        g.assertNoPageErrors();
+    });
+});
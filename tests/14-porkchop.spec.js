@@ -0,0 +1,83 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * The launch-window heatmap: while a transfer is planned the pool sweeps moments ahead,
+ * and the strip under the time wheel shows which ones are open. Tapping a cell is a way
+ * of finding a window, so it has to land the clock on a moment that really has one.
+ */
+test.describe('launch-window heatmap', () => {
+    test('the sweep fills the strip, and tapping an open cell moves the clock there', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForScan();
+
+        await g.tap(page.locator('#time-scrub-btn'));
+        await expect(page.locator('#porkchop-strip')).toBeVisible();
+        await page.waitForFunction(() => porkchop && porkchop.samples.every(Boolean), null,
+            { timeout: 180_000, polling: 250 });
+        await g.shot('strip-filled');
+
+        // The quickest open moment still ahead, and where its cell is drawn
+        const target = await page.evaluate(() => {
+            let best = -1;
+            porkchop.samples.forEach((p, k) => {
+                const frame = porkchop.startFrame + k * porkchop.step;
+                if (p.routes === 0 || frame < 0) return;
+                if (best < 0 || p.bestArrival < porkchop.samples[best].bestArrival) best = k;
+            });
+            if (best < 0) return null;
+            const frame = porkchop.startFrame + best * porkchop.step;
+            const r = document.getElementById('porkchop-strip').getBoundingClientRect();
+            const x = r.left + (frame + porkchop.step / 2) * PORKCHOP_STRIP_WIDTH / PORKCHOP_SPAN_FRAMES;
+            return { k: best, x, y: r.top + r.height / 2 };
+        });
+        expect(target, 'the sweep found no open moment at all').not.toBeNull();
+
+        await page.touchscreen.tap(target.x, target.y);
+        const frame = await page.evaluate((k) => porkchop.startFrame + k * porkchop.step, target.k);
+        await expect.poll(() => page.evaluate(() => Math.round(timeViewOffset))).toBeGreaterThanOrEqual(frame - 2);
+
+        // And the fan there agrees with the strip that it is open
+        await page.waitForFunction(() => fanScanPending === 0 && fanLaunchFrame === Math.round(timeViewOffset),
+            null, { timeout: 60_000 });
+        expect((await g.fan()).count).toBeGreaterThan(0);
+        g.assertNoPageErrors();
+    });
+
+    test('moments already past count as done, so the sweep still finishes', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForScan();
+
+        // A sweep whose first two moments the present has already passed
+        await page.evaluate(() => {
+            startPorkchopSweep();
+            porkchop.startFrame = -2 * porkchop.step;
+        });
+        await page.waitForFunction(() => porkchop && porkchop.samples.every(Boolean), null,
+            { timeout: 180_000, polling: 250 });
+        const past = await page.evaluate(() => porkchop.samples.slice(0, 2));
+        expect(past).toEqual([{ routes: 0, bestArrival: -1 }, { routes: 0, bestArrival: -1 }]);
+        await expect.poll(() => g.consoleLines.some((l) => l.includes('[Porkchop]'))).toBe(true);
+        g.assertNoPageErrors();
+    });
+
+    test('the strip is gone once the transfer is', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.tap(page.locator('#time-scrub-btn'));
+        await g.beginTransfer('Ember', 'Terra');
+        await expect(page.locator('#porkchop-strip')).toBeVisible();
+
+        await g.cancelTransfer();
+        await expect(page.locator('#porkchop-strip')).toBeHidden();
+        expect(await page.evaluate(() => porkchop)).toBeNull();
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,104 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * The earliest-arrival planner: it searches launch moments as well as release angles, so
+ * what it proposes has to arrive no later than anything the moment the transfer opened on
+ * offers — and once proposed it is an ordinary route, launched the ordinary way.
+ */
+
+/** Wait for the planner to finish and the fan to be scanned at the moment it chose. */
+const waitForProposal = (page) =>
+    page.waitForFunction(() => earliestSearch === null && earliestProposal !== null &&
+        (!earliestProposal.entry ||
+            (fanScanPending === 0 && fanLaunchFrame === earliestProposal.launchFrame)),
+    null, { timeout: 180_000, polling: 250 });
+
+test.describe('earliest arrival', () => {
+    test('the proposal arrives no later than the opening moment, and launches from there', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Gaia');
+        await g.waitForScan();
+
+        // The best the moment the transfer opened on can do, as an absolute arrival
+        const opening = await page.evaluate(() =>
+            transferFan.length ? fanLaunchFrame + transferFan[0].arrivalOffset : Infinity);
+
+        await page.locator('#earliest-horizon').selectOption('360');
+        await g.tap(page.locator('#earliest-btn'));
+        await expect(page.locator('#earliest-btn')).toHaveText('Stop');
+        await waitForProposal(page);
+        await g.shot('proposed');
+        await expect(page.locator('#earliest-btn')).toHaveText('Find');
+
+        const picked = await page.evaluate(() => {
+            const entry = highlightedFanEntry();
+            return {
+                found: !!earliestProposal.entry,
+                launchFrame: fanLaunchFrame,
+                view: Math.round(timeViewOffset),
+                arrival: entry ? fanLaunchFrame + entry.arrivalOffset : Infinity,
+                proposed: earliestProposal.entry
+                    ? earliestProposal.launchFrame + earliestProposal.entry.arrivalOffset : Infinity,
+                inFan: transferFan.includes(earliestProposal.entry),
+            };
+        });
+        expect(picked.found, 'nothing arrives at Gaia within six hours').toBe(true);
+        expect(picked.view).toBe(picked.launchFrame);
+        expect(picked.inFan).toBe(true);
+        expect(picked.arrival).toBeLessThanOrEqual(picked.proposed);
+        // The opening moment was one of the candidates, so the answer can only be as good or better
+        expect(picked.arrival).toBeLessThanOrEqual(opening + 1);
+        await expect(page.locator('#trajectory-info-bar')).toContainText('Earliest arrival');
+
+        // Launching it takes the craft exactly as any launch does
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+        const sq = await page.evaluate(() => {
+            const s = scheduledTransfers[0].squadron;
+            return { launchFrame: s.launchFrame, count: s.count, drawn: s.drawnFrom.map((c) => c.count) };
+        });
+        expect(Math.abs(sq.launchFrame - picked.launchFrame)).toBeLessThanOrEqual(60);
+        expect(sq.drawn).toEqual([sq.count]);
+        expect(await g.totalCraft()).toBe(5);
+        g.assertNoPageErrors();
+    });
+
+    test('Stop abandons the search and leaves the clock alone', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Gaia');
+        await g.waitForScan();
+        const before = await page.evaluate(() => Math.round(timeViewOffset));
+
+        await g.tap(page.locator('#earliest-btn'));
+        await g.tap(page.locator('#earliest-btn'));
+        await expect(page.locator('#earliest-btn')).toHaveText('Find');
+        await page.waitForTimeout(2000);
+        expect(await page.evaluate(() => ({ search: earliestSearch, proposal: earliestProposal })))
+            .toEqual({ search: null, proposal: null });
+        // Only time passing has moved it
+        expect(await page.evaluate(() => Math.round(timeViewOffset))).toBeGreaterThanOrEqual(before - 1);
+        g.assertNoPageErrors();
+    });
+
+    test('the planner row fits the panel on a small screen', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForScan();
+
+        const row = await page.evaluate(() => {
+            const el = document.getElementById('earliest-row');
+            const r = el.getBoundingClientRect();
+            return { overflowX: el.scrollWidth - el.clientWidth, right: r.right, vw: window.innerWidth };
+        });
+        expect(row.overflowX).toBeLessThanOrEqual(1);
+        expect(row.right).toBeLessThanOrEqual(row.vw);
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,143 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Redirecting a squadron in flight: drag off a selected rocket to any body and choose a
+ * new route from where it will be. The flight it has already flown must not move; only
+ * what comes after the burn is replaced.
+ */
+
+test.describe('redirecting a squadron in flight', () => {
+    test('a squadron bound for Terra can be turned round and brought home', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+
+        // Stop the clock and run it on until the rocket is well clear of Ember
+        await page.evaluate(() => setSimPaused(true));
+        await page.evaluate(() => { pendingStepFrames = squadrons[0].launchFrame + 150; });
+        await page.waitForFunction(() => squadrons[0].launchFrame === 0 && scheduledTransfers.length === 0);
+        await g.waitForViewSettled();
+
+        const before = await page.evaluate(() => {
+            const buf = squadrons[0].trajectoryBuffer;
+            return Array.from({ length: buf.length }, (_, i) => [buf.x(i), buf.y(i)]);
+        });
+        const rocket = await page.evaluate(() => {
+            const p = squadronScreenPos(squadrons[0]);
+            const r = document.getElementById('game-svg').getBoundingClientRect();
+            return { x: p.x + r.left, y: p.y + r.top };
+        });
+        await page.touchscreen.tap(rocket.x, rocket.y);
+        await expect.poll(() => page.evaluate(() => selectedSquadron === squadrons[0])).toBe(true);
+
+        // Off the rocket and back onto the body it left
+        await g.dragTouch(rocket, await g.bodyPoint('Ember'));
+        await page.waitForFunction(() => redirectSquadron === squadrons[0] && transferIsPlanning());
+        await expect(page.locator('#trajectory-info-bar')).toContainText('Redirect to');
+        await g.waitForTrajectories({ maxMinutes: 40 });
+        await g.shot('redirect-fan');
+
+        const burnFrame = await page.evaluate(() => fanLaunchFrame);
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => transferState === 'none');
+
+        const after = await page.evaluate(() => ({
+            squadrons: squadrons.length,
+            dest: squadrons[0].destinationBody.name,
+            count: squadrons[0].count,
+            path: Array.from({ length: squadrons[0].trajectoryBuffer.length },
+                (_, i) => [squadrons[0].trajectoryBuffer.x(i), squadrons[0].trajectoryBuffer.y(i)]),
+            selected: selectedSquadron === squadrons[0],
+        }));
+        expect(after.squadrons).toBe(1);
+        expect(after.dest).toBe('Ember');
+        expect(after.count).toBe(5);
+        expect(after.selected).toBe(true);
+        // Everything up to the burn is the flight it was already on
+        expect(after.path.slice(0, burnFrame + 1)).toEqual(before.slice(0, burnFrame + 1));
+        expect(after.path.slice(burnFrame + 1)).not.toEqual(before.slice(burnFrame + 1));
+
+        // And it lands where it was sent
+        await page.waitForFunction(() => {
+            if (squadrons.length > 0 && pendingStepFrames === 0) pendingStepFrames = MAX_ADVANCE_FRAMES;
+            return squadrons.length === 0;
+        }, null, { timeout: 60_000, polling: 100 });
+        expect(await g.craftAt('Ember')).toBe(5);
+        expect(await g.craftAt('Terra')).toBe(0);
+        g.assertNoPageErrors();
+    });
+
+    test('launches counting on its arrival are called off, and the rest of the path kept', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await page.evaluate(() => setSimPaused(true));
+
+        // By hand: one squadron under way to Terra, and a launch from Terra later on two of
+        // its craft. Only the splice and the bookkeeping are under test, not the search.
+        const result = await page.evaluate(() => {
+            const terra = bodies.find((b) => b.name === 'Terra');
+            const ember = bodies.find((b) => b.name === 'Ember');
+            const gaia = bodies.find((b) => b.name === 'Gaia');
+            const path = (n) => FrameRing.fromStates(Array.from({ length: n }, (_, i) => ({
+                x: ember.x + i, y: ember.y, vx: 10, vy: 0, isAccelerating: false,
+            })), CRAFT_FIELDS);
+
+            const inbound = new Squadron(ember, 3);
+            inbound.createElements();
+            inbound.launchedFromBody = ember;
+            inbound.destinationBody = terra;
+            inbound.trajectoryBuffer = path(400);
+            squadrons.push(inbound);
+
+            const onward = new Squadron(terra, 2);
+            onward.createElements();
+            onward.sourceBody = terra;
+            onward.destinationBody = gaia;
+            onward.launchFrame = 500;
+            onward.trajectoryBuffer = path(30);
+            onward.drawnFrom = [{ squadron: inbound, count: 2 }];
+            inbound.count -= 2;
+            squadrons.push(onward);
+            scheduledTransfers.push({ squadron: onward, sourceBody: terra, destBody: gaia });
+
+            redirectSquadron = inbound;
+            transferDestinationBody = gaia;
+            fanLaunchFrame = 150;
+            const ok = commitRedirect({ releaseAngle: 0, arrivalOffset: 50, burn: null });
+            redirectSquadron = null;
+            transferDestinationBody = null;
+            fanLaunchFrame = -1;
+
+            const kept = Array.from({ length: 151 }, (_, i) => inbound.trajectoryBuffer.x(i))
+                .every((x, i) => x === ember.x + i);
+            return {
+                ok,
+                kept,
+                length: inbound.trajectoryBuffer.length,
+                count: inbound.count,
+                dest: inbound.destinationBody.name,
+                insertion: inbound.insertionFrame,
+                squadrons: squadrons.length,
+                scheduled: scheduledTransfers.length,
+            };
+        });
+
+        expect(result).toEqual({
+            ok: true,
+            kept: true,
+            length: 151 + 51,
+            count: 3,
+            dest: 'Gaia',
+            insertion: 201,
+            squadrons: 1,
+            scheduled: 0,
+        });
+        g.assertNoPageErrors();
+    });
+});
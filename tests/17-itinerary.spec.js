@@ -0,0 +1,149 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Itineraries: a trip of several legs planned in one go. Each leg after the first opens
+ * from where the one before lands, at the moment it lands, with the same craft — and the
+ * legs are linked, so taking one back takes every later one with it.
+ */
+
+/** Plan Ember → Terra → Gaia by resting on Terra on the way, and launch the first leg. */
+async function launchFirstLeg(g, page) {
+    await g.dragTouchThrough(
+        [await g.bodyPoint('Ember'), await g.bodyPoint('Terra'), await g.bodyPoint('Gaia')],
+        { holdMs: 500 });
+    await page.waitForFunction(() => transferIsPlanning());
+    await g.waitForTrajectories();
+    await g.scheduleLaunch();
+    await page.waitForFunction(() => scheduledTransfers.length === 1 && transferIsPlanning());
+}
+
+test.describe('itineraries', () => {
+    test('resting on a body on the way makes it a stop, and each leg opens where the last lands', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        await g.dragTouchThrough(
+            [await g.bodyPoint('Ember'), await g.bodyPoint('Terra'), await g.bodyPoint('Gaia')],
+            { holdMs: 500 });
+        await page.waitForFunction(() => transferIsPlanning());
+        expect(await page.evaluate(() => ({
+            from: transferSourceBody.name,
+            to: transferDestinationBody.name,
+            then: transferItinerary.map((b) => b.name),
+        }))).toEqual({ from: 'Ember', to: 'Terra', then: ['Gaia'] });
+        await expect(page.locator('#trajectory-info-bar')).toContainText('Leg: 1 of 2');
+        await expect(page.locator('#trajectory-info-bar')).toContainText('Then: Gaia');
+
+        await g.waitForTrajectories();
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1 && transferIsPlanning());
+        await g.shot('second-leg');
+
+        // The second leg, from Terra, on the moment the first lands, with all of them
+        const second = await page.evaluate(() => {
+            const first = scheduledTransfers[0].squadron;
+            return {
+                from: transferSourceBody.name,
+                to: transferDestinationBody.name,
+                clock: Math.round(timeViewOffset),
+                arrival: first.launchFrame + first.trajectoryBuffer.length,
+                slider: parseInt(transferQtySlider.value),
+            };
+        });
+        expect(second.from).toBe('Terra');
+        expect(second.to).toBe('Gaia');
+        expect(Math.abs(second.clock - second.arrival)).toBeLessThanOrEqual(2);
+        expect(second.slider).toBe(5);
+        await expect(page.locator('#trajectory-info-bar')).toContainText('Leg: 2 of 2');
+
+        await g.waitForTrajectories();
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => transferState === 'none');
+
+        const linked = await page.evaluate(() => {
+            const [a, b] = scheduledTransfers.map((t) => t.squadron);
+            return {
+                legs: scheduledTransfers.length,
+                route: scheduledTransfers.map((t) => `${t.sourceBody.name}>${t.destBody.name}`),
+                chained: b.drawnFrom.length === 1 && b.drawnFrom[0].squadron === a,
+                afterLanding: b.launchFrame >= a.launchFrame + a.trajectoryBuffer.length,
+                count: b.count,
+            };
+        });
+        expect(linked).toEqual({
+            legs: 2, route: ['Ember>Terra', 'Terra>Gaia'], chained: true, afterLanding: true, count: 5,
+        });
+        expect(await g.totalCraft()).toBe(5);
+        g.assertNoPageErrors();
+    });
+
+    test('withdrawing the first leg takes the later legs with it', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await launchFirstLeg(g, page);
+        await g.waitForTrajectories();
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => transferState === 'none' && scheduledTransfers.length === 2);
+
+        await page.evaluate(() => withdrawScheduledTransfer(scheduledTransfers[0].squadron));
+        expect(await page.evaluate(() => ({ scheduled: scheduledTransfers.length, squadrons: squadrons.length })))
+            .toEqual({ scheduled: 0, squadrons: 0 });
+        expect(await g.craftAt('Ember')).toBe(5);
+        expect(await g.craftAt('Terra')).toBe(0);
+        g.assertNoPageErrors();
+    });
+
+    test('reopening the first leg brings the rest back as the plan', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await launchFirstLeg(g, page);
+        await g.waitForTrajectories();
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => transferState === 'none' && scheduledTransfers.length === 2);
+
+        await page.evaluate(() => openScheduledTransfer(scheduledTransfers[0].squadron));
+        expect(await page.evaluate(() => ({
+            scheduled: scheduledTransfers.length,
+            to: transferDestinationBody.name,
+            then: transferItinerary.map((b) => b.name),
+        }))).toEqual({ scheduled: 0, to: 'Terra', then: ['Gaia'] });
+        expect(await g.craftAt('Ember')).toBe(5);
+        g.assertNoPageErrors();
+    });
+
+    test('Cancel on a later leg calls off the whole trip', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await launchFirstLeg(g, page);
+
+        await g.cancelTransfer();
+        await page.waitForFunction(() => transferState === 'none');
+        expect(await page.evaluate(() => ({ scheduled: scheduledTransfers.length, squadrons: squadrons.length })))
+            .toEqual({ scheduled: 0, squadrons: 0 });
+        expect(await g.craftAt('Ember')).toBe(5);
+        g.assertNoPageErrors();
+    });
+
+    test('"Then on to" adds a stop from the panel', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await expect(page.locator('#trajectory-info-bar')).not.toContainText('Leg:');
+
+        await page.locator('#itinerary-next').selectOption({ label: 'Gaia' });
+        expect(await page.evaluate(() => transferItinerary.map((b) => b.name))).toEqual(['Gaia']);
+        await expect(page.locator('#itinerary-next')).toHaveValue('');
+        await expect(page.locator('#trajectory-info-bar')).toContainText('Then: Gaia');
+
+        // Cancelled before any leg went, nothing is left behind
+        await g.cancelTransfer();
+        expect(await page.evaluate(() => transferItinerary.length)).toBe(0);
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,79 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Gravity assists: with a fly-by body chosen, the scan also looks for routes that swing
+ * past it, and every route says which bodies it flew by and what each did to its energy.
+ * Whether any given moment offers a slingshot is up to the orbits, so the search itself is
+ * checked for what it was asked and what it reports, not for finding one.
+ */
+
+test.describe('gravity assists', () => {
+    test('choosing a fly-by body re-scans with it, and never the ends of the trip', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Gaia');
+        await g.waitForScan();
+        expect(await page.evaluate(() => transferScanParams(fanLaunchFrame).flybyBodyIndex)).toBe(-1);
+
+        await page.locator('#flyby-body').selectOption({ label: 'Terra' });
+        expect(await page.evaluate(() => ({
+            body: transferFlybyBody && transferFlybyBody.name,
+            scanned: fanHasScanned,
+        }))).toEqual({ body: 'Terra', scanned: false });
+        await g.waitForScan();
+        await g.shot('flyby-fan');
+
+        const scan = await page.evaluate(() => {
+            const terra = bodies.findIndex((b) => b.name === 'Terra');
+            const ends = [bodies.indexOf(transferSourceBody), bodies.indexOf(transferDestinationBody)];
+            return {
+                asked: transferScanParams(fanLaunchFrame).flybyBodyIndex === terra,
+                reported: transferFan.every((e) => Array.isArray(e.flybys)),
+                endsListed: transferFan.some((e) => e.flybys.some((f) => ends.includes(f.bodyIndex))),
+            };
+        });
+        expect(scan).toEqual({ asked: true, reported: true, endsListed: false });
+
+        // The destination is not somewhere to fly past on the way there
+        await page.locator('#flyby-body').selectOption({ label: 'Gaia' });
+        expect(await page.evaluate(() => transferFlybyBody.name)).toBe('Terra');
+        await expect(page.locator('#flyby-body')).toHaveValue(
+            String(await page.evaluate(() => bodies.findIndex((b) => b.name === 'Terra'))));
+        g.assertNoPageErrors();
+    });
+
+    test('a route that flies by a body names it, with the energy it gained', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Gaia');
+        await g.waitForTrajectories();
+
+        // Dress the picked route up as a slingshot past Terra; only the telling is under test
+        await page.evaluate(() => {
+            const terra = bodies.findIndex((b) => b.name === 'Terra');
+            transferFan[fanHighlight].flybys = [{ bodyIndex: terra, offset: 10, distance: 40, energyGain: 191.4 }];
+            updateTransferPanel();
+        });
+        await expect(page.locator('#trajectory-info-bar')).toContainText('Fly-by: Terra +191 energy');
+        await expect.poll(() => page.evaluate(() => fanLabelText.textContent)).toContain('via Terra');
+        g.assertNoPageErrors();
+    });
+
+    test('each transfer starts with no fly-by body', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Gaia');
+        await page.locator('#flyby-body').selectOption({ label: 'Terra' });
+        await g.cancelTransfer();
+        expect(await page.evaluate(() => transferFlybyBody)).toBeNull();
+
+        await g.beginTransfer('Ember', 'Terra');
+        await expect(page.locator('#flyby-body')).toHaveValue('');
+        expect(await page.evaluate(() => transferFlybyBody)).toBeNull();
+        g.assertNoPageErrors();
+    });
+});
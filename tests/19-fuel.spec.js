@@ -0,0 +1,114 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Fuel: every route costs delta-v, a squadron has a budget to pay it from, and the search
+ * can be told to weigh the cost against arrival or to keep under a cap.
+ */
+
+test.describe('delta-v budget', () => {
+    test('every route costs something within budget, and the launch pays for it', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+
+        const costs = await page.evaluate(() => transferFan.map((e) => e.deltaV));
+        expect(costs.length).toBeGreaterThan(0);
+        for (const dv of costs) {
+            // At least the escape, and never more than a squadron carries
+            expect(dv).toBeGreaterThan(0);
+            expect(dv).toBeLessThanOrEqual(SQUADRON_DELTA_V);
+        }
+        await expect(page.locator('#trajectory-info-bar')).toContainText('Δv:');
+
+        const picked = await page.evaluate(() => highlightedFanEntry().deltaV);
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+        const left = await page.evaluate(() => scheduledTransfers[0].squadron.deltaV);
+        expect(left).toBeCloseTo(await page.evaluate(() => SQUADRON_DELTA_V) - picked, 6);
+
+        // It travels with the squadron through a save
+        expect(await page.evaluate(() => captureSession().squadrons[0].deltaV)).toBeCloseTo(left, 6);
+        g.assertNoPageErrors();
+    });
+
+    test('a cap re-scans and keeps every route under it', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForScan();
+
+        await page.locator('#fuel-cap').selectOption('15');
+        expect(await page.evaluate(() => fanHasScanned)).toBe(false);
+        await g.waitForScan();
+        const scan = await page.evaluate(() => ({
+            cap: transferScanParams(fanLaunchFrame).deltaVCap,
+            costs: transferFan.map((e) => e.deltaV),
+        }));
+        expect(scan.cap).toBe(15);
+        for (const dv of scan.costs) expect(dv).toBeLessThanOrEqual(15);
+
+        // The weighting is minutes of arrival per unit, sent in frames
+        await page.locator('#fuel-weight').selectOption('frugal');
+        expect(await page.evaluate(() => transferScanParams(Math.max(0, fanLaunchFrame)).deltaVWeight))
+            .toBe(100);
+        g.assertNoPageErrors();
+    });
+
+    test('every body can reach every other on a squadron\'s budget', async ({ page }, testInfo) => {
+        test.setTimeout(600_000);
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        // Every pair, the star aside, at ten moments over three hours: the heaviest world
+        // has to be able to leave, and the smallest to be reached, at one of them at least
+        await page.evaluate(() => {
+            startOptimizerComparison({
+                optimizers: [DEFAULT_OPTIMIZER],
+                moments: Array.from({ length: 10 }, (_, k) => k * 200),
+            });
+            window.__comparison = optimizerComparison;
+        });
+        await page.waitForFunction(() => optimizerComparison === null, null,
+            { timeout: 540_000, polling: 1000 });
+
+        const unreached = await page.evaluate(() => {
+            const reached = new Set(window.__comparison.jobs
+                .filter((j) => j.result.routes > 0)
+                .map((j) => `${j.source.name}>${j.dest.name}`));
+            const others = bodies.filter((b) => !b.isStar).map((b) => b.name);
+            return others.flatMap((a) => others.filter((b) => b !== a).map((b) => `${a}>${b}`))
+                .filter((pair) => !reached.has(pair));
+        });
+        expect(unreached).toEqual([]);
+        g.assertNoPageErrors();
+    });
+
+    test('a squadron with too little left cannot be redirected', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await page.evaluate(() => setSimPaused(true));
+
+        const result = await page.evaluate(() => {
+            const ember = bodies.find((b) => b.name === 'Ember');
+            const sq = new Squadron(ember, 2);
+            sq.createElements();
+            sq.launchedFromBody = ember;
+            sq.destinationBody = bodies.find((b) => b.name === 'Terra');
+            sq.trajectoryBuffer = FrameRing.fromStates(Array.from({ length: 2000 }, (_, i) => ({
+                x: ember.x + i, y: ember.y, vx: 10, vy: 0, isAccelerating: false,
+            })), CRAFT_FIELDS);
+            squadrons.push(sq);
+            const full = canRedirect(sq);
+            sq.deltaV = 5;
+            return { full, dry: canRedirect(sq) };
+        });
+        expect(result).toEqual({ full: true, dry: false });
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,84 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Fast or cheap: each sector of the scan offers its quickest route and, where one exists,
+ * a slower one that costs less. The label gives both time and cost, and the panel toggle
+ * says which set is put forward.
+ */
+
+test.describe('quickest and cheapest routes', () => {
+    test('a cheap route is always a slower, cheaper partner of its sector\'s quick one', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+
+        const fan = await page.evaluate(() => transferFan.map((e) => ({
+            kind: e.kind, sector: e.sector, arrival: e.arrivalOffset, deltaV: e.deltaV,
+        })));
+        expect(fan.length).toBeGreaterThan(0);
+        for (const e of fan) {
+            expect(['fast', 'cheap']).toContain(e.kind);
+            expect(Number.isInteger(e.sector)).toBe(true);
+            if (e.kind !== 'cheap') continue;
+            const quick = fan.find((f) => f.kind === 'fast' && f.sector === e.sector);
+            expect(quick).toBeTruthy();
+            expect(e.deltaV).toBeLessThanOrEqual(quick.deltaV - 0.5);
+            expect(e.arrival).toBeGreaterThanOrEqual(quick.arrival);
+        }
+
+        // Quickest first, and the label tells time and cost
+        expect(await page.evaluate(() => ({ pick: fanHighlight, preference: fanPreference })))
+            .toEqual({ pick: 0, preference: 'fast' });
+        await expect.poll(() => page.evaluate(() => fanLabelText.textContent)).toMatch(/ · Δv \d+\.\d/);
+        g.assertNoPageErrors();
+    });
+
+    test('the toggle puts the cheapest route forward and fades the quick set', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+
+        await page.locator('#fan-preference').click();
+        await expect(page.locator('#fan-preference')).toHaveText('Cheapest');
+        await expect(page.locator('#fan-preference')).toHaveAttribute('aria-pressed', 'true');
+        // The fan already holds both sets, so the toggle only redraws
+        expect(await page.evaluate(() => fanScanPending)).toBe(0);
+        await g.shot('cheap-fan');
+
+        const cheap = await page.evaluate(() => {
+            updateTransferFan();
+            const shown = fanPreferredSet();
+            const paths = [...document.querySelectorAll('.fan-path')].slice(0, transferFan.length);
+            return {
+                picked: highlightedFanEntry().deltaV,
+                cheapest: Math.min(...transferFan.map((e) => e.deltaV)),
+                // Every sector keeps exactly one route in the set
+                sectors: new Set(transferFan.map((e) => e.sector)).size,
+                shown: shown.size,
+                muted: paths.filter((p) => p.classList.contains('muted')).length,
+                quickLeftShowing: transferFan.some((e, i) => e.kind === 'fast' &&
+                    transferFan.some((c) => c.kind === 'cheap' && c.sector === e.sector) &&
+                    !paths[i].classList.contains('muted')),
+            };
+        });
+        expect(cheap.picked).toBe(cheap.cheapest);
+        expect(cheap.shown).toBe(cheap.sectors);
+        expect(cheap.muted).toBe(await page.evaluate(() => transferFan.length) - cheap.shown);
+        expect(cheap.quickLeftShowing).toBe(false);
+
+        // And back: the quickest again, and nothing cheap in the set, without a scan
+        await page.locator('#fan-preference').click();
+        await expect(page.locator('#fan-preference')).toHaveText('Quickest');
+        expect(await page.evaluate(() => fanScanPending)).toBe(0);
+        expect(await page.evaluate(() => ({
+            pick: fanHighlight,
+            cheapShown: [...fanPreferredSet()].some((e) => e.kind === 'cheap'),
+        }))).toEqual({ pick: 0, cheapShown: false });
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,102 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * The integrator: one method steps the bodies, the craft and every route the workers try,
+ * it is chosen per session, and the drift report beside the energy readout says how well
+ * each keeps total energy.
+ */
+
+test.describe('integrator', () => {
+    test('the drift report compares every method, and the higher-order ones keep energy better', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        expect(await page.evaluate(() => activeIntegrator)).toBe('euler');
+
+        // The press returns at once and the report fills in over the frames after it
+        await page.locator('#drift-report-btn').click();
+        expect(await page.evaluate(() => driftReportRun !== null)).toBe(true);
+        await expect(page.locator('#drift-report-btn')).toBeDisabled();
+        await expect(page.locator('#drift-report .drift-row')).toHaveCount(3, { timeout: 30000 });
+        await expect(page.locator('#drift-report-btn')).toBeEnabled();
+        await expect(page.locator('#drift-report .drift-row.active')).toHaveAttribute('data-method', 'euler');
+        await g.shot('drift-report');
+
+        const drift = await page.evaluate(() =>
+            Object.fromEntries(INTEGRATOR_ORDER.map((m) => [m, measureEnergyDrift(m, 3000).worst])));
+        for (const worst of Object.values(drift)) expect(worst).toBeGreaterThan(0);
+        expect(drift.verlet).toBeLessThan(drift.euler);
+        expect(drift.rk4).toBeLessThan(drift.euler);
+        g.assertNoPageErrors();
+    });
+
+    test('a route the workers found with another method is the route launched', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        await page.locator('#popover-trigger').click();
+        await page.locator('#integrator-item').click();
+        await page.locator('#integrator-item').click();
+        await expect(page.locator('#integrator-name')).toHaveText('Runge-Kutta 4');
+        expect(await page.evaluate(() => activeIntegrator)).toBe('rk4');
+        await page.locator('#popover-trigger').click();
+
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        const scanned = await page.evaluate(() => ({
+            asked: transferScanParams(fanLaunchFrame).integrator,
+            end: highlightedFanEntry().path[highlightedFanEntry().path.length - 1],
+        }));
+        expect(scanned.asked).toBe('rk4');
+
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+        // Re-integrated on the page, it lands exactly where the worker's did
+        const flown = await page.evaluate(() => {
+            const path = scheduledTransfers[0].squadron.trajectoryBuffer;
+            return { x: path.x(path.length - 1), y: path.y(path.length - 1) };
+        });
+        expect(flown).toEqual(scanned.end);
+        g.assertNoPageErrors();
+    });
+
+    test('it cannot change with anything in flight, and comes back with the session', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        expect(await page.evaluate(() => setIntegrator('verlet'))).toBe(true);
+        await g.waitForPropagation();
+
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+
+        await page.locator('#popover-trigger').click();
+        await expect(page.locator('#integrator-item')).toHaveClass(/locked/);
+        await page.locator('#integrator-item').click();
+        expect(await page.evaluate(() => activeIntegrator)).toBe('verlet');
+
+        const saved = await page.evaluate(() => JSON.parse(JSON.stringify(captureSession())));
+        expect(saved.integrator).toBe('verlet');
+        const restored = await page.evaluate((s) => {
+            setSimPaused(true);
+            const older = { ...s };
+            delete older.integrator;
+            const errors = loadSessionText(JSON.stringify(older), 'older.json');
+            const before = activeIntegrator;
+            loadSessionText(JSON.stringify(s), 'saved.json');
+            return {
+                errors,
+                before,
+                after: activeIntegrator,
+                bad: validateSession({ ...s, integrator: 'leapfrog' }).some((e) => e.includes('"integrator"')),
+            };
+        }, saved);
+        expect(restored).toEqual({ errors: [], before: 'euler', after: 'verlet', bad: true });
+        g.assertNoPageErrors();
+    });
+});
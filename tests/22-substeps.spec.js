@@ -0,0 +1,62 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Substeps: a craft's frame is cut finer on a close, fast pass and left whole in the open,
+ * and the page cuts it exactly as the workers did, so a route to a small moon still flies
+ * the way it was found.
+ */
+
+test.describe('craft substeps', () => {
+    test('a frame stays whole in the open and is cut on a close pass', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        const counts = await page.evaluate(() => {
+            const nyx = predictionBuffer.state(0, bodies.findIndex((b) => b.name === 'Nyx'));
+            const count = (x, y, vx, vy, thrust = 0) => craftSubsteps(PREDICTION_DT,
+                encounterTimescale(craftGravityField(), predictionBuffer.offset(0), x, y, vx, vy, thrust));
+            return {
+                // Far out past Gaia, moving gently
+                open: count(3000, 0, 0, 5),
+                // Skimming Nyx at twenty units a minute
+                skim: count(nyx.x + 12, nyx.y, nyx.vx, nyx.vy + 20),
+                // Riding along with Nyx just off it, coasting, and under far more thrust than a
+                // craft has, so the difference shows
+                alongside: count(nyx.x + 12, nyx.y, nyx.vx, nyx.vy),
+                burning: count(nyx.x + 12, nyx.y, nyx.vx, nyx.vy, 400),
+                unknown: craftSubsteps(PREDICTION_DT, NaN),
+                max: MAX_SUBSTEPS,
+            };
+        });
+        expect(counts.open).toBe(1);
+        expect(counts.skim).toBeGreaterThan(1);
+        expect(counts.skim).toBeLessThanOrEqual(counts.max);
+        // The craft's own thrust turns it as a body's pull does
+        expect(counts.burning).toBeGreaterThan(counts.alongside);
+        expect(counts.unknown).toBe(counts.max);
+        g.assertNoPageErrors();
+    });
+
+    test('a route to a small moon is flown exactly as the worker found it', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Nyx');
+        await g.waitForTrajectories();
+
+        const end = await page.evaluate(() => {
+            const path = highlightedFanEntry().path;
+            return path[path.length - 1];
+        });
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+        const flown = await page.evaluate(() => {
+            const path = scheduledTransfers[0].squadron.trajectoryBuffer;
+            return { x: path.x(path.length - 1), y: path.y(path.length - 1) };
+        });
+        expect(flown).toEqual(end);
+        g.assertNoPageErrors();
+    });
+});
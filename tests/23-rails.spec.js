@@ -0,0 +1,124 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Bodies on rails: planets and moons follow fitted Kepler orbits, so the prediction has no
+ * end — the wheel turns past where the n-body buffer stops, and a route can be found and
+ * flown out there.
+ */
+
+test.describe('bodies on rails', () => {
+    test('the wheel turns past the n-body horizon, and every frame is the rails\' own', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        expect(await page.evaluate(() => bodyMotion)).toBe('nbody');
+
+        // Stepped, the buffer ends where it ends
+        const far = await page.evaluate(() => PREDICTION_FRAMES + 3000);
+        expect(await page.evaluate((f) => { setTimeViewOffset(f); return timeViewOffset; }, far))
+            .toBe(await page.evaluate(() => PREDICTION_FRAMES - 1));
+        await page.evaluate(() => setTimeViewOffset(0));
+
+        await page.locator('#popover-trigger').click();
+        await page.locator('#body-motion-item').click();
+        await expect(page.locator('#body-motion-name')).toHaveText('On rails');
+        await page.locator('#popover-trigger').click();
+        await g.waitForPropagation();
+
+        // The buffer is laid further out frame by frame, ahead of wherever the wheel is
+        await expect.poll(() => page.evaluate((f) => { setTimeViewOffset(f); return timeViewOffset; }, far))
+            .toBe(far);
+        const rails = await page.evaluate((f) => {
+            const same = (a, b) => a.every((s, i) =>
+                s.x === b[i].x && s.y === b[i].y && s.vx === b[i].vx && s.vy === b[i].vy);
+            const worked = (k) => railsStatesAt(bodyRails, (railsFirstFrame + k) * PREDICTION_DT);
+            return {
+                offset: timeViewOffset,
+                length: predictionBuffer.length,
+                // Near and far, the buffer is the formula
+                exact: [0, 1000, f].every((k) => same(predictionBuffer.states(k), worked(k))),
+                // The moons stay with their planets however far out
+                lunaFromTerra: Math.hypot(predictionBuffer.x(f, 3) - predictionBuffer.x(f, 2),
+                    predictionBuffer.y(f, 3) - predictionBuffer.y(f, 2)),
+            };
+        }, far);
+        expect(rails.offset).toBe(far);
+        expect(rails.length).toBeGreaterThan(far + 1000);
+        expect(rails.exact).toBe(true);
+        expect(rails.lunaFromTerra).toBeGreaterThan(20);
+        expect(rails.lunaFromTerra).toBeLessThan(30);
+
+        // But not without end: however far the wheel is pushed, the buffer stops at the cap
+        const cap = await page.evaluate(() => RAILS_MAX_FRAMES);
+        await expect.poll(() => page.evaluate((f) => { setTimeViewOffset(f); return timeViewOffset; }, cap * 2),
+            { timeout: 30_000 }).toBe(cap - 1);
+        await page.waitForTimeout(500);
+        expect(await page.evaluate(() => predictionBuffer.length)).toBe(cap);
+        g.assertNoPageErrors();
+    });
+
+    test('a route found beyond the n-body horizon is the route flown', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        expect(await page.evaluate(() => setBodyMotion('rails'))).toBe(true);
+        await g.waitForPropagation();
+
+        const far = await page.evaluate(() => PREDICTION_FRAMES + 2000);
+        await expect.poll(() => page.evaluate((f) => { setTimeViewOffset(f); return timeViewOffset; }, far))
+            .toBe(far);
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        const scanned = await page.evaluate(() => ({
+            launch: fanLaunchFrame,
+            end: highlightedFanEntry().path[highlightedFanEntry().path.length - 1],
+        }));
+        expect(scanned.launch).toBeGreaterThan(await page.evaluate(() => PREDICTION_FRAMES));
+
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+        const flown = await page.evaluate(() => {
+            const path = scheduledTransfers[0].squadron.trajectoryBuffer;
+            return { x: path.x(path.length - 1), y: path.y(path.length - 1) };
+        });
+        expect(flown).toEqual(scanned.end);
+        await g.shot('far-launch');
+        g.assertNoPageErrors();
+    });
+
+    test('it is locked with anything in flight, and comes back with the session', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        expect(await page.evaluate(() => setBodyMotion('rails'))).toBe(true);
+        await g.waitForPropagation();
+
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+        await page.locator('#popover-trigger').click();
+        await expect(page.locator('#body-motion-item')).toHaveClass(/locked/);
+        expect(await page.evaluate(() => setBodyMotion('nbody'))).toBe(false);
+
+        const saved = await page.evaluate(() => JSON.parse(JSON.stringify(captureSession())));
+        expect(saved.bodyMotion).toBe('rails');
+        const restored = await page.evaluate((s) => {
+            setSimPaused(true);
+            const older = { ...s };
+            delete older.bodyMotion;
+            const errors = loadSessionText(JSON.stringify(older), 'older.json');
+            const before = bodyMotion;
+            loadSessionText(JSON.stringify(s), 'saved.json');
+            return {
+                errors,
+                before,
+                after: bodyMotion,
+                bad: validateSession({ ...s, bodyMotion: 'clockwork' }).some((e) => e.includes('"bodyMotion"')),
+            };
+        }, saved);
+        expect(restored).toEqual({ errors: [], before: 'nbody', after: 'rails', bad: true });
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,96 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Frame rings: the prediction buffer and every flight are numbers in one typed array,
+ * used as a ring. Taking the present off the front moves an index instead of the frames,
+ * and the far end wraps round into the space it gave up without any frame changing.
+ */
+
+test.describe('frame rings', () => {
+    test('a ring wraps, grows and flattens without losing a frame', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+
+        const ring = await page.evaluate(() => {
+            const state = (k) => ({ x: k, y: -k, vx: k / 2, vy: k * 3, isAccelerating: k % 2 === 0 });
+            const r = new FrameRing(CRAFT_FIELDS, 1, 4);
+            for (let k = 0; k < 4; k++) r.push(state(k));
+            // Two off the front and two on the back: the new frames wrap into the old space
+            r.shift();
+            r.shift();
+            r.push(state(4));
+            r.push(state(5));
+            const wrapped = { head: r.head, capacity: r.capacity, xs: [0, 1, 2, 3].map((f) => r.x(f)) };
+            // One more than it holds, and it doubles, keeping them in order
+            r.push(state(6));
+            const flat = Array.from(r.flat());
+            const back = FrameRing.fromFlat(r.flat(), CRAFT_FIELDS);
+            return {
+                wrapped,
+                grown: { capacity: r.capacity, xs: [0, 1, 2, 3, 4].map((f) => r.x(f)) },
+                last: r.state(4),
+                flat: flat.slice(0, 5),
+                back: [0, 1, 2, 3, 4].map((f) => back.x(f)),
+                truncated: (r.truncate(2), r.length),
+            };
+        });
+        expect(ring.wrapped).toEqual({ head: 2, capacity: 4, xs: [2, 3, 4, 5] });
+        expect(ring.grown).toEqual({ capacity: 8, xs: [2, 3, 4, 5, 6] });
+        expect(ring.last).toEqual({ x: 6, y: -6, vx: 3, vy: 18, isAccelerating: true });
+        expect(ring.flat).toEqual([2, -2, 1, 6, 1]);
+        expect(ring.back).toEqual([2, 3, 4, 5, 6]);
+        expect(ring.truncated).toBe(2);
+        g.assertNoPageErrors();
+    });
+
+    test('a reader of a shared ring can tell when the frames it read were written over', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+
+        const seen = await page.evaluate(() => {
+            const state = (k) => ({ x: k, y: -k, vx: 0, vy: 0, isAccelerating: false });
+            const ring = FrameRing.shared(CRAFT_FIELDS, 1, 4);
+            for (let k = 0; k < 3; k++) ring.push(state(k));
+            const reader = FrameRing.attach(ring.handle());
+            const followed = reader.follow(1);
+            // The page goes on while the reader reads: one more still fits, the next comes
+            // round onto frame 1
+            ring.shift();
+            ring.push(state(3));
+            const afterOne = reader.stillHolds(1);
+            ring.shift();
+            ring.push(state(4));
+            return { followed, afterOne, afterTwo: reader.stillHolds(1), later: reader.stillHolds(2) };
+        });
+        expect(seen).toEqual({ followed: true, afterOne: true, afterTwo: false, later: true });
+        g.assertNoPageErrors();
+    });
+
+    test('time passing moves the buffer\'s head, not its frames', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        await page.evaluate(() => setSimPaused(true));
+        const before = await page.evaluate(() => {
+            window.__ringData = predictionBuffer.data;
+            return { head: predictionBuffer.head, ahead: predictionBuffer.states(10) };
+        });
+        await page.evaluate(() => { pendingStepFrames = 10; });
+        await page.waitForFunction((head) => predictionBuffer.head !== head &&
+            predictionBuffer.length === PREDICTION_FRAMES, before.head);
+
+        const after = await page.evaluate(() => ({
+            // Still the same block of memory, topped up in place
+            sameData: predictionBuffer.data === window.__ringData,
+            head: predictionBuffer.head,
+            capacity: predictionBuffer.capacity,
+            present: predictionBuffer.states(0),
+        }));
+        expect(after.sameData).toBe(true);
+        expect(after.head).toBe((before.head + 10) % after.capacity);
+        expect(after.present).toEqual(before.ahead);
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,73 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Sharing the buffer: on a cross-origin isolated page the workers read the prediction
+ * buffer in shared memory and are primed once, however far the present moves. Without
+ * isolation (here, ?share=0) they keep copies brought up to date frame by frame, and a
+ * route found against a copy still flies exactly as it was found.
+ */
+
+test.describe('shared prediction buffer', () => {
+    test('the workers read the page\'s own frames, primed once as time runs on', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        expect(await page.evaluate(() => ({
+            isolated: self.crossOriginIsolated,
+            shared: predictionBuffer.header !== null && predictionBuffer.data.buffer instanceof SharedArrayBuffer,
+        }))).toEqual({ isolated: true, shared: true });
+
+        // Count primes from here on
+        await page.evaluate(() => {
+            window.__primes = 0;
+            const prime = primeWorkers;
+            window.primeWorkers = () => { window.__primes++; prime(); };
+        });
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        const primedFor = await page.evaluate(() => window.__primes);
+
+        // Well past the room kept behind the present: only workers reading the live frames
+        // can still scan without being sent the buffer again
+        await page.evaluate(() => { pendingStepFrames = 2000; });
+        await page.waitForFunction(() => predictionBuffer.base >= 2000);
+        await page.evaluate(() => setTimeViewOffset(Math.round(timeViewOffset) + 300));
+        await g.waitForTrajectories();
+
+        expect(await page.evaluate(() => window.__primes)).toBe(primedFor);
+        expect(await page.evaluate(() => transferFan.length)).toBeGreaterThan(0);
+        g.assertNoPageErrors();
+    });
+
+    test('without shared memory, a route found on a worker\'s copy is the route flown', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await page.goto('/?share=0', { waitUntil: 'domcontentloaded' });
+        await page.waitForFunction(() => typeof bodies !== 'undefined' && bodies.length >= 7);
+        await g.waitForPropagation();
+        expect(await page.evaluate(() => predictionBuffer.header)).toBeNull();
+
+        // Prime the copies, then move the present on so they have frames to catch up
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        await page.evaluate(() => { pendingStepFrames = 500; });
+        await page.waitForFunction(() => predictionBuffer.base >= 500);
+        await page.evaluate(() => setTimeViewOffset(Math.round(timeViewOffset) + 100));
+        await g.waitForTrajectories();
+        expect(await page.evaluate(() => workerSyncedBase)).toBeGreaterThanOrEqual(500);
+
+        const end = await page.evaluate(() => {
+            const path = highlightedFanEntry().path;
+            return path[path.length - 1];
+        });
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+        const flown = await page.evaluate(() => {
+            const path = scheduledTransfers[0].squadron.trajectoryBuffer;
+            return { x: path.x(path.length - 1), y: path.y(path.length - 1) };
+        });
+        expect(flown).toEqual(end);
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,102 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Streaming scans: each sector's routes reach the fan as soon as a worker has tuned them,
+ * not when its whole shard is done, and moving the wheel mid-scan starts the new scan
+ * straight away and stops the old one where it is.
+ */
+
+// Log every sector and finished shard the page is sent, with the scan each belongs to
+async function recordScans(page) {
+    await page.evaluate(() => {
+        window.__scanLog = [];
+        const handle = handleWorkerMessage;
+        window.handleWorkerMessage = (i, e) => {
+            handle(i, e);
+            const msg = e.data;
+            if ((msg.type !== 'sector' && msg.type !== 'scanDone') || msg.warm) return;
+            window.__scanLog.push({
+                type: msg.type,
+                generation: msg.generation,
+                routes: msg.type === 'sector' ? msg.results.length : 0,
+                entries: msg.type === 'sector' ? fanSectorResults(msg) : [],
+                // As the page stood once it had taken the message in
+                fan: transferFan.length,
+                pending: fanScanPending,
+            });
+        };
+    });
+}
+
+test.describe('streaming scans', () => {
+    test('the fan fills in sector by sector while the scan is still running', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await recordScans(page);
+
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+
+        const log = await page.evaluate(() => window.__scanLog.filter((m) => m.generation === fanScanGeneration));
+        const sectors = log.filter((m) => m.type === 'sector');
+        // Many reports from each shard, not one
+        expect(sectors.length).toBeGreaterThan(await page.evaluate(() => workerPool.length));
+        // Routes were on the map before the last shard reported in
+        expect(sectors.some((m) => m.routes > 0 && m.pending > 0 && m.fan > 0)).toBe(true);
+        // Every route any sector sent is in the fan, or its near-copy is — or its sector's
+        // quick route's is, which stands for the sector — in arrival order, with one highlighted
+        const fan = await page.evaluate(() => {
+            const held = (e) => e && transferFan.some((f) => sameRoute(f, e));
+            const sent = window.__scanLog.filter((m) => m.generation === fanScanGeneration && m.type === 'sector');
+            return {
+                missing: sent.flatMap((m) => m.entries.filter((e) =>
+                    !held(e) && !held(m.entries.find((q) => q.kind !== 'cheap')))).length,
+                sorted: transferFan.every((e, i) => i === 0 || transferFan[i - 1].arrivalOffset <= e.arrivalOffset),
+                highlighted: highlightedFanEntry() !== null,
+            };
+        });
+        expect(fan.missing).toBe(0);
+        expect(fan.sorted).toBe(true);
+        expect(fan.highlighted).toBe(true);
+        g.assertNoPageErrors();
+    });
+
+    test('scrubbing mid-scan starts the new scan at once and stops the old one', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        await page.evaluate(() => setSimPaused(true));
+        await recordScans(page);
+
+        // Start a scan, and move the wheel again as soon as its first sector is in
+        const first = await page.evaluate(() => {
+            setTimeViewOffset(Math.round(timeViewOffset) + 200);
+            return fanScanGeneration;
+        });
+        await page.waitForFunction((g0) => fanScanGeneration > g0 &&
+            window.__scanLog.some((m) => m.generation === fanScanGeneration && m.type === 'sector'), first);
+        const stale = await page.evaluate(() => {
+            setTimeViewOffset(Math.round(timeViewOffset) + 200);
+            return { generation: fanScanGeneration, frame: Math.round(timeViewOffset) };
+        });
+
+        // The new scan goes out while the old one is still unfinished...
+        await page.waitForFunction((s) => fanScanGeneration > s.generation, stale,
+            { timeout: 10_000, polling: 20 });
+        expect(await page.evaluate((s) => fanLaunchFrame === s.frame, stale)).toBe(true);
+        await g.waitForScan();
+
+        // ...and the old one never finishes: its shards stopped a sector after it was dropped
+        const scans = await page.evaluate((s) => ({
+            old: window.__scanLog.filter((m) => m.generation === s.generation),
+            whole: window.__scanLog.filter((m) => m.generation === fanScanGeneration && m.type === 'sector').length,
+        }), stale);
+        expect(scans.old.filter((m) => m.type === 'scanDone')).toHaveLength(0);
+        expect(scans.old.filter((m) => m.type === 'sector').length).toBeLessThan(scans.whole);
+        g.assertNoPageErrors();
+    });
+});
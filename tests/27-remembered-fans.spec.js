@@ -0,0 +1,129 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Remembered fans: a moment already scanned gives back the fan it found at once, with no
+ * scan — still the same moment after the present has moved on — and the moments a nudge
+ * of the wheel lands on are scanned ahead while nothing else needs the workers. A new
+ * system, integrator or change of mass forgets them all.
+ */
+
+// Count the fan scans posted to the workers from here on, leaving out those run ahead
+async function countScans(page) {
+    await page.evaluate(() => {
+        window.__scansPosted = 0;
+        for (const worker of workerPool) {
+            const post = worker.postMessage.bind(worker);
+            worker.postMessage = (msg) => {
+                if (msg.type === 'scan' && !msg.warm) window.__scansPosted++;
+                post(msg);
+            };
+        }
+    });
+}
+
+test.describe('remembered fans', () => {
+    test('scrubbing back to a scanned moment puts its fan up without a scan', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        // Far enough ahead that the present can move on without reaching it
+        await g.scrubToMinute(await page.evaluate(() => timeViewOffset * PREDICTION_DT + 60));
+        await g.waitForTrajectories();
+
+        // The moment by frame number, which still names it once the present has moved
+        const first = await page.evaluate(() => ({
+            moment: predictionBuffer.base + fanLaunchFrame,
+            fan: transferFan.map((e) => `${e.releaseAngle}/${e.arrivalOffset}`),
+        }));
+        await g.scrubToMinute(await page.evaluate(() => (timeViewOffset + 300) * PREDICTION_DT));
+        const base = await page.evaluate(() => {
+            pendingStepFrames = 50;
+            return predictionBuffer.base;
+        });
+        await page.waitForFunction((b) => predictionBuffer.base >= b + 50, base);
+        await countScans(page);
+
+        const back = await page.evaluate((moment) => {
+            setTimeViewOffset(moment - predictionBuffer.base);
+            updateTransferSearch();   // the game loop's next step, taken here so nothing else moves first
+            return {
+                launch: predictionBuffer.base + fanLaunchFrame,
+                pending: fanScanPending,
+                scanned: fanHasScanned,
+                fan: transferFan.map((e) => `${e.releaseAngle}/${e.arrivalOffset}`),
+                highlighted: highlightedFanEntry() !== null,
+            };
+        }, first.moment);
+
+        expect(back.launch).toBe(first.moment);
+        expect(back.pending).toBe(0);
+        expect(back.scanned).toBe(true);
+        expect(back.fan).toEqual(first.fan);
+        expect(back.highlighted).toBe(true);
+        expect(await page.evaluate(() => window.__scansPosted)).toBe(0);
+        g.assertNoPageErrors();
+    });
+
+    test('the moments either side are scanned ahead, and a change of mass forgets them', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        await page.evaluate(() => setSimPaused(true));
+
+        // Once the strip has been swept and the workers are idle, a nudge is ready
+        await page.waitForFunction(() => fanIsRemembered(fanLaunchFrame + 1), null,
+            { timeout: 240_000, polling: 250 });
+        await countScans(page);
+        const nudged = await page.evaluate(() => {
+            const frame = fanLaunchFrame + 1;
+            setTimeViewOffset(frame);
+            updateTransferSearch();
+            return { on: fanLaunchFrame === frame, pending: fanScanPending };
+        });
+        expect(nudged).toEqual({ on: true, pending: 0 });
+        expect(await page.evaluate(() => window.__scansPosted)).toBe(0);
+
+        const forgotten = await page.evaluate(() => {
+            const before = fanCacheEntries().size;
+            bodies[2].mass *= 1.01;
+            return { before, after: fanCacheEntries().size };
+        });
+        expect(forgotten.before).toBeGreaterThan(1);
+        expect(forgotten.after).toBe(0);
+        g.assertNoPageErrors();
+    });
+
+    test('a scan run ahead that fails is dropped, and its shards leave the next one alone', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        await page.evaluate(() => setSimPaused(true));
+        await page.waitForFunction(() => fanWarm !== null, null, { timeout: 240_000, polling: 100 });
+
+        // One shard fails: the scan ahead is given up, and another takes its place
+        const failed = await page.evaluate(() => {
+            const id = fanWarm.id;
+            handleWorkerMessage(0, { data: { type: 'error', job: 'scan', generation: fanScanGeneration, warm: id } });
+            return { id, dropped: fanWarm === null };
+        });
+        expect(failed.dropped).toBe(true);
+        await page.waitForFunction((id) => fanWarm !== null && fanWarm.id > id, failed.id);
+
+        // The failed scan's other shards are still sending, under the same generation
+        const after = await page.evaluate((id) => {
+            const pending = fanWarm.pending;
+            const stale = { generation: fanScanGeneration, warm: id, shardIndex: 1 };
+            handleWorkerMessage(1, { data: { ...stale, type: 'sector', sector: 0, sectorCount: 1, results: [] } });
+            handleWorkerMessage(1, { data: { ...stale, type: 'scanDone' } });
+            return { pending: fanWarm && fanWarm.pending, before: pending };
+        }, failed.id);
+        expect(after.pending).toBe(after.before);
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,92 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Lambert seeding: each sector's angles are seeded for tuning by the arc about the star
+ * from where they clear their source to where the destination will be, and a pair with
+ * nothing the burn could reach is known to have nothing without a route being tuned. The
+ * old burn-free sweep is still there with ?seeding=sweep.
+ */
+
+// Total up what the workers say they tuned for the scan in view, leaving out those run ahead
+async function recordShards(page) {
+    await page.evaluate(() => {
+        window.__shards = [];
+        const handle = handleWorkerMessage;
+        window.handleWorkerMessage = (i, e) => {
+            handle(i, e);
+            const msg = e.data;
+            if (msg.type === 'scanDone' && !msg.warm) window.__shards.push(msg);
+        };
+    });
+}
+
+function tunedFor(page) {
+    return page.evaluate(() => window.__shards
+        .filter((m) => m.generation === fanScanGeneration)
+        .reduce((n, m) => n + m.optimized, 0));
+}
+
+// Ember to Terra, held to arrive within a minute of launch: sooner than any route can, so
+// there is nothing in reach at all
+async function planOutOfReach(g) {
+    await g.beginTransfer('Ember', 'Terra');
+    await g.waitForScan();
+    await g.page.evaluate(() => setArrivalBound('before', predictionBuffer.base + fanLaunchFrame + 10));
+    await g.waitForScan();
+}
+
+test.describe('Lambert seeding', () => {
+    test('a route seeded by its arc flies as it was found', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+
+        const fan = await page.evaluate(() => ({
+            seeding: transferScanParams(fanLaunchFrame).seeding,
+            sectors: new Set(transferFan.map((e) => e.sector)).size,
+        }));
+        expect(fan.seeding).toBe('lambert');
+        expect(fan.sectors).toBeGreaterThan(1);
+
+        const end = await page.evaluate(() => {
+            const path = highlightedFanEntry().path;
+            return path[path.length - 1];
+        });
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+        const flown = await page.evaluate(() => {
+            const path = scheduledTransfers[0].squadron.trajectoryBuffer;
+            return { x: path.x(path.length - 1), y: path.y(path.length - 1) };
+        });
+        expect(flown).toEqual(end);
+        g.assertNoPageErrors();
+    });
+
+    test('a pair out of reach is found empty without tuning a route', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await recordShards(page);
+        await planOutOfReach(g);
+
+        expect(await page.evaluate(() => transferFan.length)).toBe(0);
+        expect(await tunedFor(page)).toBe(0);
+        g.assertNoPageErrors();
+    });
+
+    test('with ?seeding=sweep the same pair is tuned sector by sector as before', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await page.goto('/?seeding=sweep', { waitUntil: 'domcontentloaded' });
+        await page.waitForFunction(() => typeof bodies !== 'undefined' && bodies.length >= 7);
+        await g.waitForPropagation();
+        await recordShards(page);
+        await planOutOfReach(g);
+
+        expect(await page.evaluate(() => transferScanParams(fanLaunchFrame).seeding)).toBe('sweep');
+        expect(await tunedFor(page)).toBeGreaterThan(0);
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,84 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Burn optimizers: the burn of every route is tuned by whichever of optimizers.js the scan
+ * names, and the comparison in the menu scans the same pairs at the same moments with each
+ * of them and reports what each found, and what it took.
+ */
+
+test.describe('burn optimizers', () => {
+    test('the comparison reports every method on the same pairs and moments', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        await page.evaluate(() => startOptimizerComparison({ pairs: [['Terra', 'Luna']], moments: [0] }));
+        // The clock is held so the moment stays put
+        expect(await page.evaluate(() => simPaused)).toBe(true);
+        await page.waitForFunction(() => optimizerComparisonRows !== null, null,
+            { timeout: 120_000, polling: 250 });
+
+        await page.locator('#popover-trigger').click();
+        await expect(page.locator('#optimizer-report .compare-row')).toHaveCount(3);
+        await expect(page.locator('#optimizer-report .compare-row.active')).toHaveAttribute('data-optimizer', 'descent');
+        await g.shot('optimizer-report');
+
+        const rows = await page.evaluate(() => optimizerComparisonRows);
+        expect(rows.map((r) => r.optimizer).sort()).toEqual(['descent', 'evolution', 'simplex']);
+        for (const r of rows) {
+            expect(r.cases).toBe(1);
+            expect(r.failed).toBe(0);
+            expect(r.flights).toBeGreaterThan(0);
+        }
+        // Every method reaches a moon from its planet, so each has a quickest to compare
+        expect(rows.every((r) => r.reached === 1 && r.meanQuickest > 0)).toBe(true);
+        // And the clock is let go again
+        expect(await page.evaluate(() => simPaused)).toBe(false);
+        g.assertNoPageErrors();
+    });
+
+    test('a worker still on another planner\'s job is not handed one', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+
+        // Every worker holding a moment of the heatmap's
+        const held = await page.evaluate(() => {
+            for (let i = 0; i < workerPool.length; i++) porkchopBusy.add(i);
+            startOptimizerComparison({ pairs: [['Terra', 'Luna']], moments: [0], optimizers: ['descent'] });
+            updateOptimizerComparison();
+            return { sent: optimizerComparison.next, holding: compareBusy.size };
+        });
+        expect(held).toEqual({ sent: 0, holding: 0 });
+
+        await page.evaluate(() => porkchopBusy.clear());
+        await page.waitForFunction(() => optimizerComparisonRows !== null, null,
+            { timeout: 120_000, polling: 250 });
+        expect(await page.evaluate(() => optimizerComparisonRows.map((r) => r.failed))).toEqual([0]);
+        g.assertNoPageErrors();
+    });
+
+    test('a fan tuned by Nelder–Mead flies as it was found', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await page.goto('/?optimizer=simplex', { waitUntil: 'domcontentloaded' });
+        await page.waitForFunction(() => typeof bodies !== 'undefined' && bodies.length >= 7);
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+        expect(await page.evaluate(() => transferScanParams(fanLaunchFrame).optimizer)).toBe('simplex');
+
+        const end = await page.evaluate(() => {
+            const path = highlightedFanEntry().path;
+            return path[path.length - 1];
+        });
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+        const flown = await page.evaluate(() => {
+            const path = scheduledTransfers[0].squadron.trajectoryBuffer;
+            return { x: path.x(path.length - 1), y: path.y(path.length - 1) };
+        });
+        expect(flown).toEqual(end);
+        g.assertNoPageErrors();
+    });
+});
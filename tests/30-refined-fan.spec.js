@@ -0,0 +1,95 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Refining the fan: a scan cuts the release circle coarsely first, then cuts finer only
+ * the sectors around the routes the coarse pass found, and a route that is as good as one
+ * already in the fan is not added to it.
+ */
+
+// Log every fan scan job posted, and every coarse sector that sent back routes
+async function recordPasses(page) {
+    await page.evaluate(() => {
+        window.__jobs = [];
+        window.__found = [];
+        for (const worker of workerPool) {
+            const post = worker.postMessage.bind(worker);
+            worker.postMessage = (msg) => {
+                if (msg.type === 'scan' && !msg.warm) window.__jobs.push(msg);
+                post(msg);
+            };
+        }
+        const handle = handleWorkerMessage;
+        window.handleWorkerMessage = (i, e) => {
+            handle(i, e);
+            const msg = e.data;
+            if (msg.type !== 'sector' || msg.warm || msg.results.length === 0) return;
+            if (msg.sectorCount === FAN_COARSE_SECTORS) window.__found.push(msg);
+        };
+    });
+}
+
+function passesOf(page) {
+    return page.evaluate(() => {
+        const current = (m) => m.generation === fanScanGeneration;
+        return {
+            coarse: window.__jobs.filter((j) => current(j) && !j.sectors),
+            fine: window.__jobs.filter((j) => current(j) && j.sectors),
+            found: window.__found.filter(current).map((m) => m.sector),
+            budget: FAN_REFINE_BUDGET,
+            coarseSectors: FAN_COARSE_SECTORS,
+        };
+    });
+}
+
+test.describe('refined fan', () => {
+    test('the fine pass cuts only around the sectors the coarse pass found routes in', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await recordPasses(page);
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForTrajectories();
+
+        const passes = await passesOf(page);
+        expect(passes.coarse.length).toBeGreaterThan(0);
+        expect(passes.coarse.every((j) => j.sectorCount === passes.coarseSectors)).toBe(true);
+        expect(passes.fine.length).toBeGreaterThan(0);
+
+        const fine = passes.fine.flatMap((j) => j.sectors.map((f) => ({ f, count: j.sectorCount })));
+        expect(fine.length).toBeLessThanOrEqual(passes.budget);
+        expect(new Set(fine.map(({ f }) => f)).size).toBe(fine.length);
+        // Each fine sector is in a coarse sector that found a route, or one over its edge
+        const found = new Set(passes.found);
+        for (const { f, count } of fine) {
+            const split = count / passes.coarseSectors;
+            const near = [f - 1, f, f + 1].map((n) => Math.floor(((n + count) % count) / split));
+            expect(near.some((c) => found.has(c))).toBe(true);
+        }
+
+        // And no two routes left in the fan are the same route
+        const copies = await page.evaluate(() => transferFan.filter((a, i) =>
+            transferFan.some((b, j) => j < i && sameRoute(a, b))).length);
+        expect(copies).toBe(0);
+        await g.shot('refined-fan');
+        g.assertNoPageErrors();
+    });
+
+    test('a pair with nothing in reach is never refined', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForScan();
+        // Due within a minute of launch: sooner than any route can arrive
+        await recordPasses(page);
+        await page.evaluate(() => setArrivalBound('before', predictionBuffer.base + fanLaunchFrame + 10));
+        await g.waitForScan();
+
+        const passes = await passesOf(page);
+        expect(passes.coarse.length).toBeGreaterThan(0);
+        expect(passes.found).toHaveLength(0);
+        expect(passes.fine).toHaveLength(0);
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,82 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Which way round: craft parked at a body orbit it one way, prograde unless told
+ * otherwise, and the scan searches the way the source body's craft go — or both, when
+ * asked. Every route says which way it leaves, and the squadron that flies it spirals out
+ * that way, as the route was found.
+ */
+
+test.describe('departure direction', () => {
+    test('a retrograde route is searched, labelled and flown retrograde', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForScan();
+        await expect(page.locator('#departure-direction')).toHaveValue('prograde');
+        expect(await page.evaluate(() => transferScanParams(fanLaunchFrame).orbitalDirections)).toEqual([1]);
+
+        await page.locator('#departure-direction').selectOption('retrograde');
+        expect(await page.evaluate(() => transferSourceBody.orbitalDirection)).toBe(-1);
+        await g.waitForTrajectories();
+        await g.shot('retrograde-fan');
+
+        const fan = await page.evaluate(() => ({
+            asked: transferScanParams(fanLaunchFrame).orbitalDirections,
+            directions: [...new Set(transferFan.map((e) => e.direction))],
+            dashed: document.querySelectorAll('.transfer-fan .fan-path.retrograde').length,
+        }));
+        expect(fan.asked).toEqual([-1]);
+        expect(fan.directions).toEqual([-1]);
+        expect(fan.dashed).toBeGreaterThan(0);
+        await expect(page.locator('#trajectory-info-bar')).toContainText('retrograde');
+
+        const end = await page.evaluate(() => {
+            const path = highlightedFanEntry().path;
+            return path[path.length - 1];
+        });
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+        const flown = await page.evaluate(() => {
+            const sq = scheduledTransfers[0].squadron;
+            const path = sq.trajectoryBuffer;
+            return { direction: sq.orbitalDirection, end: { x: path.x(path.length - 1), y: path.y(path.length - 1) } };
+        });
+        expect(flown).toEqual({ direction: -1, end });
+
+        // Both stay with the session
+        const saved = await page.evaluate(() => {
+            const session = captureSession();
+            return {
+                body: session.bodies.find((b) => b.name === 'Ember').orbitalDirection,
+                squadron: session.squadrons[session.scheduledTransfers[0].squadron].orbitalDirection,
+            };
+        });
+        expect(saved).toEqual({ body: -1, squadron: -1 });
+        g.assertNoPageErrors();
+    });
+
+    test('both ways searches each, and leaves the parking orbit as it was', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForScan();
+
+        await page.locator('#departure-direction').selectOption('both');
+        await g.waitForTrajectories({ minRoutes: 2 });
+
+        const scan = await page.evaluate(() => ({
+            asked: transferScanParams(fanLaunchFrame).orbitalDirections,
+            parked: transferSourceBody.orbitalDirection,
+            directions: [...new Set(transferFan.map((e) => e.direction))].sort(),
+        }));
+        expect(scan.asked).toEqual([1, -1]);
+        expect(scan.parked).toBe(1);
+        // Ember to Terra has routes either way round at almost any moment
+        expect(scan.directions).toEqual([-1, 1]);
+        g.assertNoPageErrors();
+    });
+});
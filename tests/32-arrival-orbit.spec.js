@@ -0,0 +1,69 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Arrival orbit: each transfer says how high above its destination to park and how
+ * closely to keep to that height, the scan is held to both, and every route reports the
+ * height it actually settled at. Both start over on the old orbit with each transfer.
+ */
+
+test.describe('arrival orbit', () => {
+    test('a high, loose orbit is asked for, kept to and reported', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForScan();
+        expect(await page.evaluate(() => {
+            const p = transferScanParams(fanLaunchFrame);
+            return [p.arrivalAltitude, p.captureTolerance];
+        })).toEqual([5, 5]);
+
+        await page.locator('#arrival-altitude').selectOption('20');
+        await page.locator('#capture-tolerance').selectOption('15');
+        await g.waitForTrajectories();
+        await g.shot('high-orbit');
+
+        const fan = await page.evaluate(() => {
+            const p = transferScanParams(fanLaunchFrame);
+            return {
+                asked: [p.arrivalAltitude, p.captureTolerance],
+                altitudes: transferFan.map((e) => e.altitude),
+            };
+        });
+        expect(fan.asked).toEqual([20, 15]);
+        // Held to the height on average, so no route settles further from it than that
+        for (const altitude of fan.altitudes) {
+            expect(Math.abs(altitude - 20)).toBeLessThanOrEqual(15);
+        }
+        await expect(page.locator('#trajectory-info-bar')).toContainText('Orbit:');
+
+        const end = await page.evaluate(() => {
+            const path = highlightedFanEntry().path;
+            return path[path.length - 1];
+        });
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => scheduledTransfers.length === 1);
+        const flown = await page.evaluate(() => {
+            const path = scheduledTransfers[0].squadron.trajectoryBuffer;
+            return { x: path.x(path.length - 1), y: path.y(path.length - 1) };
+        });
+        expect(flown).toEqual(end);
+        g.assertNoPageErrors();
+    });
+
+    test('the next transfer starts on the old orbit again', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await page.locator('#arrival-altitude').selectOption('2');
+        await page.locator('#capture-tolerance').selectOption('1');
+        await g.cancelTransfer();
+
+        await g.beginTransfer('Ember', 'Gaia');
+        await expect(page.locator('#arrival-altitude')).toHaveValue('5');
+        await expect(page.locator('#capture-tolerance')).toHaveValue('5');
+        g.assertNoPageErrors();
+    });
+});
@@ -0,0 +1,100 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Arrival window: a transfer may say when its craft are to arrive — after one moment,
+ * before another, or both — with a marker on the time wheel for each. The fan then only
+ * offers routes arriving inside, nearest the middle of the window first, and the window is
+ * gone again with the next transfer.
+ */
+
+// Every route in the fan, as frame numbers of arrival, with the window and its middle
+function fanArrivals(page) {
+    return page.evaluate(() => ({
+        after: transferArriveAfter,
+        before: transferArriveBefore,
+        preferred: preferredArrival(),
+        arrivals: transferFan.map((e) => predictionBuffer.base + fanLaunchFrame + e.arrivalOffset),
+    }));
+}
+
+test.describe('arrival window', () => {
+    test('the fan keeps to the window and ranks routes by the middle of it', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForScan();
+        await expect(page.locator('#arrive-after')).toHaveText('After —');
+        expect(await page.evaluate(() => transferScanParams(fanLaunchFrame).arriveAt)).toBeUndefined();
+
+        // Ember to Terra has routes arriving anywhere from four to ten hours out; ask for
+        // a stretch in the middle of that
+        await page.evaluate(() => {
+            const launch = predictionBuffer.base + fanLaunchFrame;
+            setArrivalBound('after', launch + 400);
+            setArrivalBound('before', launch + 500);
+        });
+        await g.waitForTrajectories();
+        await expect(page.locator('#arrive-after')).toHaveAttribute('aria-pressed', 'true');
+        await expect(page.locator('#trajectory-info-bar')).toContainText('Arrives:');
+
+        const fan = await fanArrivals(page);
+        expect(fan.preferred).toBe(Math.round((fan.after + fan.before) / 2));
+        for (const arrival of fan.arrivals) {
+            expect(arrival).toBeGreaterThanOrEqual(fan.after);
+            expect(arrival).toBeLessThanOrEqual(fan.before);
+        }
+        const nearness = fan.arrivals.map((a) => Math.abs(a - fan.preferred));
+        expect(nearness).toEqual([...nearness].sort((a, b) => a - b));
+
+        // Both bounds are on the wheel
+        await page.locator('#time-scrub-btn').click();
+        await expect(page.locator('.wheel-window-marker:visible')).toHaveCount(2);
+        await g.shot('window-markers');
+        g.assertNoPageErrors();
+    });
+
+    test('dragging a marker moves its bound and not the clock', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await g.beginTransfer('Ember', 'Terra');
+        await g.waitForScan();
+        await page.locator('#time-scrub-btn').click();
+        await page.locator('#arrive-before').click();
+        const marker = page.locator('.wheel-window-marker[data-bound="before"]');
+        await expect(marker).toBeVisible();
+
+        const before = await page.evaluate(() => ({ bound: transferArriveBefore, clock: timeViewOffset }));
+        // Round to the bottom of the ring: half a turn of the wheel
+        const grip = await marker.locator('circle').boundingBox();
+        const wheel = await page.locator('#time-wheel').boundingBox();
+        await page.mouse.move(grip.x + grip.width / 2, grip.y + grip.height / 2);
+        await page.mouse.down();
+        await page.mouse.move(wheel.x + wheel.width / 2, wheel.y + wheel.height - 4, { steps: 8 });
+        await page.mouse.up();
+
+        const after = await page.evaluate(() => ({
+            bound: transferArriveBefore,
+            turned: (transferArriveBefore - predictionBuffer.base) / timeViewMaxOffset(),
+            clock: timeViewOffset,
+        }));
+        expect(after.bound).not.toBe(before.bound);
+        expect(after.turned).toBeCloseTo(0.5, 1);
+        expect(after.clock).toBe(before.clock);
+        await g.waitForScan();
+        const sent = await page.evaluate(() => ({
+            sent: transferScanParams(fanLaunchFrame).arriveBefore,
+            expected: transferArriveBefore - predictionBuffer.base - fanLaunchFrame,
+        }));
+        expect(sent.sent).toBe(sent.expected);
+
+        // And the next transfer starts with no window at all
+        await g.cancelTransfer();
+        await g.beginTransfer('Ember', 'Gaia');
+        await expect(page.locator('#arrive-before')).toHaveText('Before —');
+        await expect(page.locator('.wheel-window-marker:visible')).toHaveCount(0);
+        g.assertNoPageErrors();
+    });
+});
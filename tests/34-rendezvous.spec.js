@@ -0,0 +1,76 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Rendezvous: fleets from several bodies sent to arrive at one destination together. The
+ * planner searches each origin's launch moment and route for the earliest moment they can
+ * all be there within the tolerance, schedules a launch from each, and keeps them as a
+ * group that is called off as one.
+ */
+
+// Plan Ember and Terra to Gaia together and wait for the meeting to be scheduled
+async function meetAtGaia(g, page) {
+    await g.buildCraftAt('Terra');
+    await expect.poll(() => g.craftAt('Terra')).toBeGreaterThan(0);
+    await g.beginTransfer('Ember', 'Gaia');
+    await g.waitForScan();
+
+    await page.locator('#rendezvous-origin').selectOption({ label: 'Terra' });
+    await expect(page.locator('#trajectory-info-bar')).toContainText('Meeting: Ember + Terra');
+    await page.locator('#rendezvous-btn').click();
+    await expect(page.locator('#rendezvous-btn')).toHaveText('Stop');
+    await page.waitForFunction(() => transferState === 'none' && scheduledTransfers.length === 2,
+        null, { timeout: 240_000, polling: 250 });
+}
+
+test.describe('rendezvous', () => {
+    test('fleets from two bodies are scheduled to arrive together', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        const craft = { Ember: await g.craftAt('Ember') };
+        await meetAtGaia(g, page);
+        await g.shot('rendezvous-scheduled');
+
+        const plan = await page.evaluate(() => ({
+            tolerance: parseFloat(rendezvousToleranceSelect.value) / PREDICTION_DT,
+            launches: scheduledTransfers.map((t) => ({
+                from: t.sourceBody.name,
+                to: t.destBody.name,
+                group: t.rendezvous,
+                count: t.squadron.count,
+                arrival: t.squadron.launchFrame + t.squadron.insertionFrame,
+            })),
+        }));
+        expect(plan.launches.map((l) => l.from).sort()).toEqual(['Ember', 'Terra']);
+        expect(plan.launches.every((l) => l.to === 'Gaia')).toBe(true);
+        expect(plan.launches[0].group).toBeGreaterThan(0);
+        expect(plan.launches[1].group).toBe(plan.launches[0].group);
+        // Each sends everything it has
+        expect(plan.launches.find((l) => l.from === 'Ember').count).toBe(craft.Ember);
+        expect(await g.craftAt('Ember')).toBe(0);
+        const arrivals = plan.launches.map((l) => l.arrival);
+        expect(Math.max(...arrivals) - Math.min(...arrivals)).toBeLessThanOrEqual(plan.tolerance);
+
+        // The group is kept with the session
+        const saved = await page.evaluate(() => captureSession().scheduledTransfers.map((t) => t.rendezvous));
+        expect(saved).toEqual(plan.launches.map((l) => l.group));
+        g.assertNoPageErrors();
+    });
+
+    test('calling off one launch of the meeting calls off the rest', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await meetAtGaia(g, page);
+        const terra = await page.evaluate(() =>
+            scheduledTransfers.find((t) => t.sourceBody.name === 'Terra').squadron.count);
+
+        await page.evaluate(() => withdrawScheduledTransfer(scheduledTransfers[0].squadron));
+        expect(await page.evaluate(() => ({ scheduled: scheduledTransfers.length, squadrons: squadrons.length })))
+            .toEqual({ scheduled: 0, squadrons: 0 });
+        expect(await g.craftAt('Ember')).toBe(5);
+        expect(await g.craftAt('Terra')).toBe(terra);
+        g.assertNoPageErrors();
+    });
+});
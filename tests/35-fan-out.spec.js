@@ -0,0 +1,108 @@
+const { test, expect } = require('@playwright/test');
+const { SlingCraft } = require('./helpers');
+
+/**
+ * Fan-out: one body's fleet split between several destinations in a single plan. Dragging
+ * from the origin to another destination keeps the one on screen, with its own slider in
+ * the panel, and the sliders together never come to more than the origin can send. Launch
+ * sends every destination at once, or none.
+ */
+
+// Three to Terra, then drag on to Gaia with the rest
+async function splitToTerraAndGaia(g, page) {
+    await g.beginTransfer('Ember', 'Terra');
+    await g.waitForTrajectories();
+    await g.setSlider(3);
+    await g.beginTransfer('Ember', 'Gaia');
+    await expect.poll(() => page.evaluate(() => transferDestinationBody?.name)).toBe('Gaia');
+    await g.waitForTrajectories();
+}
+
+test.describe('fan-out', () => {
+    test('a second destination keeps the first, and Launch sends both', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        expect(await g.craftAt('Ember')).toBe(5);
+        await splitToTerraAndGaia(g, page);
+
+        const kept = page.locator('#fan-out-list .fan-out-branch');
+        await expect(kept).toHaveCount(1);
+        await expect(kept).toHaveAttribute('data-dest', 'Terra');
+        await expect(page.locator('.fan-out-route:visible')).toHaveCount(1);
+        // The rest of the fleet is what the slider on screen has to give
+        await expect(g.slider()).toHaveAttribute('max', '2');
+        await expect(g.slider()).toHaveValue('2');
+        await expect(kept.locator('.fan-out-qty')).toHaveAttribute('max', '3');
+        await g.shot('fan-out-planned');
+
+        // Asking for more on screen than is left is held to what is left
+        await g.setSlider(5);
+        await expect(g.slider()).toHaveValue('2');
+
+        await g.scheduleLaunch();
+        await page.waitForFunction(() => transferState === 'none' && scheduledTransfers.length === 2);
+        const launches = await page.evaluate(() => scheduledTransfers.map((t) => ({
+            to: t.destBody.name, count: t.squadron.count,
+        })).sort((a, b) => a.to.localeCompare(b.to)));
+        expect(launches).toEqual([{ to: 'Gaia', count: 2 }, { to: 'Terra', count: 3 }]);
+        expect(await g.craftAt('Ember')).toBe(0);
+        await expect(page.locator('#fan-out-list')).toBeHidden();
+        g.assertNoPageErrors();
+    });
+
+    test('a kept destination can be reopened and dropped', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await splitToTerraAndGaia(g, page);
+        const terraLaunch = await page.evaluate(() => fanOutBranches[0].launchFrame);
+
+        // Back to Terra: its number and route come back, and Gaia is kept in its place
+        await page.locator('.fan-out-branch[data-dest="Terra"] .fan-out-dest').click();
+        await g.waitForScan();
+        const reopened = await page.evaluate(() => ({
+            dest: transferDestinationBody.name,
+            count: parseInt(transferQtySlider.value, 10),
+            launchFrame: predictionBuffer.base + fanLaunchFrame,
+            kept: fanOutBranches.map((b) => [b.dest.name, b.count]),
+            keptRoute: fanOutBranches.length === 1 && !!fanOutBranches[0].entry,
+        }));
+        expect(reopened.dest).toBe('Terra');
+        expect(reopened.count).toBe(3);
+        expect(reopened.launchFrame).toBe(terraLaunch);
+        expect(reopened.kept).toEqual([['Gaia', 2]]);
+        expect(reopened.keptRoute).toBe(true);
+
+        // Dropped, Gaia gives its craft back to the one on screen
+        await page.locator('.fan-out-branch[data-dest="Gaia"] .fan-out-drop').click();
+        await expect(page.locator('#fan-out-list')).toBeHidden();
+        await expect(g.slider()).toHaveAttribute('max', '5');
+        g.assertNoPageErrors();
+    });
+
+    test('nothing is sent if any destination cannot go', async ({ page }, testInfo) => {
+        const g = new SlingCraft(page, testInfo);
+        await g.boot();
+        await g.waitForPropagation();
+        await splitToTerraAndGaia(g, page);
+
+        // Terra's launch moment goes by while Gaia is being planned
+        await page.evaluate(() => { fanOutBranches[0].launchFrame = predictionBuffer.base; });
+        await expect(page.locator('.fan-out-branch.missed')).toHaveCount(1);
+        await expect(page.locator('#schedule-launch-btn')).toBeDisabled();
+
+        // And not by going round the button either
+        const sent = await page.evaluate(() => {
+            const made = commitFanOut(highlightedFanEntry(), parseInt(transferQtySlider.value, 10));
+            return {
+                made,
+                scheduled: scheduledTransfers.length,
+                squadrons: squadrons.length,
+                ember: bodies.find((b) => b.name === 'Ember').craftCount,
+            };
+        });
+        expect(sent).toEqual({ made: null, scheduled: 0, squadrons: 0, ember: 5 });
+        g.assertNoPageErrors();
+    });
+});
@@ -256,6 +256,42 @@ class SlingCraft {
         );
     }
 
+    /**
+     * dragTouch() through a list of points, resting `restMs` on each one in between
+     * without lifting — which is how a stop is added to a transfer on the way.
+     */
+    async dragTouchThrough(points, { holdMs = 0, restMs = 600, steps = 14 } = {}) {
+        await this.page.evaluate(
+            async ({ points, hold, rest, steps }) => {
+                const svg = document.getElementById('game-svg');
+                const mk = (type, cx, cy) => {
+                    const touch = new Touch({ identifier: 1, target: svg, clientX: cx, clientY: cy });
+                    const list = type === 'touchend' ? [] : [touch];
+                    return new TouchEvent(type, {
+                        touches: list, targetTouches: list, changedTouches: [touch],
+                        bubbles: true, cancelable: true,
+                    });
+                };
+                const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+                svg.dispatchEvent(mk('touchstart', points[0].x, points[0].y));
+                if (hold) await wait(hold);
+                for (let p = 1; p < points.length; p++) {
+                    const a = points[p - 1];
+                    const b = points[p];
+                    for (let i = 1; i <= steps; i++) {
+                        svg.dispatchEvent(mk('touchmove', a.x + ((b.x - a.x) * i) / steps, a.y + ((b.y - a.y) * i) / steps));
+                        await wait(16);
+                    }
+                    if (p < points.length - 1) await wait(rest);
+                }
+                const last = points[points.length - 1];
+                svg.dispatchEvent(mk('touchend', last.x, last.y));
+            },
+            { points, hold: holdMs, rest: restMs, steps }
+        );
+    }
+
     /**
      * Drag with REAL touch events, delivered through the browser's own input
      * pipeline rather than dispatched at the SVG.
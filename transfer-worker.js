@@ -12,6 +12,27 @@
 // For each release angle the burn after escape is then tuned for the EARLIEST ARRIVAL
 // that still captures cleanly. See `optimizeBurn` for how those two goals are held in
 // one number.
+//
+// Every route reports the bodies it flies by on the way, and with a fly-by body set the
+// scan also tries, in each sector, the route that swings past that body first — see
+// "Fly-bys" below.
+//
+// Craft park in an orbit that goes round their body one way or the other, and spiral out
+// of it the same way; a scan can be asked to search either, or both — see "Which way
+// round" below.
+//
+// The stepping itself is integrators.js, the same file the page steps everything with,
+// and so is the pull of the bodies on a craft.
+// Which of its methods a scan uses comes in with the scan, never from here. With the
+// bodies on rails the worker is not sent a buffer at all, only the rails, and works out
+// each job's stretch of it from them — see "Bodies on rails" below.
+//
+// The buffer is a FrameRing (frames.js): one Float64Array, read a body at a time through
+// its offsets rather than as a list of objects. Where the page can share memory it is the
+// page's own ring, read in place; elsewhere it is this worker's copy, which the page keeps
+// current a few frames at a time. Either way a job names its launch by frame number, not
+// by index — see "The buffer for a job" below.
+importScripts('integrators.js', 'rails.js', 'frames.js', 'optimizers.js');
 
 // Physics constants (must match game.js)
 const G = 50.0;
@@ -20,23 +41,9 @@ const CRAFT_ACCELERATION = 2.5;
 const PREDICTION_DT = 0.1; // minutes
 const CRAFT_ORBITAL_ALTITUDE = 5;
 
-// The release circle is divided into this many sectors, and exactly one angle — the most
-// promising in that sector — is optimized from each.
-//
-// Sectors rather than a global ranking, and this is the difference between a fan and a
-// thicket. Ranking the whole circle and spending the budget on the best sixty angles
-// concentrates every one of them in the same narrow lobe, because release angles that
-// work are neighbours: it drew thirty-four routes that were all the same route, drawn
-// thirty-four times. Forcing one candidate per sector spends the same effort on options
-// the player can actually tell apart, and covers arcs a global ranking would never reach.
-//
-// It also fixes the cost of a scan at a constant, which is what makes re-scanning on
-// every move of the time wheel safe.
-//
-// Measured across six body pairs: 36 sectors gives a fan of 2-6 routes, 72 gives 3-11,
-// 120 gives 6-19 at twice the cost and starts producing neighbours too alike to tell
-// apart again. 72 is where the fan is worth dragging across.
-const ANGLE_SECTORS = 72;   // 5 degrees each
+// The release circle is divided into sectors, and one angle — the most promising in its
+// sector — is optimized from each. How many sectors, and which, is the page's to say with
+// each job: see "Refining the fan" in game.js for why the fan's are not one fixed number.
 
 // Below this, the craft was effectively already there and the "transfer" is a degenerate
 // one-point path. Guards the fan renderer rather than the physics.
@@ -44,7 +51,8 @@ const MIN_TRANSFER_FRAMES = 5;
 
 // Mean altitude error over the frames after closest approach that still counts as
 // captured. This is the feasibility line: inside it a trajectory is offered to the
-// player, outside it is discarded however early it arrives.
+// player, outside it is discarded however early it arrives. A scan may draw its own —
+// see "Arrival orbit" below — and this is the line when it does not.
 const POST_OPTIMIZATION_THRESHOLD = 5;
 
 // How long a transfer is allowed to take before we stop simulating it. Capping this is
@@ -57,21 +65,44 @@ const MAX_TRANSFER_FRAMES = Math.ceil(MAX_TRANSFER_MINUTES / PREDICTION_DT);
 // Longest burn the optimizer may ask for, in frames.
 const MAX_BURN_FRAMES = Math.ceil(10 / PREDICTION_DT);
 
+// A squadron already in flight has no orbit to escape, so where a parked one burns
+// along its orbit until clear of its body, a redirected one burns for this long in the direction
+// the scan is trying — its "release angle". Five minutes is enough to turn a cruise round
+// with the correction burn's help, and short enough that the fan still fans.
+const REDIRECT_BURN_FRAMES = Math.ceil(5 / PREDICTION_DT);
+
 // Worker state
-let predictionBuffer = null;
+let predictionBuffer = null;       // a FrameRing of BODY_FIELDS per body
+let sharedBuffer = false;          // true when that ring is the page's, in shared memory
 let bodiesMasses = null;
+// On rails, the fitted orbits and the rails frame of the page's buffer frame number 0; null
+// in the n-body mode
+let bodyRails = null;
+let railsFirstFrame = 0;
+// Which body each one orbits, and its sphere-of-influence factor — see "Fly-bys". Worked
+// out once per buffer, on init.
+let bodyPrimaries = null;
+let soiFactors = null;
+let starIndex = 0;
+// Every flight this worker has flown, for what a job reports it cost
+let flightsFlown = 0;
 
 // --- Simulation ----------------------------------------------------------------
 
 // Integrate one craft from `launchFrame`, released at `releaseAngle` around its source
-// body, optionally applying a burn of `burnDur` frames at angle `burnAng` starting
-// `burnStart` frames after release.
+// body going round it the way `params.orbitalDirection` says, optionally applying a burn
+// of `burnDur` frames at angle `burnAng` starting `burnStart` frames after release.
+//
+// A redirect (`params.startState` set) starts instead from that free-flying state, and
+// spends its first REDIRECT_BURN_FRAMES burning along `releaseAngle`.
 //
 // Returns the flight plus its closest approach to the destination. Bails out early once
 // the craft has plainly captured and left again — with earliest arrival as the goal
 // there is nothing to gain from watching it recede, and the saving compounds across the
-// hundreds of integrations the optimizer runs per angle.
-function simulateFlight(params, releaseAngle, burnStart, burnDur, burnAng) {
+// hundreds of integrations the optimizer runs per angle. `horizon` cuts it shorter still,
+// for a caller that only wants the start of the flight.
+function simulateFlight(params, releaseAngle, burnStart, burnDur, burnAng, horizon = MAX_TRANSFER_FRAMES) {
+    flightsFlown++;
     const {
         launchFrame, sourceBodyIndex, destBodyIndex, destBodyRadius,
         orbitRadius, orbitalSpeed, escapeVelocity, orbitalDirection
@@ -79,54 +110,84 @@ function simulateFlight(params, releaseAngle, burnStart, burnDur, burnAng) {
 
     if (launchFrame >= predictionBuffer.length) return null;
 
-    const bodyState = predictionBuffer[launchFrame][sourceBodyIndex];
-
-    let x = bodyState.x + orbitRadius * Math.cos(releaseAngle);
-    let y = bodyState.y + orbitRadius * Math.sin(releaseAngle);
-    let vx = bodyState.vx - orbitalDirection * orbitalSpeed * Math.sin(releaseAngle);
-    let vy = bodyState.vy + orbitalDirection * orbitalSpeed * Math.cos(releaseAngle);
+    const startState = params.startState;
+    let x, y, vx, vy;
+    if (startState) {
+        ({ x, y, vx, vy } = startState);
+    } else {
+        const bodyState = predictionBuffer.state(launchFrame, sourceBodyIndex);
+        x = bodyState.x + orbitRadius * Math.cos(releaseAngle);
+        y = bodyState.y + orbitRadius * Math.sin(releaseAngle);
+        vx = bodyState.vx - orbitalDirection * orbitalSpeed * Math.sin(releaseAngle);
+        vy = bodyState.vy + orbitalDirection * orbitalSpeed * Math.cos(releaseAngle);
+    }
     let isAccelerating = true;
 
-    const idealDistance = destBodyRadius + CRAFT_ORBITAL_ALTITUDE;
-    const captureDistance = idealDistance + POST_OPTIMIZATION_THRESHOLD;
+    const idealDistance = destBodyRadius + arrivalAltitudeOf(params);
+    const captureDistance = idealDistance + captureToleranceOf(params);
 
-    const lastFrame = Math.min(predictionBuffer.length, launchFrame + MAX_TRANSFER_FRAMES);
+    const lastFrame = Math.min(predictionBuffer.length, launchFrame + horizon);
     const states = [];
     const distances = [];
+    // How far the craft is, frame by frame, from passing the fly-by body the way a fly-by
+    // should: inside its sphere of influence, but no lower than a parking orbit — nothing
+    // here models hitting the surface, so the floor has to be asked for. Zero or less is a
+    // fly-by. Only tracked when the scan is looking for one.
+    const flybyIndex = params.flybyBodyIndex >= 0 ? params.flybyBodyIndex : -1;
+    const flybyFloor = flybyIndex >= 0 ? params.flybyBodyRadius + CRAFT_ORBITAL_ALTITUDE : 0;
+    const flybyExcess = flybyIndex >= 0 ? [] : null;
+    // Frames of thrust so far, escape and burn alike, frame by frame — what the flight has
+    // spent by any moment, so it can be read off at arrival. See "Fuel" below.
+    const thrust = [];
+    let thrustFrames = 0;
 
     let minDistance = Infinity;
     let insertionOffset = 0;
 
+    // The craft, moved on in place each frame, and what pushes it: gravity from the bodies
+    // as they are `tau` of the way through the frame, plus the frame's thrust
+    const craft = { x, y, vx, vy };
+    const integrator = params.integrator;
+    const bodies = predictionBuffer.data;
+    const field = { data: bodies, masses: bodiesMasses, g: G, minDistance: MIN_DISTANCE };
+    let here = 0;                  // offsets of this frame and the next in `bodies`
+    let next = 0;
+    let tx = 0;
+    let ty = 0;
+    const accelerate = (cx, cy, tau, out) => {
+        craftGravity(field, here, next, tau, cx, cy, out);
+        out.ax += tx;
+        out.ay += ty;
+    };
+
     for (let frame = launchFrame; frame < lastFrame; frame++) {
         const offset = frame - launchFrame;
-        const bodyStates = predictionBuffer[frame];
-
-        let ax = 0;
-        let ay = 0;
+        here = predictionBuffer.offset(frame);
+        next = predictionBuffer.offset(Math.min(frame + 1, predictionBuffer.length - 1));
+        tx = 0;
+        ty = 0;
 
-        for (let i = 0; i < bodyStates.length; i++) {
-            const s = bodyStates[i];
-            const dx = s.x - x;
-            const dy = s.y - y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            const safeDist = Math.max(dist, MIN_DISTANCE);
-            const acceleration = G * bodiesMasses[i] / (safeDist * safeDist);
-            ax += acceleration * (dx / dist);
-            ay += acceleration * (dy / dist);
-        }
-
-        // Prograde burn out of the source orbit, until clear of it
-        if (isAccelerating) {
-            const src = bodyStates[sourceBodyIndex];
-            const dx = x - src.x;
-            const dy = y - src.y;
+        if (startState) {
+            // A redirect's departure burn, straight along the angle being tried
+            isAccelerating = offset < REDIRECT_BURN_FRAMES;
+            if (isAccelerating) {
+                tx += CRAFT_ACCELERATION * Math.cos(releaseAngle);
+                ty += CRAFT_ACCELERATION * Math.sin(releaseAngle);
+                thrustFrames++;
+            }
+        } else if (isAccelerating) {
+            // Along the parking orbit, whichever way it goes, until clear of it
+            const src = here + sourceBodyIndex * BODY_FIELDS;
+            const dx = x - bodies[src];
+            const dy = y - bodies[src + 1];
             const dist = Math.sqrt(dx * dx + dy * dy);
 
-            ax += CRAFT_ACCELERATION * (-orbitalDirection * dy / dist);
-            ay += CRAFT_ACCELERATION * (orbitalDirection * dx / dist);
+            tx += CRAFT_ACCELERATION * (-orbitalDirection * dy / dist);
+            ty += CRAFT_ACCELERATION * (orbitalDirection * dx / dist);
+            thrustFrames++;
 
-            const relVx = vx - src.vx;
-            const relVy = vy - src.vy;
+            const relVx = vx - bodies[src + 2];
+            const relVy = vy - bodies[src + 3];
             if (Math.sqrt(relVx * relVx + relVy * relVy) >= 1.1 * escapeVelocity) {
                 isAccelerating = false;
             }
@@ -134,20 +195,21 @@ function simulateFlight(params, releaseAngle, burnStart, burnDur, burnAng) {
 
         // The tunable burn
         if (offset >= burnStart && offset < burnStart + burnDur) {
-            ax += CRAFT_ACCELERATION * Math.cos(burnAng);
-            ay += CRAFT_ACCELERATION * Math.sin(burnAng);
+            tx += CRAFT_ACCELERATION * Math.cos(burnAng);
+            ty += CRAFT_ACCELERATION * Math.sin(burnAng);
+            thrustFrames++;
         }
+        thrust.push(thrustFrames);
 
-        vx += ax * PREDICTION_DT;
-        vy += ay * PREDICTION_DT;
-        x += vx * PREDICTION_DT;
-        y += vy * PREDICTION_DT;
+        stepCraft(integrator, craft, PREDICTION_DT, accelerate,
+            craftSubsteps(PREDICTION_DT, encounterTimescale(field, here, x, y, vx, vy, Math.hypot(tx, ty))));
+        ({ x, y, vx, vy } = craft);
 
         states.push({ x, y, vx, vy, isAccelerating });
 
-        const dest = bodyStates[destBodyIndex];
-        const ddx = x - dest.x;
-        const ddy = y - dest.y;
+        const dest = here + destBodyIndex * BODY_FIELDS;
+        const ddx = x - bodies[dest];
+        const ddy = y - bodies[dest + 1];
         const dist = Math.sqrt(ddx * ddx + ddy * ddy);
         distances.push(dist);
 
@@ -156,6 +218,12 @@ function simulateFlight(params, releaseAngle, burnStart, burnDur, burnAng) {
             insertionOffset = offset;
         }
 
+        if (flybyExcess) {
+            const fb = here + flybyIndex * BODY_FIELDS;
+            const d = Math.hypot(x - bodies[fb], y - bodies[fb + 1]);
+            flybyExcess.push(Math.max(d - sphereOfInfluence(frame, flybyIndex), flybyFloor - d));
+        }
+
         // Captured and now well clear again: the arrival we were looking for has already
         // happened, so stop paying for the departure. Never cut in before the witness
         // window has been filled, or the saving would manufacture exactly the phantom
@@ -169,7 +237,58 @@ function simulateFlight(params, releaseAngle, burnStart, burnDur, burnAng) {
 
     if (states.length === 0) return null;
 
-    return { states, distances, minDistance, insertionOffset, idealDistance };
+    // Only a fly-by on the way counts: passing the body after arriving is no assist
+    let flybyMiss = 0;
+    let flybyOffset = -1;
+    if (flybyExcess) {
+        flybyMiss = Infinity;
+        const until = Math.min(flybyExcess.length - 1, insertionOffset);
+        for (let k = 0; k <= until; k++) {
+            if (flybyExcess[k] < flybyMiss) {
+                flybyMiss = flybyExcess[k];
+                flybyOffset = k;
+            }
+        }
+    }
+
+    // Spent by arrival; anything the burn would have gone on doing after it never happens
+    const deltaV = thrust[Math.min(insertionOffset, thrust.length - 1)] * CRAFT_ACCELERATION * PREDICTION_DT;
+
+    return {
+        states, distances, minDistance, insertionOffset, idealDistance,
+        flybyMiss, flybyOffset, flybyExcess, deltaV,
+    };
+}
+
+// --- Arrival orbit ---------------------------------------------------------------
+//
+// Every arrival used to aim for the same parking orbit, CRAFT_ORBITAL_ALTITUDE up, and be
+// held to the same POST_OPTIMIZATION_THRESHOLD, so every capture looked alike. A scan may
+// now say what it is after:
+//
+//   arrivalAltitude   how high above the destination's surface to park. Low suits a moon,
+//                     whose sphere of influence has little room above it; high suits a
+//                     big planet, where a wide orbit is quicker to fall into.
+//   captureTolerance  how far the craft may wander from that height, on average over the
+//                     witness frames, and still be caught — the feasibility line itself.
+//                     Tight asks for an orbit that is nearly circular at the height asked;
+//                     loose takes anything the body will hold on to.
+//
+// Both fall back to the constants when a scan leaves them out. The flight aims at the
+// height (its `idealDistance`), so captureError measures against it with no more said;
+// the tolerance is what objective and tuneRoute hold that error to. Every route reports
+// the altitude it actually settled at, which is seldom quite the one asked.
+//
+// A tight low orbit is dear and rare; a loose high one is there for the taking, and much
+// sooner, Gaia's most of all. "Arrive" on the page sets both, so the same moment can be
+// scanned each way and the fans put side by side.
+
+function arrivalAltitudeOf(params) {
+    return params.arrivalAltitude > 0 ? params.arrivalAltitude : CRAFT_ORBITAL_ALTITUDE;
+}
+
+function captureToleranceOf(params) {
+    return params.captureTolerance > 0 ? params.captureTolerance : POST_OPTIMIZATION_THRESHOLD;
 }
 
 // Frames after closest approach that must be inspected before we will call it a capture.
@@ -197,6 +316,16 @@ function captureError(flight) {
     return total / CAPTURE_WITNESS_FRAMES;
 }
 
+// The height above the destination's surface a captured flight settled at: its mean
+// distance over the same witness frames, less the body's radius
+function achievedAltitude(flight, params) {
+    let total = 0;
+    for (let i = flight.insertionOffset; i < flight.insertionOffset + CAPTURE_WITNESS_FRAMES; i++) {
+        total += flight.distances[i];
+    }
+    return total / CAPTURE_WITNESS_FRAMES - params.destBodyRadius;
+}
+
 // --- Optimization --------------------------------------------------------------
 
 // Weight on infeasibility, in frames per unit of altitude error. Large enough that any
@@ -210,15 +339,69 @@ const FEASIBILITY_WEIGHT = 500;
 // descent a gradient to follow when arrival — an integer count of frames — goes flat.
 const QUALITY_WEIGHT = 0.05;
 
-function objective(flight) {
+// Fuel. Burns used to be free, and with arrival the only thing scored the descent would
+// happily burn the whole MAX_BURN_FRAMES to save a frame. Every flight now counts what it
+// spends — `deltaV`, acceleration times thrusting time, the escape included — and a scan
+// may ask for it to matter in two ways:
+//
+//   deltaVWeight  frames of arrival one unit of delta-v is worth. Zero is the old search;
+//                 raise it and a slower route that burns less starts to win.
+//   deltaVCap     the most a route may spend at all: the squadron's budget, or less if the
+//                 player says so. A feasibility line like capture, weighted the same way.
+function objective(flight, params) {
     if (!flight) return Infinity;
     const error = captureError(flight);
     if (error === Infinity) return Infinity;
 
-    const excess = Math.max(0, error - POST_OPTIMIZATION_THRESHOLD);
-    return flight.insertionOffset
-        + FEASIBILITY_WEIGHT * excess
-        + QUALITY_WEIGHT * Math.min(error, POST_OPTIMIZATION_THRESHOLD);
+    const tolerance = captureToleranceOf(params);
+    const excess = Math.max(0, error - tolerance);
+    // A fly-by being searched for is a second feasibility line, held the same way: distance
+    // off a proper pass of the body costs like altitude error does.
+    const flybyShort = Math.max(0, flight.flybyMiss);
+    const overBudget = Math.max(0, flight.deltaV - deltaVCapOf(params));
+    const outsideWindow = windowMiss(params, flight.insertionOffset) * PREDICTION_DT;
+    return arrivalRank(params, flight.insertionOffset)
+        + FEASIBILITY_WEIGHT * (excess + flybyShort + overBudget + outsideWindow)
+        + QUALITY_WEIGHT * Math.min(error, tolerance)
+        + (params.deltaVWeight || 0) * flight.deltaV;
+}
+
+function deltaVCapOf(params) {
+    return params.deltaVCap >= 0 ? params.deltaVCap : Infinity;
+}
+
+// --- Arrival window ---------------------------------------------------------------
+//
+// Sooner is not always better: a fleet sent to meet another has to get there no earlier
+// than one moment and no later than another. A scan may give either bound or both, in
+// frames after its launch, and a preferred arrival to aim for between them:
+//
+//   arriveAfter   no route arrives before this. A feasibility line like the budget, a
+//   arriveBefore  minute outside costing what a unit of altitude error does; a route the
+//                 optimizer cannot bring inside is never offered.
+//   arriveAt      what arrival is scored by: how far from this, rather than how soon. Left
+//                 out, routes are the earliest they can be, as ever.
+//
+// The Lambert seed only proposes arcs arriving inside the window, so a sector is seeded
+// towards it from the start; and "fast", for the ends of a sector, means nearest arriveAt.
+//
+// What a window does to a fan is leave every route inside it, bunched towards arriveAt. A
+// window the pair cannot make leaves the fan empty rather than bending the rules —
+// launching at frame 1000, nothing reaches Terra from Ember within 250 frames, so a
+// window that closes then has nothing in it — and one only the odd route can make, as
+// Luna three to six minutes out of Terra, where most routes are there in under one,
+// leaves a fan of one or two.
+
+// How many frames outside the window arriving `offset` frames after launch is
+function windowMiss(params, offset) {
+    if (params.arriveAfter !== undefined && offset < params.arriveAfter) return params.arriveAfter - offset;
+    if (params.arriveBefore !== undefined && offset > params.arriveBefore) return offset - params.arriveBefore;
+    return 0;
+}
+
+// Arrival as the objective scores it, in frames: how late, or how far from arriveAt
+function arrivalRank(params, offset) {
+    return params.arriveAt !== undefined ? Math.abs(offset - params.arriveAt) : offset;
 }
 
 // Tune the post-escape burn for the earliest arrival that still captures.
@@ -228,73 +411,364 @@ function objective(flight) {
 // a fine guess and nothing more; here it is only the seed. Freeing it is what lets the
 // optimizer trade a slightly earlier, longer burn for an arrival a few minutes sooner.
 //
-// Coordinate descent, coarse to fine. The schedule matters more than the method: the old
-// optimizer stepped the angle by a fixed 0.1 degrees and needed thousands of integrations
-// to cross a degree, where halving from 8 degrees reaches the same precision in tens.
-function optimizeBurn(params, releaseAngle, seedInsertion) {
+// The search itself is whichever of optimizers.js the scan names — coordinate descent,
+// coarse to fine, unless it says otherwise. Each is handed the burn as three numbers and a
+// way to score them, and the step schedule here says how coarse to begin and how fine it
+// is worth going along each.
+//
+// A fly-by route passes `seedStart`: the burn is seeded just after the swing instead, aimed
+// straight at the destination, since what it has to do there is turn the craft in. A route
+// seeded by its Lambert arc passes the whole burn, `seedBurn` — see "Lambert seeding".
+function optimizeBurn(params, releaseAngle, seedInsertion, seedStart = -1, seedBurn = null) {
     // Retrograde at the seed point is the burn that slows you into an orbit, which is the
     // right guess often enough to save the descent a lot of wandering.
-    let start = Math.max(1, Math.floor(seedInsertion * 2 / 3));
+    let start = seedStart >= 0 ? seedStart : Math.max(1, Math.floor(seedInsertion * 2 / 3));
     let dur = 1;
+    let ang = 0;
 
-    const seed = simulateFlight(params, releaseAngle, start, 0, 0);
-    if (!seed) return null;
-    const at = seed.states[Math.min(start, seed.states.length - 1)];
-    let ang = Math.atan2(at.vy, at.vx) + Math.PI;
-
-    let best = simulateFlight(params, releaseAngle, start, dur, ang);
-    let bestScore = objective(best);
+    if (seedBurn) {
+        ({ start, duration: dur, angle: ang } = seedBurn);
+    } else {
+        const seed = simulateFlight(params, releaseAngle, start, 0, 0);
+        if (!seed) return null;
+        const at = seed.states[Math.min(start, seed.states.length - 1)];
+        ang = Math.atan2(at.vy, at.vx) + Math.PI;
+        if (seedStart >= 0) {
+            const dest = predictionBuffer.state(Math.min(params.launchFrame + start, predictionBuffer.length - 1), params.destBodyIndex);
+            ang = Math.atan2(dest.y - at.y, dest.x - at.x);
+        }
+    }
 
-    // (angle step in radians, duration step in frames, burn-start step in frames)
-    const SCHEDULE = [
-        [8 * Math.PI / 180, 16, 64],
-        [2 * Math.PI / 180, 4, 16],
-        [0.5 * Math.PI / 180, 1, 4],
-        [0.1 * Math.PI / 180, 1, 1],
+    // The burn as [angle, duration, start]. Duration and start are whole frames, so a
+    // point between them is rounded before it is flown; each point is flown once.
+    const maxStart = Math.max(1, Math.min(seedInsertion * 2, MAX_TRANSFER_FRAMES - 1));
+    const space = [
+        { lo: -Infinity, hi: Infinity, steps: [8, 2, 0.5, 0.1].map((deg) => deg * Math.PI / 180) },
+        { lo: 0, hi: MAX_BURN_FRAMES, steps: [16, 4, 1, 1] },
+        { lo: 0, hi: maxStart, steps: [64, 16, 4, 1] },
     ];
+    let best = null;
+    let bestScore = Infinity;
+    const flown = new Map();
+    const evaluate = ([a, d, s]) => {
+        const trial = [a, Math.round(clampTo(space[1], d)), Math.round(clampTo(space[2], s))];
+        const key = trial.join();
+        if (flown.has(key)) return flown.get(key);
+        const flight = simulateFlight(params, releaseAngle, trial[2], trial[1], trial[0]);
+        const score = objective(flight, params);
+        flown.set(key, score);
+        if (score < bestScore || !best) {
+            best = flight;
+            bestScore = score;
+            [ang, dur, start] = trial;
+        }
+        return score;
+    };
+    minimize(params.optimizer || DEFAULT_OPTIMIZER, evaluate, [ang, dur, start], space);
 
-    const maxStart = Math.max(1, Math.min(seedInsertion * 2, MAX_TRANSFER_FRAMES - 1));
+    if (!best) return null;
+    return { flight: best, burnStart: start, burnDuration: dur, burnAngle: ang, error: captureError(best) };
+}
 
-    for (const [angStep, durStep, startStep] of SCHEDULE) {
-        let improved = true;
-        let guard = 0;
-        while (improved && guard++ < 200) {
-            improved = false;
-
-            for (const d of [-angStep, angStep]) {
-                const trial = simulateFlight(params, releaseAngle, start, dur, ang + d);
-                const score = objective(trial);
-                if (score < bestScore) {
-                    bestScore = score; ang += d; best = trial; improved = true;
-                }
-            }
+// --- Fly-bys -------------------------------------------------------------------
+//
+// Every flight is integrated through the whole field, so a route that happens to swing
+// past a third body already gets that body's pull — the search just never went looking
+// for one. This section is how it does, and how a route says what it flew by.
+//
+// "Flew by" means passed through the body's sphere of influence, the patched-conic radius
+// inside which its own gravity is the thing steering the craft: a·(m/M)^(2/5), a the
+// distance to whatever it orbits and M that body's mass. A moon's is measured against its
+// planet rather than the star, or Luna would claim every departure from Terra.
+//
+// What a fly-by is worth is the change it makes to the craft's orbital energy about the
+// star, from going in to coming out — positive flung outward, negative slowed inward. The
+// burn can be running during the swing, so it is the change across the encounter and not
+// the body's share of it alone.
 
-            for (const d of [-durStep, durStep]) {
-                const testDur = Math.max(0, Math.min(MAX_BURN_FRAMES, dur + d));
-                if (testDur === dur) continue;
-                const trial = simulateFlight(params, releaseAngle, start, testDur, ang);
-                const score = objective(trial);
-                if (score < bestScore) {
-                    bestScore = score; dur = testDur; best = trial; improved = true;
-                }
-            }
+// Which body each one orbits — the heavier neighbour pulling hardest on it, in the first
+// frame of the buffer (see bodyPrimaryIndices in rails.js) — and the factor that turns
+// distance to it into a sphere of influence. The star orbits nothing and has neither.
+function initFlybyTables() {
+    const first = bodyRails
+        ? railsStatesAt(bodyRails, railsFirstFrame * PREDICTION_DT)
+        : predictionBuffer.states(0);
+    const n = bodiesMasses.length;
+    starIndex = 0;
+    for (let i = 1; i < n; i++) if (bodiesMasses[i] > bodiesMasses[starIndex]) starIndex = i;
 
-            for (const d of [-startStep, startStep]) {
-                const testStart = Math.max(0, Math.min(maxStart, start + d));
-                if (testStart === start) continue;
-                const trial = simulateFlight(params, releaseAngle, testStart, dur, ang);
-                const score = objective(trial);
-                if (score < bestScore) {
-                    bestScore = score; start = testStart; best = trial; improved = true;
+    bodyPrimaries = bodyPrimaryIndices(first, bodiesMasses, MIN_DISTANCE);
+    soiFactors = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+        if (bodyPrimaries[i] >= 0) {
+            soiFactors[i] = Math.pow(bodiesMasses[i] / bodiesMasses[bodyPrimaries[i]], 0.4);
+        }
+    }
+}
+
+// Body i's sphere of influence at buffer frame `frame`
+function sphereOfInfluence(frame, i) {
+    const p = bodyPrimaries[i];
+    if (p < 0) return 0;
+    const a = Math.hypot(predictionBuffer.x(frame, i) - predictionBuffer.x(frame, p),
+        predictionBuffer.y(frame, i) - predictionBuffer.y(frame, p));
+    return a * soiFactors[i];
+}
+
+// Specific orbital energy about the star of a craft in `state`, at buffer frame `frame`.
+function starOrbitalEnergy(state, frame) {
+    const star = predictionBuffer.state(frame, starIndex);
+    const rvx = state.vx - star.vx;
+    const rvy = state.vy - star.vy;
+    const r = Math.max(Math.hypot(state.x - star.x, state.y - star.y), MIN_DISTANCE);
+    return (rvx * rvx + rvy * rvy) / 2 - G * bodiesMasses[starIndex] / r;
+}
+
+// The bodies a flight of `states`, leaving at params.launchFrame, passes on the way, in
+// the order it reaches them. Neither end of the trip counts, and neither does the star.
+function flybysOf(params, states) {
+    const passes = [];
+    for (let i = 0; i < bodiesMasses.length; i++) {
+        if (i === params.sourceBodyIndex || i === params.destBodyIndex || bodyPrimaries[i] < 0) continue;
+
+        let enteredAt = -1;
+        let closest = Infinity;
+        let closestAt = -1;
+        const close = (leftAt) => {
+            passes.push({
+                bodyIndex: i,
+                offset: closestAt,
+                distance: closest,
+                energyGain: starOrbitalEnergy(states[leftAt], params.launchFrame + leftAt) -
+                    starOrbitalEnergy(states[enteredAt], params.launchFrame + enteredAt),
+            });
+            enteredAt = -1;
+            closest = Infinity;
+        };
+
+        for (let k = 0; k < states.length; k++) {
+            const frame = params.launchFrame + k;
+            const d = Math.hypot(states[k].x - predictionBuffer.x(frame, i),
+                states[k].y - predictionBuffer.y(frame, i));
+            if (d < sphereOfInfluence(frame, i)) {
+                if (enteredAt < 0) enteredAt = k;
+                if (d < closest) {
+                    closest = d;
+                    closestAt = k;
                 }
+            } else if (enteredAt >= 0) {
+                close(k);
             }
         }
+        if (enteredAt >= 0) close(states.length - 1);
+    }
+    return passes.sort((a, b) => a.offset - b.offset);
+}
+
+// --- Lambert seeding ---------------------------------------------------------------
+//
+// The cheap pass used to find each sector's seed by flying every sampled release angle
+// out to MAX_TRANSFER_FRAMES with no burn and seeing how close it came — two thousand
+// frames of the whole field per angle, most of it spent watching a craft coast away from
+// a destination it was never going to meet. Then the burn was seeded retrograde at two
+// thirds of the way, a guess that knows nothing about where the destination is.
+//
+// Lambert's problem answers both directly. Between two points about the
+// star and a time to get from one to the other there is one conic arc, and it says what
+// velocity to leave the first point with. So each release angle is flown only until it is
+// clear of its source body — the escape is where the field matters most, and it is short
+// — and from there the arc to where the destination will be is worked out for a spread of
+// arrival times. How far the craft's own velocity is from the arc's is what that angle
+// needs of the burn; the arrival time it is cheapest for is the seed, and so is the burn
+// itself, started where the arc takes over and pointed at the difference.
+//
+// The arc knows only the star, so it is a guide and not an answer: everything after it is
+// still the same integration through every body, tuned by the same descent. But it is a
+// good enough guide to say when an angle has no route in it at all — when even its
+// cheapest arc needs well over what the burn and the budget have to give — and a sector
+// none of whose angles has one is then not tuned.
+//
+// The cheap pass itself is a seventh of the integration it was — three hundred frames an
+// angle at most instead of two thousand — but the tuning that follows is most of a scan,
+// and it is one tuning a sector either way. What seeding saves is the sectors it rules
+// out. Over every pair of Sol at a few moments, at the launch-window strip's resolution,
+// that came to about a tenth fewer flights than the old sweep (?seeding=sweep on the
+// page), and a pair with nothing in reach is known to have nothing at once. It does not
+// find the same routes: more of them in all, but the sweep still finds some the arc
+// misses — ones that owe their speed, or their capture, to a body the star-only arc
+// cannot see — and about a third of those scans came up with fewer routes or a later
+// soonest than the sweep's. Tuning the sweep's angle beside the arc's wins those back,
+// but only for twice the tuning in every sector, which is the opposite of the point.
+//
+// A fly-by search keeps the old cheap pass: it is looking for the angle that coasts past a
+// third body, which a two-point arc cannot see.
+
+// How far past the end of the escape burn a release is flown before the arc takes over,
+// at most — it takes over as soon as the craft leaves its source's sphere of influence.
+const LAMBERT_ESCAPE_FRAMES = 300;
+
+// Between the arrival times each release angle's arcs are worked out for
+const LAMBERT_ARRIVAL_STEP = 25;
+
+// How far over what the burn has to give an angle's arc may be and the angle still be
+// tuned. The burn can give MAX_BURN_FRAMES of acceleration, or what the budget has left
+// after the escape, whichever is less; the slack is for the arc being only the star's view
+// of a field with other bodies in it.
+const LAMBERT_SLACK = 1.25;
+
+// Stumpff functions, c2 and c3, of the universal anomaly's square
+function stumpffC(z) {
+    if (z > 1e-6) return (1 - Math.cos(Math.sqrt(z))) / z;
+    if (z < -1e-6) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+    return 1 / 2 - z / 24;
+}
+
+function stumpffS(z) {
+    if (z > 1e-6) {
+        const r = Math.sqrt(z);
+        return (r - Math.sin(r)) / (r * r * r);
+    }
+    if (z < -1e-6) {
+        const r = Math.sqrt(-z);
+        return (Math.sinh(r) - r) / (r * r * r);
+    }
+    return 1 / 6 - z / 120;
+}
+
+// The arc about a body of gravitational parameter `mu` from (r1x, r1y) to (r2x, r2y), both
+// relative to it, taking `time` and going round the way `sense` says (+1 the way the angles
+// run). Returns the velocities at either end, { v1x, v1y, v2x, v2y }, or null when there is
+// no single-revolution arc. Universal variables, bisecting on z: the time of flight only
+// grows with it, so the bisection cannot wander.
+function lambertArc(r1x, r1y, r2x, r2y, time, mu, sense) {
+    const r1 = Math.hypot(r1x, r1y);
+    const r2 = Math.hypot(r2x, r2y);
+    let theta = Math.atan2(sense * (r1x * r2y - r1y * r2x), r1x * r2x + r1y * r2y);
+    if (theta < 0) theta += 2 * Math.PI;
+    const oneMinusCos = 1 - Math.cos(theta);
+    if (oneMinusCos < 1e-9 || time <= 0) return null;
+    const A = Math.sin(theta) * Math.sqrt(r1 * r2 / oneMinusCos);
+
+    const yOf = (z) => r1 + r2 + A * (z * stumpffS(z) - 1) / Math.sqrt(stumpffC(z));
+    let lo = -4 * Math.PI * Math.PI;
+    let hi = 4 * Math.PI * Math.PI;
+    let z = 0;
+    let y = 0;
+    for (let k = 0; k < 80; k++) {
+        z = (lo + hi) / 2;
+        y = yOf(z);
+        if (y < 0) {
+            lo = z;
+            continue;
+        }
+        const x = Math.sqrt(y / stumpffC(z));
+        const t = (x * x * x * stumpffS(z) + A * Math.sqrt(y)) / Math.sqrt(mu);
+        if (t < time) lo = z;
+        else hi = z;
     }
+    if (!(y > 0) || hi - lo > 1e-6 * (1 + Math.abs(z))) return null;
+
+    const f = 1 - y / r1;
+    const g = A * Math.sqrt(y / mu);
+    const gDot = 1 - y / r2;
+    return {
+        v1x: (r2x - f * r1x) / g,
+        v1y: (r2y - f * r1y) / g,
+        v2x: (gDot * r2x - r1x) / g,
+        v2y: (gDot * r2y - r1y) / g,
+    };
+}
+
+// What the arc makes of releasing at `releaseAngle`: the delta-v it takes to get onto the
+// best arc to the destination, and the seeds for tuning it there — the arc's arrival
+// offset and a burn { start, duration, angle } onto it — or null if the release never
+// clears its source in the time allowed.
+//
+// Only the getting on is costed. Stopping at the other end looks expensive by the arc,
+// but what counts as arriving here is reaching the right height and holding it for a
+// while, and the field does much of that: routes the arc says need ten to stop capture on
+// a burn of one.
+function lambertSeed(params, releaseAngle) {
+    const escape = simulateFlight(params, releaseAngle, 0, 0, 0, LAMBERT_ESCAPE_FRAMES);
+    if (!escape) return null;
+    const states = escape.states;
 
+    // Where the arc takes over: out of the escape burn and out of the source's sphere
+    // of influence, or as far as the escape was flown
+    let k = 0;
+    while (k < states.length && states[k].isAccelerating) k++;
+    const source = params.sourceBodyIndex;
+    while (source >= 0 && k < states.length - 1) {
+        const frame = params.launchFrame + k + 1;
+        const d = Math.hypot(states[k].x - predictionBuffer.x(frame, source),
+            states[k].y - predictionBuffer.y(frame, source));
+        if (d > sphereOfInfluence(frame, source)) break;
+        k++;
+    }
+    if (k >= states.length) return null;
+    const from = states[k];
+    const fromOffset = k + 1;
+    const spent = states.slice(0, fromOffset).filter((st) => st.isAccelerating).length *
+        CRAFT_ACCELERATION * PREDICTION_DT;
+
+    const mu = G * bodiesMasses[starIndex];
+    const star = predictionBuffer.state(params.launchFrame + fromOffset, starIndex);
+    const rx = from.x - star.x;
+    const ry = from.y - star.y;
+    const vx = from.vx - star.vx;
+    const vy = from.vy - star.vy;
+    // Round the star the way the craft is already going
+    const sense = rx * vy - ry * vx < 0 ? -1 : 1;
+
+    const available = Math.min(MAX_BURN_FRAMES * CRAFT_ACCELERATION * PREDICTION_DT,
+        deltaVCapOf(params) - spent);
+
+    const dest = params.destBodyIndex;
+    const last = Math.min(MAX_TRANSFER_FRAMES, predictionBuffer.length - 1 - params.launchFrame);
+    let best = null;
+    for (let arrival = fromOffset + LAMBERT_ARRIVAL_STEP; arrival <= last; arrival += LAMBERT_ARRIVAL_STEP) {
+        const frame = params.launchFrame + arrival;
+        const at = predictionBuffer.state(frame, starIndex);
+        const to = predictionBuffer.state(frame, dest);
+        if (windowMiss(params, arrival) > 0) continue;
+        const arc = lambertArc(rx, ry, to.x - at.x, to.y - at.y, (arrival - fromOffset) * PREDICTION_DT, mu, sense);
+        if (!arc) continue;
+        const dvx = arc.v1x - vx;
+        const dvy = arc.v1y - vy;
+        const cost = Math.hypot(dvx, dvy);
+        if (!best || cost < best.cost) best = { cost, arrivalOffset: arrival, angle: Math.atan2(dvy, dvx) };
+    }
     if (!best) return null;
-    return { flight: best, burnStart: start, burnDuration: dur, burnAngle: ang, error: captureError(best) };
+
+    const duration = Math.round(best.cost / (CRAFT_ACCELERATION * PREDICTION_DT));
+    return {
+        cost: best.cost,
+        plausible: best.cost <= LAMBERT_SLACK * available,
+        arrivalOffset: best.arrivalOffset,
+        burn: { start: fromOffset, duration: Math.max(1, Math.min(MAX_BURN_FRAMES, duration)), angle: best.angle },
+    };
 }
 
+// --- Which way round ------------------------------------------------------------
+//
+// A parked craft goes round its body one way or the other, and its escape spirals out the
+// same way, thrusting along the orbit until it is clear. The page used to send every scan
+// prograde, on the grounds that the release angle already covers every direction there is
+// to leave in and reversing the orbit would only mirror the fan. It would, if the rest of
+// the system were mirrored with it; but the body is itself going round the star one way,
+// so a spiral that winds with that turn and one that winds against it come off the body
+// at different speeds, on different headings, at different times. Scanned each way, the
+// two fans differ in how many routes they find, how soon and for how much — neither is
+// the other turned over.
+//
+// Retrograde is seldom the cheaper — it has the body's own turn to undo before it gains
+// from it — but sometimes the quicker, and it is a second set of routes, not the first set
+// reflected. Each way is a search of its own, so asking for both doubles the scan.
+//
+// `params.orbitalDirections` lists the ways to search, 1 prograde and -1 retrograde,
+// and is [1] when left out; simulateFlight reads the one it is flying as
+// `params.orbitalDirection`. A redirect has no orbit to leave, and is sent neither.
+
 // --- Scan ----------------------------------------------------------------------
 
 // How much of a trajectory to ship back for drawing. The main thread re-integrates the
@@ -318,91 +792,493 @@ function samplePath(states) {
 // Scan this worker's share of the release circle's sectors.
 //
 // Each worker takes every Nth sector, and within its own sectors runs the cheap pass —
-// one burn-free integration per sampled angle — to find the most promising angle there,
-// then optimizes just that one. Sectors are interleaved rather than handed out in blocks
-// so a worker that draws an unreachable arc is not left idle while another grinds through
-// the good one.
-function scanAngles(params, shardIndex, shardCount, angleCount) {
+// each sampled angle's escape and Lambert arc, or one burn-free integration per angle —
+// to find the most promising angle there, then optimizes just that one. Sectors are
+// interleaved rather than handed out in blocks so a worker that draws an unreachable arc
+// is not left idle while another grinds through the good one.
+//
+// With a fly-by body set, each sector is searched twice from the same cheap pass: once as
+// ever, and once for the angle that coasts nearest that body, tuned with the fly-by held as
+// a requirement. That doubles the cost of a scan, which is why it is a mode and not the
+// default.
+//
+// With `cheapest`, each sector gives up to two routes, the quickest and the cheapest; see
+// "Fast and cheap" below. Every route is marked with its `sector` and which `kind` it is.
+//
+// The launch-window sweep asks for fewer sectors than the fan: it only wants to know how
+// good a moment is, not every way of using it.
+function scanAngles(params, shardIndex, shardCount, angleCount, sectorCount, cheapest = false) {
+    const results = [];
+    let examined = 0;
+    let optimized = 0;
+
+    for (let sector = shardIndex; sector < sectorCount; sector += shardCount) {
+        const s = scanSector(params, sector, angleCount, sectorCount, cheapest);
+        results.push(...s.results);
+        examined += s.examined;
+        optimized += s.optimized;
+    }
+
+    return { results, examined, optimized };
+}
+
+// One sector of a scan: its routes, and how many angles it tried and tuned getting them.
+// Searched once for each way round the parking orbit the scan asks for, every route
+// marked with the `direction` it leaves in.
+function scanSector(params, sector, angleCount, sectorCount, cheapest) {
+    const results = [];
+    let examined = 0;
+    let optimized = 0;
+    for (const direction of params.orbitalDirections || [1]) {
+        const s = scanSectorOneWay({ ...params, orbitalDirection: direction }, sector, angleCount,
+            sectorCount, cheapest);
+        results.push(...s.results.map((r) => ({ ...r, direction })));
+        examined += s.examined;
+        optimized += s.optimized;
+    }
+    return { results, examined, optimized };
+}
+
+// One sector, leaving the one way round `params.orbitalDirection` says
+function scanSectorOneWay(params, sector, angleCount, sectorCount, cheapest) {
     const angleOf = (i) => (i / angleCount) * 2 * Math.PI;
-    const perSector = Math.max(1, Math.round(angleCount / ANGLE_SECTORS));
+    const perSector = Math.max(1, Math.round(angleCount / sectorCount));
+
+    const flybyIndex = params.flybyBodyIndex;
+    const seekFlyby = flybyIndex >= 0 &&
+        flybyIndex !== params.sourceBodyIndex && flybyIndex !== params.destBodyIndex;
+    // The ordinary search must not be held to the fly-by
+    const direct = flybyIndex >= 0 ? { ...params, flybyBodyIndex: -1 } : params;
 
     const results = [];
     let examined = 0;
     let optimized = 0;
 
-    for (let sector = shardIndex; sector < ANGLE_SECTORS; sector += shardCount) {
-        // Cheap pass across this sector: how close does each release angle get on its
-        // own, with no burn?
-        let bestIndex = -1;
-        let bestError = Infinity;
-        let bestSeed = 0;
+    // Cheap pass across this sector: what does each release angle need of the burn to
+    // reach the destination, by its Lambert arc? Or, without one, how close does it get
+    // on its own with no burn — to the destination, and to the fly-by body if there is one?
+    const candidates = [];
+    let flybyBest = -1;
+    let flybyBestExcess = Infinity;
+    let flybyBestAt = 0;
 
+    if (!seekFlyby && params.seeding !== 'sweep') {
+        for (let k = 0; k < perSector; k++) {
+            const i = sector * perSector + k;
+            if (i >= angleCount) break;
+            examined++;
+            const seed = lambertSeed(direct, angleOf(i));
+            if (seed && seed.plausible) {
+                candidates.push({ index: i, error: seed.cost, seed: seed.arrivalOffset, burn: seed.burn });
+            }
+        }
+        // With none, there is nothing here the burn could put on course, and the sector is
+        // not tuned at all
+    } else {
         for (let k = 0; k < perSector; k++) {
             const i = sector * perSector + k;
             if (i >= angleCount) break;
             examined++;
-            const free = simulateFlight(params, angleOf(i), 0, 0, 0);
+            const free = simulateFlight(seekFlyby ? params : direct, angleOf(i), 0, 0, 0);
             if (!free || free.minDistance === Infinity) continue;
-            const error = Math.abs(free.minDistance - free.idealDistance);
-            if (error < bestError) {
-                bestError = error;
-                bestIndex = i;
-                bestSeed = free.insertionOffset;
+            candidates.push({
+                index: i,
+                error: Math.abs(free.minDistance - free.idealDistance),
+                seed: free.insertionOffset,
+            });
+            if (seekFlyby) {
+                free.flybyExcess.forEach((excess, at) => {
+                    if (excess < flybyBestExcess) {
+                        flybyBestExcess = excess;
+                        flybyBest = i;
+                        flybyBestAt = at;
+                    }
+                });
             }
         }
+    }
 
-        if (bestIndex < 0) continue;
+    // The closest few are tuned, or just the closest when only the quickest is wanted
+    candidates.sort((a, b) => a.error - b.error);
+    const tuned = [];
+    for (const c of candidates.slice(0, cheapest ? PARETO_CANDIDATES : 1)) {
+        optimized++;
+        const route = tuneRoute(direct, angleOf(c.index), c.seed, -1, c.burn);
+        if (route) tuned.push(route);
+    }
+    results.push(...paretoEnds(tuned, sector, params));
 
-        const releaseAngle = angleOf(bestIndex);
+    if (flybyBest >= 0) {
+        // Burn once the swing is done, with all the rest of the window to arrive in
         optimized++;
-        const tuned = optimizeBurn(params, releaseAngle, bestSeed);
-        if (!tuned || tuned.error > POST_OPTIMIZATION_THRESHOLD) continue;
-
-        const flight = tuned.flight;
-        if (flight.insertionOffset < MIN_TRANSFER_FRAMES) continue;
-
-        // Trim at insertion: the flight is over once the craft is in orbit, and drawing
-        // the coast past it would show a path the craft never takes.
-        const states = flight.states.slice(0, flight.insertionOffset + 1);
-        if (states.length < 2) continue;
-
-        results.push({
-            releaseAngle,
-            arrivalOffset: flight.insertionOffset,
-            error: tuned.error,
-            burn: { start: tuned.burnStart, duration: tuned.burnDuration, angle: tuned.burnAngle },
-            path: samplePath(states),
-        });
+        const route = tuneRoute(params, angleOf(flybyBest), MAX_TRANSFER_FRAMES / 2,
+            flybyBestAt + FLYBY_BURN_DELAY_FRAMES);
+        if (route) results.push({ ...route, sector, kind: 'fast' });
     }
 
     return { results, examined, optimized };
 }
 
+// --- Streaming scans ---
+//
+// A fan scan does not wait to finish before it reports. Each sector's routes go back to
+// the page the moment they are tuned, as a 'sector' message, so the fan fills in while
+// the rest are still being worked on; a 'scanDone' says the shard is finished.
+//
+// Between sectors the scan steps out of the way of the message queue, so that what the
+// page has sent since can be read: a newer scan, which takes over, or a 'cancel', which
+// just stops it. Either way the old scan notices at its next sector and goes no further,
+// and the most a scrub of the wheel waits behind is the one sector each worker is in the
+// middle of. The launch-window sweep and the earliest-arrival planner still run each job
+// in one go — they are one moment each and rate it as a whole.
+//
+// Anything else the page sends meanwhile runs in those gaps too, and may lay down a
+// different buffer (see "The buffer for a job"), so the scan lays its own down again
+// each time it picks back up.
+//
+// A scan marked `warm` is one the page runs ahead of the player, to have it ready; it is
+// the same scan, and sends back the id `warm` holds in everything, so the page can tell it
+// apart from the fan on screen and from the warm scans before it.
+//
+// A scan is either a share of the whole circle at `sectorCount` — the coarse pass — or,
+// with `sectors`, just the sectors listed, at that resolution: the fine pass the page
+// sends once it knows where the routes are. Each 'sector' message says which resolution
+// its sector is counted in.
+
+// The newest fan scan this worker has been given; older ones stop where they are
+let fanGeneration = -1;
+
+// Resolves once everything already waiting in the message queue has been seen to. A
+// message to ourselves rather than setTimeout, which browsers hold back once nested.
+const yieldChannel = new MessageChannel();
+const yieldWaiters = [];
+yieldChannel.port1.onmessage = () => yieldWaiters.shift()();
+function yieldToMessages() {
+    return new Promise((resolve) => {
+        yieldWaiters.push(resolve);
+        yieldChannel.port2.postMessage(null);
+    });
+}
+
+async function streamScan(job) {
+    const { params, shardIndex, shardCount, angleCount, sectorCount, generation } = job;
+    const cheapest = !!job.cheapest;
+    const warm = job.warm || 0;
+    fanGeneration = generation;
+    const started = Date.now();
+    let examined = 0;
+    let optimized = 0;
+
+    // The sectors the job lists, or this worker's share of the whole circle
+    let sectors = job.sectors;
+    if (!sectors) {
+        sectors = [];
+        for (let sector = shardIndex; sector < sectorCount; sector += shardCount) sectors.push(sector);
+    }
+
+    for (const sector of sectors) {
+        const s = scanSector(bodiesForJob(params), sector, angleCount, sectorCount, cheapest);
+        checkJobFrames(params);
+        examined += s.examined;
+        optimized += s.optimized;
+        self.postMessage({ type: 'sector', generation, warm, shardIndex, sector, sectorCount, results: s.results });
+
+        await yieldToMessages();
+        if (generation !== fanGeneration) return;
+    }
+
+    self.postMessage({
+        type: 'scanDone',
+        generation,
+        warm,
+        shardIndex,
+        elapsedMs: Date.now() - started,
+        examined,
+        optimized,
+    });
+}
+
+// --- Fast and cheap ---
+//
+// Arrival and fuel pull against each other, and one route per sector can only sit at one
+// point between them. The fan asks for both ends: the quickest route the sector has, and
+// the cheapest that still captures. Cost is the `deltaV` every flight already counts —
+// thrusting frames, escape and burn both, times acceleration.
+//
+// Re-tuning the quick route's burn for fuel does not get there. Capture is a thin ridge
+// in (start, angle, duration), and a coordinate descent sitting on it cannot shorten the
+// burn without falling off, so it hands back the route it was given. What does find
+// cheaper routes is other release angles: a few degrees round, the craft meets the
+// destination slower and needs less to stop. So the closest few angles of the cheap pass
+// are each tuned as usual, and from those that capture the sector keeps the earliest and
+// the cheapest.
+//
+// Three candidates a sector cost about three times the tuning, for a cheaper alternative
+// in a sector here and there. The page asks for it on every fan scan, so that flipping
+// the toggle never has to wait (see "Fast or cheap" in game.js); the sweep and the
+// earliest-arrival planner only rate moments by their quickest route and do not ask for it.
+const PARETO_CANDIDATES = 3;
+
+// Less than this apart and the two ends are the same choice, labelled twice.
+const PARETO_MIN_SAVING = 0.5;
+
+// The ends of one sector's tuned routes, each marked with which end it is.
+function paretoEnds(tuned, sector, params) {
+    if (tuned.length === 0) return [];
+    let fast = tuned[0];
+    let cheap = tuned[0];
+    for (const r of tuned) {
+        if (arrivalRank(params, r.arrivalOffset) < arrivalRank(params, fast.arrivalOffset)) fast = r;
+        if (r.deltaV < cheap.deltaV) cheap = r;
+    }
+
+    const ends = [{ ...fast, sector, kind: 'fast' }];
+    if (cheap.deltaV <= fast.deltaV - PARETO_MIN_SAVING) ends.push({ ...cheap, sector, kind: 'cheap' });
+    return ends;
+}
+
+// How long after the closest point of a fly-by its route's burn is first tried.
+const FLYBY_BURN_DELAY_FRAMES = Math.ceil(2 / PREDICTION_DT);
+
+// Optimize the burn for one release angle and, if it captures, make it a fan entry.
+function tuneRoute(params, releaseAngle, seedInsertion, seedStart = -1, seedBurn = null) {
+    const tuned = optimizeBurn(params, releaseAngle, seedInsertion, seedStart, seedBurn);
+    if (!tuned || tuned.error > captureToleranceOf(params)) return null;
+
+    const flight = tuned.flight;
+    if (flight.insertionOffset < MIN_TRANSFER_FRAMES) return null;
+    // Held to a fly-by, and never got there
+    if (flight.flybyMiss > 0) return null;
+    // Or to a budget, and could not keep to it
+    if (flight.deltaV > deltaVCapOf(params)) return null;
+    // Or to a window, and could not make it
+    if (windowMiss(params, flight.insertionOffset) > 0) return null;
+
+    // Trim at insertion: the flight is over once the craft is in orbit, and drawing
+    // the coast past it would show a path the craft never takes.
+    const states = flight.states.slice(0, flight.insertionOffset + 1);
+    if (states.length < 2) return null;
+
+    return {
+        releaseAngle,
+        arrivalOffset: flight.insertionOffset,
+        error: tuned.error,
+        burn: { start: tuned.burnStart, duration: tuned.burnDuration, angle: tuned.burnAngle },
+        deltaV: flight.deltaV,
+        altitude: achievedAltitude(flight, params),
+        flybys: flybysOf(params, states),
+        path: samplePath(states),
+    };
+}
+
+// --- The buffer for a job ---------------------------------------------------------
+//
+// A job names the moment it launches at by frame number — the page's buffer index plus
+// the frames the page has taken off its front (`base` in frames.js) — because by the time
+// it is picked up here the page's present may have moved on, and an index alone would
+// then point at a different moment. Each job starts by turning that number back into a
+// frame of whatever buffer this worker reads:
+//
+//   - shared, the page's own ring is followed from the launch frame on, however far the
+//     page has got since the job was posted. The room the page leaves behind its present
+//     is what lets a job that waited a while still find its frames;
+//   - copied, this worker's ring was brought up to the page's before the job was posted
+//     (messages arrive in order), so the frame is simply counted back from its base;
+//   - on rails, the bodies are worked out here for the flight — see below.
+//
+// With the bodies on rails there is no buffer to be sent and no end to it: a job names a
+// launch frame, however far out, and the bodies for the flight from it are worked out here.
+// A flight never looks further than MAX_TRANSFER_FRAMES past its launch, so that stretch is
+// all a job needs. The page builds its own frames with the same function from the same
+// rails, so the two agree to the last bit.
+//
+// Working out a stretch is thousands of Kepler solves, and the sweep, the earliest-arrival
+// planner and the rest post one job per moment, each a little way on from the last. So one
+// ring keeps a single run of rails frames, up to RAILS_RING_FRAMES of them, and a job reads
+// its stretch from wherever in the run it falls. Only the frames a job needs past the end of
+// the run are laid, the oldest dropped off the front to make room; a job wholly before the
+// run, or beyond it, starts a new one.
+const RAILS_RING_FRAMES = 4 * (MAX_TRANSFER_FRAMES + 1);
+
+// The rails frame of the ring's first frame, or -1 before any are laid
+let railsLaidFrom = -1;
+
+// `params` for a job, with the buffer made ready for it
+function bodiesForJob(params) {
+    if (bodyRails) {
+        const from = railsFirstFrame + params.launchFrame;
+        const end = from + MAX_TRANSFER_FRAMES + 1;
+        if (!predictionBuffer || predictionBuffer.items !== bodiesMasses.length) {
+            predictionBuffer = new FrameRing(BODY_FIELDS, bodiesMasses.length, RAILS_RING_FRAMES);
+            railsLaidFrom = -1;
+        }
+        const laidEnd = railsLaidFrom + predictionBuffer.length;
+        if (railsLaidFrom < 0 || from < railsLaidFrom || from > laidEnd) {
+            predictionBuffer.clear();
+            railsLaidFrom = from;
+        }
+        const missing = end - (railsLaidFrom + predictionBuffer.length);
+        if (missing > 0) {
+            const drop = Math.min(from - railsLaidFrom,
+                Math.max(0, predictionBuffer.length + missing - RAILS_RING_FRAMES));
+            predictionBuffer.shift(drop);
+            railsLaidFrom += drop;
+            railsFrames(bodyRails, predictionBuffer, end - missing, missing, PREDICTION_DT);
+        }
+        return { ...params, launchFrame: from - railsLaidFrom };
+    }
+    if (sharedBuffer) {
+        if (!predictionBuffer.follow(params.launchFrame)) {
+            throw new Error(`Frame ${params.launchFrame} is no longer in the shared buffer`);
+        }
+        return { ...params, launchFrame: 0 };
+    }
+    const launchFrame = params.launchFrame - predictionBuffer.base;
+    if (launchFrame < 0) throw new Error(`Frame ${params.launchFrame} is no longer in the buffer`);
+    return { ...params, launchFrame };
+}
+
+// Throws if the page has come round and written over the frames a job read from the shared
+// ring while it read them (see "Shared rings" in frames.js), so that what it found is
+// reported as an error rather than sent back. Called once a job, or a scan's sector, is done.
+function checkJobFrames(params) {
+    if (!sharedBuffer || bodyRails) return;
+    if (!predictionBuffer.stillHolds(params.launchFrame)) {
+        throw new Error(`Frame ${params.launchFrame} was written over while it was being read`);
+    }
+}
+
+// The buffer an init message brings: the page's ring in shared memory, its frames as one
+// flat run of numbers to copy, or on rails neither
+function ringFromMessage(data) {
+    sharedBuffer = !!data.sharedBuffer;
+    if (sharedBuffer) {
+        const ring = FrameRing.attach(data.sharedBuffer);
+        ring.follow(Atomics.load(ring.header, RING_BASE));
+        return ring;
+    }
+    if (!data.predictionBuffer) return null;
+    const ring = FrameRing.fromFlat(data.predictionBuffer, BODY_FIELDS, data.bodiesMasses.length,
+        data.capacity);
+    ring.base = data.base;
+    return ring;
+}
+
 // --- Messages -------------------------------------------------------------------
 
 self.onmessage = function (e) {
     try {
         if (e.data.type === 'init') {
-            predictionBuffer = e.data.predictionBuffer;
+            predictionBuffer = ringFromMessage(e.data);
+            railsLaidFrom = -1;
+            bodyRails = e.data.rails || null;
+            railsFirstFrame = e.data.railsFirstFrame || 0;
             bodiesMasses = e.data.bodiesMasses;
+            initFlybyTables();
             self.postMessage({ type: 'ready' });
         } else if (e.data.type === 'scan') {
-            const { params, shardIndex, shardCount, angleCount, generation } = e.data;
+            streamScan(e.data).catch((err) => reportError(e.data, err));
+        } else if (e.data.type === 'cancel') {
+            // Nothing newer to take over: every fan scan up to this one simply stops
+            fanGeneration = Math.max(fanGeneration, e.data.generation + 1);
+        } else if (e.data.type === 'sweep') {
+            // One moment of the launch-window sweep, scanned whole on this worker. Only
+            // the summary goes back: the strip it feeds draws a colour, not the routes.
+            const { params, sampleIndex, angleCount, sectorCount, generation } = e.data;
             const started = Date.now();
-            const scan = scanAngles(params, shardIndex, shardCount, angleCount);
+            const { results } = scanAngles(bodiesForJob(params), 0, 1, angleCount, sectorCount);
+            checkJobFrames(params);
+            let bestArrival = -1;
+            for (const r of results) {
+                if (bestArrival < 0 || r.arrivalOffset < bestArrival) bestArrival = r.arrivalOffset;
+            }
             self.postMessage({
-                type: 'result',
+                type: 'sweepResult',
                 generation,
-                shardIndex,
+                sampleIndex,
+                routes: results.length,
+                bestArrival,
                 elapsedMs: Date.now() - started,
-                ...scan,
             });
-        } else if (e.data.type === 'updateBuffer') {
-            predictionBuffer = e.data.predictionBuffer;
-            bodiesMasses = e.data.bodiesMasses;
+        } else if (e.data.type === 'earliest') {
+            // One launch moment of the earliest-arrival planner. It wants the route itself,
+            // not a rating: whichever moment wins, its quickest route is the one proposed.
+            const { params, sampleIndex, angleCount, sectorCount, generation } = e.data;
+            const started = Date.now();
+            const { results } = scanAngles(bodiesForJob(params), 0, 1, angleCount, sectorCount);
+            checkJobFrames(params);
+            let best = null;
+            for (const r of results) {
+                if (!best || r.arrivalOffset < best.arrivalOffset) best = r;
+            }
+            self.postMessage({
+                type: 'earliestResult',
+                generation,
+                sampleIndex,
+                best,
+                elapsedMs: Date.now() - started,
+            });
+        } else if (e.data.type === 'rendezvous') {
+            // One job of the rendezvous planner (see "Rendezvous" in game.js): every route
+            // from one origin at one moment — which of them is wanted depends on when the
+            // other fleets can get there — or, handed one of them, that route tuned to
+            // arrive as near the meeting as its window lets it. Without their paths: the
+            // page flies the ones it keeps for itself.
+            const { params, route, jobIndex, angleCount, sectorCount, generation } = e.data;
+            const job = bodiesForJob(params);
+            let routes;
+            if (route) {
+                const tuned = tuneRoute({ ...job, orbitalDirection: route.direction }, route.releaseAngle,
+                    job.arriveAt, route.burn.start, route.burn);
+                routes = tuned ? [{ ...tuned, direction: route.direction }] : [];
+            } else {
+                routes = scanAngles(job, 0, 1, angleCount, sectorCount).results;
+            }
+            checkJobFrames(params);
+            self.postMessage({
+                type: 'rendezvousResult',
+                generation,
+                jobIndex,
+                routes: routes.map(({ path, ...r }) => r),
+            });
+        } else if (e.data.type === 'compare') {
+            // One pair at one moment for the optimizer comparison, scanned whole with the
+            // optimizer it names: how many routes, how quick, and what it took to find them
+            const { params, jobIndex, angleCount, sectorCount, generation } = e.data;
+            const started = Date.now();
+            const flightsBefore = flightsFlown;
+            const { results } = scanAngles(bodiesForJob(params), 0, 1, angleCount, sectorCount);
+            checkJobFrames(params);
+            self.postMessage({
+                type: 'compareResult',
+                generation,
+                jobIndex,
+                routes: results.length,
+                bestArrival: results.reduce((m, r) => (m < 0 || r.arrivalOffset < m ? r.arrivalOffset : m), -1),
+                flights: flightsFlown - flightsBefore,
+                elapsedMs: Date.now() - started,
+            });
+        } else if (e.data.type === 'frames') {
+            // A copied buffer brought up to the page's: `drop` frames gone off the front,
+            // `frames` new ones on the end
+            predictionBuffer.shift(e.data.drop);
+            predictionBuffer.pushFlat(e.data.frames);
         }
     } catch (err) {
-        console.error('Worker error:', err);
-        self.postMessage({ type: 'error', error: err.message, stack: err.stack });
+        reportError(e.data, err);
     }
 };
+
+// The page is told which job failed, and for a scan which one, so it can tell whether it
+// is still waiting on it
+function reportError(job, err) {
+    console.error('Worker error:', err);
+    self.postMessage({
+        type: 'error',
+        job: job.type,
+        generation: job.generation,
+        warm: job.warm || 0,
+        error: err.message,
+        stack: err.stack,
+    });
+}